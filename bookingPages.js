@@ -0,0 +1,281 @@
+import pool from "./db.js";
+import { createSchedule } from "./schedule.js";
+import { normalizeBookingRules } from "./bookingRules.js";
+import { isValidTimeZone } from "./timezone.js";
+import { normalizeLocation } from "./location.js";
+import { getCalendarConfig } from "./calendarProviders.js";
+import { normalizeLocale } from "./locales.js";
+
+// Public booking pages: each page has a slug (used in /book/:slug), the calendar it books into,
+// its event types, availability settings and confirmation email branding.
+// Settings use the same field names as the n8n endpoints' request bodies.
+
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,62}[a-z0-9])?$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Availability fields accepted on a page (same meaning as in get_calendar_availability)
+export const AVAILABILITY_FIELDS = [
+  "days",
+  "work_start_hour",
+  "work_end_hour",
+  "include_weekends",
+  "working_hours",
+  "date_overrides",
+  "blackout_dates",
+  "holiday_country",
+  "buffer_before_minutes",
+  "buffer_after_minutes",
+  "booking_rules",
+];
+
+// Email branding fields accepted on a page (same meaning as in send_event_email)
+export const EMAIL_FIELDS = [
+  "company_name",
+  "email_subject_prefix",
+  "email_header_title",
+  "email_header_subtitle",
+  "footer_company_name",
+  "footer_message",
+  "sender_name",
+  "monitoring_emails",
+  "locale",
+];
+
+const CREATE_BOOKING_PAGES_TABLE = `
+  create table if not exists public.booking_pages (
+    slug text primary key,
+    google_calendar_email text not null,
+    title text not null,
+    host_name text,
+    timezone text not null,
+    event_types jsonb not null,
+    availability jsonb not null default '{}'::jsonb,
+    email jsonb not null default '{}'::jsonb,
+    active boolean not null default true,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+  );
+`;
+
+let tableReady = null;
+
+// Creates the booking_pages table (once per process; retried after a failure)
+function ensureBookingPagesTable() {
+  if (!tableReady) {
+    tableReady = pool.query(CREATE_BOOKING_PAGES_TABLE).catch((error) => {
+      tableReady = null;
+      throw error;
+    });
+  }
+  return tableReady;
+}
+
+function pick(source, fields) {
+  return Object.fromEntries(
+    fields
+      .filter((field) => source?.[field] !== undefined)
+      .map((field) => [field, source[field]])
+  );
+}
+
+function normalizeEventType(spec, index) {
+  if (!spec || typeof spec !== "object") {
+    throw new Error(`event_types[${index}] must be an object`);
+  }
+  const slug = String(spec.slug || "").toLowerCase();
+  if (!SLUG_PATTERN.test(slug)) {
+    throw new Error(
+      `event_types[${index}].slug must be lowercase letters, digits and dashes`
+    );
+  }
+  if (!spec.title) {
+    throw new Error(`event_types[${index}].title is required`);
+  }
+
+  const duration = Number(spec.duration_minutes ?? 30);
+  if (!Number.isInteger(duration) || duration < 15 || duration > 480) {
+    throw new Error(
+      `event_types[${index}].duration_minutes must be an integer between 15 and 480`
+    );
+  }
+  const step = Number(spec.slot_step_minutes ?? duration);
+  if (!Number.isInteger(step) || step < 5 || step > 480) {
+    throw new Error(
+      `event_types[${index}].slot_step_minutes must be an integer between 5 and 480`
+    );
+  }
+
+  // Phone calls without a number go to the phone the visitor enters
+  let location;
+  try {
+    location =
+      String(spec.location_type).toLowerCase() === "phone" && !spec.location
+        ? { type: "phone", details: "" }
+        : normalizeLocation(spec.location_type, spec.location);
+  } catch (e) {
+    throw new Error(`event_types[${index}]: ${e.message}`);
+  }
+
+  return {
+    slug,
+    title: String(spec.title),
+    description: spec.description ? String(spec.description) : "",
+    duration_minutes: duration,
+    slot_step_minutes: step,
+    location_type: location.type,
+    location: location.details,
+  };
+}
+
+// Validates a booking page from the request body and returns it normalized. Throws a descriptive error.
+export function normalizeBookingPage(spec) {
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+    throw new Error("Booking page must be an object");
+  }
+
+  const slug = String(spec.slug || "").toLowerCase();
+  if (!SLUG_PATTERN.test(slug)) {
+    throw new Error(
+      "slug must be 1-64 lowercase letters, digits and dashes (not starting or ending with a dash)"
+    );
+  }
+
+  if (
+    !spec.google_calendar_email ||
+    !EMAIL_PATTERN.test(spec.google_calendar_email)
+  ) {
+    throw new Error("google_calendar_email must be a valid email format");
+  }
+
+  const timezone = spec.timezone || "Europe/Riga";
+  if (!isValidTimeZone(timezone)) {
+    throw new Error(`Invalid timezone: ${timezone}`);
+  }
+
+  if (!Array.isArray(spec.event_types) || spec.event_types.length === 0) {
+    throw new Error("event_types must be a non-empty array");
+  }
+  const eventTypes = spec.event_types.map(normalizeEventType);
+  if (new Set(eventTypes.map(({ slug }) => slug)).size !== eventTypes.length) {
+    throw new Error("event_types slugs must be unique");
+  }
+  // Meet links can only be generated in Google calendars
+  if (
+    getCalendarConfig(spec.google_calendar_email).provider !== "google" &&
+    eventTypes.some(({ location_type }) => location_type === "google_meet")
+  ) {
+    throw new Error(
+      "event_types on a CalDAV calendar need a location_type other than google_meet"
+    );
+  }
+
+  const availability = pick(spec.availability, AVAILABILITY_FIELDS);
+  if (availability.days !== undefined) {
+    const days = Number(availability.days);
+    if (!Number.isInteger(days) || days < 1 || days > 60) {
+      throw new Error("availability.days must be an integer between 1 and 60");
+    }
+  }
+  createSchedule({
+    workStartHour: availability.work_start_hour,
+    workEndHour: availability.work_end_hour,
+    includeWeekends: availability.include_weekends,
+    workingHours: availability.working_hours,
+    dateOverrides: availability.date_overrides,
+    blackoutDates: availability.blackout_dates,
+    holidayCountry: availability.holiday_country,
+  });
+  normalizeBookingRules(availability.booking_rules);
+
+  const email = pick(spec.email, EMAIL_FIELDS);
+  if (
+    email.monitoring_emails !== undefined &&
+    (!Array.isArray(email.monitoring_emails) ||
+      email.monitoring_emails.some((address) => !EMAIL_PATTERN.test(address)))
+  ) {
+    throw new Error("email.monitoring_emails must be an array of emails");
+  }
+  if (email.locale !== undefined) {
+    email.locale = normalizeLocale(email.locale);
+  }
+
+  return {
+    slug,
+    google_calendar_email: spec.google_calendar_email.toLowerCase(),
+    title: String(spec.title || eventTypes[0].title),
+    host_name: spec.host_name ? String(spec.host_name) : null,
+    timezone,
+    event_types: eventTypes,
+    availability,
+    email,
+    active: spec.active !== false,
+  };
+}
+
+// Creates or replaces a booking page (normalized)
+export async function saveBookingPage(page) {
+  await ensureBookingPagesTable();
+
+  const { rows } = await pool.query(
+    `insert into public.booking_pages
+       (slug, google_calendar_email, title, host_name, timezone, event_types, availability, email, active)
+     values ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     on conflict (slug) do update
+       set google_calendar_email = excluded.google_calendar_email,
+           title = excluded.title,
+           host_name = excluded.host_name,
+           timezone = excluded.timezone,
+           event_types = excluded.event_types,
+           availability = excluded.availability,
+           email = excluded.email,
+           active = excluded.active,
+           updated_at = now()
+     returning *`,
+    [
+      page.slug,
+      page.google_calendar_email,
+      page.title,
+      page.host_name,
+      page.timezone,
+      JSON.stringify(page.event_types),
+      JSON.stringify(page.availability),
+      JSON.stringify(page.email),
+      page.active,
+    ]
+  );
+
+  return rows[0];
+}
+
+// Fetches a booking page by slug (inactive pages only when includeInactive is set)
+export async function getBookingPage(slug, { includeInactive = false } = {}) {
+  await ensureBookingPagesTable();
+
+  const { rows } = await pool.query(
+    `select * from public.booking_pages
+      where slug = $1 ${includeInactive ? "" : "and active"}`,
+    [String(slug).toLowerCase()]
+  );
+
+  return rows[0] || null;
+}
+
+export async function listBookingPages() {
+  await ensureBookingPagesTable();
+
+  const { rows } = await pool.query(
+    `select * from public.booking_pages order by slug`
+  );
+  return rows;
+}
+
+// Deletes a booking page. Returns false if it didn't exist.
+export async function deleteBookingPage(slug) {
+  await ensureBookingPagesTable();
+
+  const { rowCount } = await pool.query(
+    `delete from public.booking_pages where slug = $1`,
+    [String(slug).toLowerCase()]
+  );
+  return rowCount > 0;
+}
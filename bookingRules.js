@@ -0,0 +1,283 @@
+import { formatDateStr, zonedTimeToUtc } from "./timezone.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Request body keys, their upper bounds and which way a rule is stricter (higher or lower)
+const RULE_FIELDS = {
+  min_notice_minutes: {
+    key: "minNoticeMinutes",
+    max: 60 * 24 * 90,
+    stricter: "higher",
+  },
+  max_advance_days: { key: "maxAdvanceDays", max: 730, stricter: "lower" },
+  max_per_day: { key: "maxPerDay", max: 100, stricter: "lower" },
+  max_per_week: { key: "maxPerWeek", max: 500, stricter: "lower" },
+  min_gap_minutes: { key: "minGapMinutes", max: 24 * 60, stricter: "higher" },
+};
+
+// Raised when a booking breaks one of the calendar's booking rules
+export class BookingRuleError extends Error {
+  constructor(message, violations = []) {
+    super(message);
+    this.name = "BookingRuleError";
+    this.code = 422;
+    this.violations = violations;
+  }
+}
+
+// Validates booking rules from the request body and returns them normalized:
+// { minNoticeMinutes, maxAdvanceDays, maxPerDay, maxPerWeek, minGapMinutes } (null = no limit)
+export function normalizeBookingRules(spec) {
+  const rules = Object.fromEntries(
+    Object.values(RULE_FIELDS).map(({ key }) => [key, null])
+  );
+  if (spec === undefined || spec === null) return rules;
+
+  if (typeof spec !== "object" || Array.isArray(spec)) {
+    throw new Error("booking_rules must be an object");
+  }
+
+  for (const [field, value] of Object.entries(spec)) {
+    const definition = RULE_FIELDS[field];
+    if (!definition) {
+      throw new Error(
+        `Unknown booking rule: ${field}. Supported: ${Object.keys(
+          RULE_FIELDS
+        ).join(", ")}`
+      );
+    }
+    if (value === null) continue;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0 || number > definition.max) {
+      throw new Error(
+        `booking_rules.${field} must be an integer between 0 and ${definition.max}`
+      );
+    }
+    rules[definition.key] = number;
+  }
+
+  if (rules.maxPerDay === 0 || rules.maxPerWeek === 0) {
+    throw new Error(
+      "booking_rules max_per_day and max_per_week must be at least 1"
+    );
+  }
+
+  return rules;
+}
+
+// Merges per-calendar rules over the shared ones (rules that are not set fall back)
+export function mergeBookingRules(base, override) {
+  return Object.fromEntries(
+    Object.entries(base).map(([key, value]) => [key, override?.[key] ?? value])
+  );
+}
+
+// Combines two sets of rules (normalized), keeping the stricter value of each rule
+export function strictestBookingRules(a, b) {
+  return Object.fromEntries(
+    Object.values(RULE_FIELDS).map(({ key, stricter }) => {
+      const values = [a?.[key], b?.[key]].filter((value) => value != null);
+      if (values.length === 0) return [key, null];
+      return [
+        key,
+        stricter === "higher" ? Math.max(...values) : Math.min(...values),
+      ];
+    })
+  );
+}
+
+// Server-side rules from CALENDAR_BOOKING_RULES (secret - not from body), a JSON object keyed by
+// calendar email, with "*" for every calendar, e.g.
+//   {"*": {"min_notice_minutes": 60}, "anna@company.com": {"max_per_day": 5}}
+// Requests can tighten these rules but not loosen or remove them.
+let parsedSource = null;
+let parsedRules = {};
+
+// Parses CALENDAR_BOOKING_RULES (re-parsed only when the variable changes). Throws on invalid JSON or rules.
+function loadConfiguredBookingRules() {
+  const source = process.env.CALENDAR_BOOKING_RULES || "";
+  if (source === parsedSource) return parsedRules;
+
+  let config = {};
+  if (source) {
+    try {
+      config = JSON.parse(source);
+    } catch (e) {
+      throw new Error(
+        "CALENDAR_BOOKING_RULES environment variable contains invalid JSON"
+      );
+    }
+    if (!config || typeof config !== "object" || Array.isArray(config)) {
+      throw new Error(
+        "CALENDAR_BOOKING_RULES must be an object keyed by calendar"
+      );
+    }
+  }
+
+  const normalized = {};
+  for (const [calendarId, rules] of Object.entries(config)) {
+    try {
+      normalized[calendarId.toLowerCase()] = normalizeBookingRules(rules);
+    } catch (e) {
+      throw new Error(`CALENDAR_BOOKING_RULES.${calendarId}: ${e.message}`);
+    }
+  }
+
+  parsedSource = source;
+  parsedRules = normalized;
+  return normalized;
+}
+
+// The calendar's rules (normalized) with the server-side rules for it applied on top: each rule
+// is the stricter of the two
+export function enforceConfiguredBookingRules(calendarId, rules) {
+  const configured = loadConfiguredBookingRules();
+  return strictestBookingRules(
+    strictestBookingRules(
+      configured["*"],
+      configured[String(calendarId).toLowerCase()]
+    ),
+    rules
+  );
+}
+
+// Checks whether any rule is set
+export function hasBookingRules(rules) {
+  return Boolean(rules) && Object.values(rules).some((value) => value !== null);
+}
+
+// Earliest start and latest start allowed by minimum notice and the booking horizon
+export function bookingWindow(rules, now = new Date()) {
+  return {
+    earliest: new Date(
+      now.getTime() + (rules?.minNoticeMinutes || 0) * MINUTE_MS
+    ),
+    latest:
+      rules?.maxAdvanceDays != null
+        ? new Date(now.getTime() + rules.maxAdvanceDays * DAY_MS)
+        : null,
+  };
+}
+
+// Local Monday of the week containing dateStr ("YYYY-MM-DD"), weeks start on Monday
+function weekStartDateStr(dateStr) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  const mondayOffset = (date.getUTCDay() + 6) % 7;
+  return new Date(date.getTime() - mondayOffset * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+// Range of busy data needed to count bookings for slots between start and end:
+// from local Monday 00:00 of the first week to local Monday 00:00 after the last week
+function countingRange(start, end, timeZone) {
+  const toUtc = (dateStr) => {
+    const [year, month, day] = dateStr.split("-").map(Number);
+    return zonedTimeToUtc({ year, month, day }, timeZone);
+  };
+  const lastWeek = new Date(
+    `${weekStartDateStr(formatDateStr(end, timeZone))}T00:00:00Z`
+  );
+
+  return {
+    start: toUtc(weekStartDateStr(formatDateStr(start, timeZone))),
+    end: toUtc(
+      new Date(lastWeek.getTime() + 7 * DAY_MS).toISOString().slice(0, 10)
+    ),
+  };
+}
+
+// Range of busy data and bookings findRuleViolations needs for slots starting between start and end
+// (whole local weeks for the caps, plus the minimum gap); null when neither is needed
+export function busyRangeForRules(rules, start, end, timeZone) {
+  const needsCounts = hasBookingCaps(rules);
+  const gapMs = (rules?.minGapMinutes || 0) * MINUTE_MS;
+  if (!needsCounts && !gapMs) return null;
+
+  const range = needsCounts
+    ? countingRange(start, end, timeZone)
+    : { start, end };
+  return {
+    start: new Date(Math.min(range.start.getTime(), start.getTime() - gapMs)),
+    end: new Date(Math.max(range.end.getTime(), end.getTime() + gapMs)),
+  };
+}
+
+// Whether the rules cap the number of bookings per day or week (counted from the bookings ledger)
+export function hasBookingCaps(rules) {
+  return Boolean(rules?.maxPerDay || rules?.maxPerWeek);
+}
+
+// Returns the rules a slot breaks, as [{ rule, message }].
+// busy is the calendar's busy periods, for the minimum gap; bookingStarts are the start times of
+// its bookings, counted for the daily/weekly caps on their local date (freebusy merges adjacent
+// meetings and includes blocks that aren't bookings, so it can't be counted). Both must cover
+// busyRangeForRules.
+export function findRuleViolations(
+  rules,
+  { start, end },
+  { busy = [], bookingStarts = [] },
+  timeZone,
+  now = new Date()
+) {
+  const violations = [];
+  if (!hasBookingRules(rules)) return violations;
+
+  const { earliest, latest } = bookingWindow(rules, now);
+  if (start < earliest) {
+    violations.push({
+      rule: "min_notice_minutes",
+      message: `Bookings need at least ${rules.minNoticeMinutes} minutes notice`,
+    });
+  }
+  if (latest && start > latest) {
+    violations.push({
+      rule: "max_advance_days",
+      message: `Bookings can be made at most ${rules.maxAdvanceDays} days in advance`,
+    });
+  }
+
+  if (rules.minGapMinutes) {
+    const gapMs = rules.minGapMinutes * MINUTE_MS;
+    const tooClose = busy.some(
+      (period) =>
+        new Date(period.start).getTime() < end.getTime() + gapMs &&
+        new Date(period.end).getTime() > start.getTime() - gapMs
+    );
+    if (tooClose) {
+      violations.push({
+        rule: "min_gap_minutes",
+        message: `Meetings need a gap of at least ${rules.minGapMinutes} minutes`,
+      });
+    }
+  }
+
+  if (hasBookingCaps(rules)) {
+    const dateStr = formatDateStr(start, timeZone);
+    const weekStr = weekStartDateStr(dateStr);
+    let sameDay = 0;
+    let sameWeek = 0;
+    for (const bookingStart of bookingStarts) {
+      const bookingDate = formatDateStr(new Date(bookingStart), timeZone);
+      if (bookingDate === dateStr) sameDay++;
+      if (weekStartDateStr(bookingDate) === weekStr) sameWeek++;
+    }
+
+    if (rules.maxPerDay && sameDay >= rules.maxPerDay) {
+      violations.push({
+        rule: "max_per_day",
+        message: `The calendar already has ${sameDay} bookings on ${dateStr} (limit ${rules.maxPerDay})`,
+      });
+    }
+    if (rules.maxPerWeek && sameWeek >= rules.maxPerWeek) {
+      violations.push({
+        rule: "max_per_week",
+        message: `The calendar already has ${sameWeek} bookings in the week of ${weekStr} (limit ${rules.maxPerWeek})`,
+      });
+    }
+  }
+
+  return violations;
+}
@@ -0,0 +1,308 @@
+import pool from "./db.js";
+import { expandOccurrences } from "./recurrence.js";
+import { DEFAULT_TIMEZONE } from "./timezone.js";
+
+// Local ledger of booked events, so "when is my meeting?" can be answered without scanning Google Calendar.
+// The table is created on first use.
+
+export const BOOKING_STATUSES = ["confirmed", "rescheduled", "cancelled"];
+
+const BOOKING_COLUMNS = `id, event_id, calendar_email, title, attendees, start_time, end_time,
+       time_zone, meet_link, event_link, source_channel, contact_email, contact_phone,
+       status, recurrence, series_end_time, created_at, updated_at`;
+
+const CREATE_BOOKINGS_TABLE = `
+  create table if not exists public.bookings (
+    id bigserial primary key,
+    event_id text not null,
+    calendar_email text not null,
+    title text,
+    attendees jsonb not null default '[]'::jsonb,
+    start_time timestamptz not null,
+    end_time timestamptz not null,
+    time_zone text,
+    meet_link text,
+    event_link text,
+    source_channel text,
+    contact_email text,
+    contact_phone text,
+    status text not null default 'confirmed',
+    recurrence jsonb,
+    series_end_time timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (calendar_email, event_id)
+  );
+  create index if not exists bookings_contact_email_idx on public.bookings (contact_email);
+  create index if not exists bookings_contact_phone_idx on public.bookings (contact_phone);
+  create index if not exists bookings_start_time_idx on public.bookings (start_time);
+  alter table public.bookings add column if not exists series_end_time timestamptz;
+`;
+
+let tableReady = null;
+
+// Creates the bookings table (once per process; retried after a failure)
+export function ensureBookingsTable() {
+  if (!tableReady) {
+    tableReady = pool.query(CREATE_BOOKINGS_TABLE).catch((error) => {
+      tableReady = null;
+      throw error;
+    });
+  }
+  return tableReady;
+}
+
+// Keeps only digits so "+371 2000-0000" and "37120000000" match
+// (a "+" in a query string arrives as a space, so it can't be relied on)
+export function normalizePhone(phone) {
+  if (!phone) return null;
+  const digits = String(phone).replace(/\D/g, "");
+  return digits || null;
+}
+
+function normalizeEmail(email) {
+  return email ? String(email).trim().toLowerCase() : null;
+}
+
+// End of the last occurrence of a recurring booking (the event's own end otherwise), so range
+// filters can match a series that started in the past
+function seriesEndTime(recurrence, startTime, endTime, timeZone) {
+  if (!recurrence) return endTime;
+  const occurrences = expandOccurrences(
+    recurrence,
+    new Date(startTime),
+    new Date(endTime),
+    timeZone || DEFAULT_TIMEZONE
+  );
+  return occurrences.length ? occurrences[occurrences.length - 1].end : endTime;
+}
+
+// Saves a booked event. Booking the same event again (same calendar and event id) updates the row.
+export async function saveBooking({
+  eventId,
+  calendarEmail,
+  title,
+  attendees = [],
+  startTime,
+  endTime,
+  timeZone,
+  meetLink,
+  eventLink,
+  sourceChannel,
+  contactEmail,
+  contactPhone,
+  status = "confirmed",
+  recurrence,
+}) {
+  await ensureBookingsTable();
+
+  const attendeeEmails = attendees
+    .map((attendee) =>
+      normalizeEmail(typeof attendee === "string" ? attendee : attendee?.email)
+    )
+    .filter(Boolean);
+
+  const { rows } = await pool.query(
+    `insert into public.bookings
+       (event_id, calendar_email, title, attendees, start_time, end_time, time_zone,
+        meet_link, event_link, source_channel, contact_email, contact_phone, status, recurrence,
+        series_end_time)
+     values ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+     on conflict (calendar_email, event_id) do update
+       set title = excluded.title,
+           attendees = excluded.attendees,
+           start_time = excluded.start_time,
+           end_time = excluded.end_time,
+           time_zone = excluded.time_zone,
+           meet_link = excluded.meet_link,
+           event_link = excluded.event_link,
+           source_channel = excluded.source_channel,
+           contact_email = excluded.contact_email,
+           contact_phone = excluded.contact_phone,
+           status = excluded.status,
+           recurrence = excluded.recurrence,
+           series_end_time = excluded.series_end_time,
+           updated_at = now()
+     returning ${BOOKING_COLUMNS}`,
+    [
+      eventId,
+      normalizeEmail(calendarEmail),
+      title ?? null,
+      JSON.stringify(attendeeEmails),
+      startTime,
+      endTime,
+      timeZone ?? null,
+      meetLink ?? null,
+      eventLink ?? null,
+      sourceChannel ?? null,
+      normalizeEmail(contactEmail) ?? attendeeEmails[0] ?? null,
+      normalizePhone(contactPhone),
+      status,
+      recurrence ? JSON.stringify(recurrence) : null,
+      seriesEndTime(recurrence, startTime, endTime, timeZone),
+    ]
+  );
+
+  return rows[0];
+}
+
+// Updates status, times and/or Meet link of the booking for a calendar event. Returns the row, or null if it isn't in the ledger.
+export async function updateBookingByEvent(
+  calendarEmail,
+  eventId,
+  { status, startTime, endTime, meetLink }
+) {
+  await ensureBookingsTable();
+
+  const { rows } = await pool.query(
+    `update public.bookings
+        set status = coalesce($3, status),
+            start_time = coalesce($4, start_time),
+            end_time = coalesce($5, end_time),
+            -- A moved series ends later or earlier by as much as its first occurrence moved
+            series_end_time = case
+              when $4::timestamptz is null then series_end_time
+              when recurrence is null then coalesce($5, end_time)
+              else series_end_time + ($4::timestamptz - start_time)
+            end,
+            meet_link = coalesce($6, meet_link),
+            updated_at = now()
+      where calendar_email = $1 and event_id = $2
+      returning ${BOOKING_COLUMNS}`,
+    [
+      normalizeEmail(calendarEmail),
+      eventId,
+      status ?? null,
+      startTime ?? null,
+      endTime ?? null,
+      meetLink ?? null,
+    ]
+  );
+
+  return rows[0] || null;
+}
+
+// Lists bookings matching an attendee/contact email or phone and/or a start time range, soonest first.
+// Filters: email, phone, from, to (Dates), status, limit
+export async function listBookings({
+  email,
+  phone,
+  from,
+  to,
+  status,
+  limit = 50,
+} = {}) {
+  await ensureBookingsTable();
+
+  const conditions = [];
+  const values = [];
+  const addValue = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  if (email) {
+    const emailParam = addValue(normalizeEmail(email));
+    conditions.push(
+      `(contact_email = ${emailParam} or attendees @> jsonb_build_array(${emailParam}::text))`
+    );
+  }
+  if (phone) {
+    conditions.push(`contact_phone = ${addValue(normalizePhone(phone))}`);
+  }
+  // Recurring bookings match while the series runs (rows saved before series_end_time existed
+  // always match from)
+  if (from) {
+    conditions.push(
+      `coalesce(series_end_time, case when recurrence is null then end_time else 'infinity' end) > ${addValue(
+        from
+      )}`
+    );
+  }
+  if (to) {
+    conditions.push(`start_time < ${addValue(to)}`);
+  }
+  if (status) {
+    conditions.push(`status = ${addValue(status)}`);
+  }
+
+  const where = conditions.length ? `where ${conditions.join(" and ")}` : "";
+  const { rows } = await pool.query(
+    `select ${BOOKING_COLUMNS}
+       from public.bookings
+       ${where}
+      order by start_time asc
+      limit ${addValue(limit)}`,
+    values
+  );
+
+  return rows;
+}
+
+// Fetches one booking by its ledger id or Google Calendar event id
+export async function getBooking(id) {
+  await ensureBookingsTable();
+
+  const { rows } = await pool.query(
+    `select ${BOOKING_COLUMNS}
+       from public.bookings
+      where id::text = $1 or event_id = $1
+      order by created_at desc
+      limit 1`,
+    [String(id)]
+  );
+
+  return rows[0] || null;
+}
+
+// Start times of a calendar's bookings (not cancelled) between from and to, with recurring
+// bookings expanded into their occurrences. Used to count bookings for the daily/weekly caps.
+export async function listBookingStarts(
+  calendarEmail,
+  from,
+  to,
+  { excludeEventId = null } = {}
+) {
+  await ensureBookingsTable();
+
+  const { rows } = await pool.query(
+    `select event_id, start_time, end_time, time_zone, recurrence
+       from public.bookings
+      where calendar_email = $1
+        and status <> 'cancelled'
+        and start_time < $3
+        and coalesce(series_end_time, case when recurrence is null then end_time else 'infinity' end) > $2
+        and ($4::text is null or event_id <> $4)`,
+    [normalizeEmail(calendarEmail), from, to, excludeEventId]
+  );
+
+  return rows
+    .flatMap((row) =>
+      row.recurrence
+        ? expandOccurrences(
+            row.recurrence,
+            new Date(row.start_time),
+            new Date(row.end_time),
+            row.time_zone || DEFAULT_TIMEZONE
+          ).map(({ start }) => start)
+        : [new Date(row.start_time)]
+    )
+    .filter((start) => start >= from && start < to);
+}
+
+// Returns which of a calendar's event ids are bookings in the ledger (not cancelled), as a Set
+export async function findBookedEventIds(calendarEmail, eventIds) {
+  await ensureBookingsTable();
+  if (eventIds.length === 0) return new Set();
+
+  const { rows } = await pool.query(
+    `select event_id
+       from public.bookings
+      where calendar_email = $1
+        and event_id = any($2::text[])
+        and status <> 'cancelled'`,
+    [normalizeEmail(calendarEmail), eventIds]
+  );
+
+  return new Set(rows.map(({ event_id }) => event_id));
+}
@@ -0,0 +1,777 @@
+import crypto from "crypto";
+import {
+  PRIVATE_PROPERTY,
+  buildCalendar,
+  parseCalendar,
+  serializeComponent,
+  getProperty,
+  unescapeText,
+  parseDateProperty,
+  parseDurationMinutes,
+  formatDateTimeValue,
+  formatProperty,
+} from "./ics.js";
+import { buildRecurrenceRules } from "./recurrence.js";
+import { DEFAULT_REMINDERS } from "./eventOptions.js";
+import {
+  formatISOWithOffset,
+  formatDateStr,
+  zonedTimeToUtc,
+} from "./timezone.js";
+
+// CalDAV (RFC 4791) calendars, e.g. Nextcloud, Radicale or Fastmail. Implements the calendar provider
+// methods (see calendarProviders.js) on top of one calendar collection: each event is an .ics resource
+// named after its UID. Events are returned in the Google Calendar event resource shape.
+// Busy times and listings use calendar-query REPORTs with server-side expansion of recurring events.
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Ids of expanded instances of a recurring event: `${uid}_${YYYYMMDDTHHMMSSZ}` (see toGoogleEvent)
+const INSTANCE_ID_PATTERN = /^(.+)_(\d{8}T\d{6}Z)$/;
+
+// iCalendar PARTSTAT -> Google Calendar attendee response status
+const RESPONSE_STATUSES = {
+  ACCEPTED: "accepted",
+  DECLINED: "declined",
+  TENTATIVE: "tentative",
+  "NEEDS-ACTION": "needsAction",
+};
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) =>
+      String.fromCodePoint(parseInt(hex, 16))
+    )
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// Text content of the first <prefix:name> element (any namespace prefix), or null
+function xmlElement(xml, name) {
+  const match = new RegExp(
+    `<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`
+  ).exec(xml);
+  return match ? decodeXml(match[1]) : null;
+}
+
+// Splits a multistatus response into [{ href, etag, calendarData }] (responses without calendar data are skipped)
+function parseMultistatus(xml) {
+  const responses =
+    xml.match(/<(?:[\w-]+:)?response\b[\s\S]*?<\/(?:[\w-]+:)?response>/g) || [];
+  return responses
+    .map((response) => ({
+      href: xmlElement(response, "href"),
+      etag: xmlElement(response, "getetag"),
+      calendarData: xmlElement(response, "calendar-data"),
+    }))
+    .filter(({ calendarData }) => calendarData);
+}
+
+// 20261019T120000Z, as used in time-range and expand
+function formatXmlTime(date) {
+  return formatDateTimeValue(new Date(date));
+}
+
+function calendarQuery(filter, { expandFrom, expandTo } = {}) {
+  const expand =
+    expandFrom && expandTo
+      ? `<c:expand start="${formatXmlTime(expandFrom)}" end="${formatXmlTime(
+          expandTo
+        )}"/>`
+      : "";
+  return `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop>
+    <d:getetag/>
+    <c:calendar-data>${expand}</c:calendar-data>
+  </d:prop>
+  <c:filter>
+    <c:comp-filter name="VCALENDAR">
+      <c:comp-filter name="VEVENT">${filter}</c:comp-filter>
+    </c:comp-filter>
+  </c:filter>
+</c:calendar-query>`;
+}
+
+function mailtoAddress(value) {
+  return unescapeText(value)
+    .replace(/^mailto:/i, "")
+    .trim();
+}
+
+// Maps a VEVENT to the Google Calendar event resource shape
+function toGoogleEvent(vevent, timeZone) {
+  const text = (name) => {
+    const property = getProperty(vevent, name);
+    return property ? unescapeText(property.value) : null;
+  };
+
+  const uid = text("UID");
+  const start = parseDateProperty(getProperty(vevent, "DTSTART"), timeZone);
+
+  let end;
+  const dtend = getProperty(vevent, "DTEND");
+  const duration = getProperty(vevent, "DURATION");
+  if (dtend) {
+    end = parseDateProperty(dtend, timeZone);
+  } else {
+    // No DTEND: DURATION, or one day for all-day events and zero length otherwise
+    const minutes = duration
+      ? parseDurationMinutes(duration.value)
+      : start.allDay
+      ? 24 * 60
+      : 0;
+    const date = new Date(start.date.getTime() + minutes * 60 * 1000);
+    end = {
+      ...start,
+      date,
+      dateStr: start.allDay ? formatDateStr(date, start.timeZone) : null,
+    };
+  }
+
+  const formatTime = ({ date, allDay, dateStr, timeZone: zone }) =>
+    allDay
+      ? { date: dateStr }
+      : { dateTime: formatISOWithOffset(date, zone), timeZone: zone };
+
+  // Expanded instances of a recurring event carry a RECURRENCE-ID
+  const recurrenceId = getProperty(vevent, "RECURRENCE-ID");
+  const instanceStart = recurrenceId
+    ? parseDateProperty(recurrenceId, timeZone).date
+    : null;
+
+  const organizer = getProperty(vevent, "ORGANIZER");
+  const status = (text("STATUS") || "").toUpperCase();
+  const transparency = (text("TRANSP") || "").toUpperCase();
+
+  const privateProperties = Object.fromEntries(
+    vevent.properties
+      .filter(
+        ({ name, params }) => name === PRIVATE_PROPERTY && params["X-KEY"]
+      )
+      .map(({ params, value }) => [params["X-KEY"], unescapeText(value)])
+  );
+
+  const reminders = vevent.components
+    .filter(({ name }) => name === "VALARM")
+    .map((alarm) => {
+      const minutes = parseDurationMinutes(
+        getProperty(alarm, "TRIGGER")?.value || ""
+      );
+      const action = getProperty(alarm, "ACTION")?.value.toUpperCase();
+      return minutes === null || minutes > 0
+        ? null
+        : { method: action === "EMAIL" ? "email" : "popup", minutes: -minutes };
+    })
+    .filter(Boolean);
+
+  const toIso = (name) => {
+    const property = getProperty(vevent, name);
+    return property
+      ? parseDateProperty(property, timeZone).date.toISOString()
+      : undefined;
+  };
+
+  return {
+    id: instanceStart ? `${uid}_${formatDateTimeValue(instanceStart)}` : uid,
+    iCalUID: uid,
+    ...(instanceStart && {
+      recurringEventId: uid,
+      originalStartTime: formatTime(parseDateProperty(recurrenceId, timeZone)),
+    }),
+    status:
+      status === "CANCELLED"
+        ? "cancelled"
+        : status === "TENTATIVE"
+        ? "tentative"
+        : "confirmed",
+    summary: text("SUMMARY") ?? "",
+    description: text("DESCRIPTION") ?? "",
+    location: text("LOCATION") ?? "",
+    start: formatTime(start),
+    end: formatTime(end),
+    ...(transparency === "TRANSPARENT" && { transparency: "transparent" }),
+    ...(organizer && {
+      organizer: {
+        email: mailtoAddress(organizer.value),
+        ...(organizer.params.CN && { displayName: organizer.params.CN }),
+      },
+    }),
+    attendees: vevent.properties
+      .filter(({ name }) => name === "ATTENDEE")
+      .map(({ params, value }) => ({
+        email: mailtoAddress(value),
+        ...(params.CN && { displayName: params.CN }),
+        responseStatus:
+          RESPONSE_STATUSES[(params.PARTSTAT || "").toUpperCase()] ||
+          "needsAction",
+        ...(params.ROLE?.toUpperCase() === "OPT-PARTICIPANT" && {
+          optional: true,
+        }),
+      })),
+    recurrence: vevent.properties
+      .filter(({ name }) => ["RRULE", "EXDATE", "RDATE"].includes(name))
+      .map(formatProperty),
+    reminders: { useDefault: false, overrides: reminders },
+    ...(Object.keys(privateProperties).length && {
+      extendedProperties: { private: privateProperties },
+    }),
+    sequence: Number(text("SEQUENCE")) || 0,
+    created: toIso("CREATED"),
+    updated: toIso("LAST-MODIFIED"),
+    htmlLink: null,
+  };
+}
+
+// Creates the provider for one CalDAV calendar. config: { url, username, password, timeZone }
+// (see calendarProviders.js); calendarId is the calendar's address, used as the organizer.
+export function createCalDavProvider(calendarId, config) {
+  const { url, username, password, timeZone } = config;
+  const authorization =
+    username || password
+      ? `Basic ${Buffer.from(`${username || ""}:${password || ""}`).toString(
+          "base64"
+        )}`
+      : null;
+
+  // Sends a request to the collection (or a resource in it). Throws descriptive errors for
+  // authentication failures and unexpected statuses; 404, 412 and 207 are left to the caller.
+  async function request(method, path, { body, headers = {} } = {}) {
+    let response;
+    try {
+      response = await fetch(new URL(path, url), {
+        method,
+        headers: {
+          ...(authorization && { Authorization: authorization }),
+          ...headers,
+        },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+    } catch (error) {
+      throw new Error(
+        `CalDAV server unreachable for ${calendarId}: ${error.message}`
+      );
+    }
+
+    if (response.status === 401 || response.status === 403) {
+      throw new Error(`Access denied to calendar: ${calendarId}`);
+    }
+    if (
+      !response.ok &&
+      response.status !== 404 &&
+      response.status !== 412 &&
+      response.status !== 207
+    ) {
+      throw new Error(
+        `CalDAV ${method} failed for ${calendarId}: ${response.status} ${response.statusText}`
+      );
+    }
+    return response;
+  }
+
+  async function report(body) {
+    const response = await request("REPORT", "", {
+      body,
+      headers: {
+        "Content-Type": "application/xml; charset=utf-8",
+        Depth: "1",
+      },
+    });
+    if (response.status === 404) {
+      throw new Error(`Calendar not found: ${calendarId}`);
+    }
+    return parseMultistatus(await response.text());
+  }
+
+  // Start or end of an event as a Date; all-day dates are read in the calendar's time zone
+  function eventTime({ date, dateTime }) {
+    if (dateTime) return new Date(dateTime);
+    const [year, month, day] = date.split("-").map(Number);
+    return zonedTimeToUtc({ year, month, day }, timeZone);
+  }
+
+  // All VEVENTs (expanded instances for recurring events) overlapping timeMin-timeMax
+  async function fetchEvents(timeMin, timeMax) {
+    const resources = await report(
+      calendarQuery(
+        `<c:time-range start="${formatXmlTime(timeMin)}" end="${formatXmlTime(
+          timeMax
+        )}"/>`,
+        { expandFrom: timeMin, expandTo: timeMax }
+      )
+    );
+
+    const events = [];
+    for (const { calendarData } of resources) {
+      for (const component of parseCalendar(calendarData)) {
+        for (const vevent of component.components) {
+          if (vevent.name !== "VEVENT") continue;
+          const event = toGoogleEvent(vevent, timeZone);
+          // Servers return whole resources; keep only the instances inside the window
+          if (
+            eventTime(event.start) < new Date(timeMax) &&
+            eventTime(event.end) > new Date(timeMin)
+          ) {
+            events.push(event);
+          }
+        }
+      }
+    }
+    return events;
+  }
+
+  // The series (or single) VEVENT of a resource, not its overridden instances
+  function masterEvent(calendar) {
+    const events = (calendar?.components || []).filter(
+      ({ name }) => name === "VEVENT"
+    );
+    const master =
+      events.find((vevent) => !getProperty(vevent, "RECURRENCE-ID")) ||
+      events[0];
+    if (!master) {
+      throw new Error("Event not found");
+    }
+    return master;
+  }
+
+  function resourceUid(calendar) {
+    const vevent = (calendar?.components || []).find(
+      ({ name }) => name === "VEVENT"
+    );
+    const uid = vevent && getProperty(vevent, "UID");
+    return uid ? unescapeText(uid.value) : null;
+  }
+
+  // Finds the resource of the event whose UID is exactly eventId: by the resource name we give our
+  // own events, then with a UID query (a substring match, so every result is checked)
+  async function findResource(eventId) {
+    const href = `${encodeURIComponent(eventId)}.ics`;
+    const response = await request("GET", href);
+    if (response.ok) {
+      const calendar = parseCalendar(await response.text())[0];
+      if (resourceUid(calendar) === eventId) {
+        return { href, etag: response.headers.get("etag"), calendar };
+      }
+    }
+
+    const resource = (
+      await report(
+        calendarQuery(
+          `<c:prop-filter name="UID"><c:text-match collation="i;octet">${escapeXml(
+            eventId
+          )}</c:text-match></c:prop-filter>`
+        )
+      )
+    )
+      .map((candidate) => ({
+        ...candidate,
+        calendar: parseCalendar(candidate.calendarData)[0],
+      }))
+      .find(({ calendar }) => resourceUid(calendar) === eventId);
+    if (!resource) {
+      throw new Error("Event not found");
+    }
+    return {
+      href: resource.href,
+      etag: resource.etag,
+      calendar: resource.calendar,
+    };
+  }
+
+  // The overridden instance (VEVENT with a RECURRENCE-ID) of the series starting at instanceStart, or null
+  function instanceOverride(calendar, instanceStart) {
+    return (
+      calendar.components.find((component) => {
+        const recurrenceId =
+          component.name === "VEVENT" &&
+          getProperty(component, "RECURRENCE-ID");
+        return (
+          recurrenceId &&
+          parseDateProperty(recurrenceId, timeZone).date.getTime() ===
+            instanceStart.getTime()
+        );
+      }) || null
+    );
+  }
+
+  // Resolves an event id to its resource. Ids of single instances of a recurring event (as listed by
+  // listEvents) resolve to the series' resource plus instanceStart and the instance; throws
+  // "Event not found" when the series has no such instance.
+  async function findEvent(eventId) {
+    try {
+      return { ...(await findResource(eventId)), instanceStart: null };
+    } catch (error) {
+      const match = INSTANCE_ID_PATTERN.exec(eventId);
+      if (error.message !== "Event not found" || !match) throw error;
+
+      const resource = await findResource(match[1]);
+      const instanceStart = parseDateProperty(
+        { name: "RECURRENCE-ID", params: {}, value: match[2] },
+        timeZone
+      ).date;
+      const override = instanceOverride(resource.calendar, instanceStart);
+      // Instances that weren't changed exist only in the series' rule; the server expands it
+      const instance = override
+        ? toGoogleEvent(override, timeZone)
+        : (
+            await fetchEvents(
+              instanceStart,
+              new Date(instanceStart.getTime() + 60 * 1000)
+            )
+          ).find(({ id }) => id === eventId);
+      if (!instance || instance.status === "cancelled") {
+        throw new Error("Event not found");
+      }
+      return { ...resource, instanceStart, instance };
+    }
+  }
+
+  // A RECURRENCE-ID or EXDATE for date, written the way the series' DTSTART is (same time zone
+  // and value type) so servers match it to the instance
+  function seriesTimeProperty(name, dtstart, date) {
+    const { allDay, timeZone: zone } = parseDateProperty(dtstart, timeZone);
+    if (allDay) {
+      return {
+        name,
+        params: { VALUE: "DATE" },
+        value: formatDateStr(date, zone || timeZone).replace(/-/g, ""),
+      };
+    }
+    if (dtstart.params.TZID) {
+      return {
+        name,
+        params: { TZID: dtstart.params.TZID },
+        value: formatDateTimeValue(date, zone),
+      };
+    }
+    return {
+      name,
+      params: {},
+      value: dtstart.value.endsWith("Z")
+        ? formatDateTimeValue(date)
+        : formatDateTimeValue(date, zone),
+    };
+  }
+
+  // Stores a changed resource, unless someone else changed it since it was read
+  async function saveResource(href, etag, calendar) {
+    const response = await request("PUT", href, {
+      body: serializeComponent(calendar),
+      headers: {
+        "Content-Type": "text/calendar; charset=utf-8",
+        ...(etag && { "If-Match": etag }),
+      },
+    });
+    if (response.status === 404) {
+      throw new Error("Event not found");
+    }
+    if (response.status === 412) {
+      throw new Error(
+        "Event was changed at the same time, please try again (conflict)"
+      );
+    }
+  }
+
+  return {
+    name: "caldav",
+
+    async freeBusy(timeMin, timeMax) {
+      const events = await fetchEvents(timeMin, timeMax);
+      return events
+        .filter(
+          ({ status, transparency }) =>
+            status !== "cancelled" && transparency !== "transparent"
+        )
+        .map(({ start, end }) => ({
+          // All-day events block the whole day in the calendar's time zone
+          start: new Date(
+            Math.max(eventTime(start), new Date(timeMin))
+          ).toISOString(),
+          end: new Date(
+            Math.min(eventTime(end), new Date(timeMax))
+          ).toISOString(),
+        }))
+        .sort((a, b) => new Date(a.start) - new Date(b.start));
+    },
+
+    async insertEvent(eventDetails) {
+      const locationType = eventDetails.locationType || "none";
+      if (locationType === "google_meet") {
+        throw new Error(
+          "Google Meet links can only be created in Google calendars (use another location_type)"
+        );
+      }
+
+      const eventTimeZone = eventDetails.timeZone || timeZone;
+      const uid = crypto.randomUUID();
+      const now = new Date();
+      const reminders = eventDetails.reminders || DEFAULT_REMINDERS;
+
+      const ics = buildCalendar(
+        [
+          {
+            uid,
+            title: eventDetails.title,
+            description: eventDetails.description || "",
+            location: eventDetails.location || "",
+            allDay: false,
+            start: eventDetails.startTime,
+            end: eventDetails.endTime,
+            timeZone: eventTimeZone,
+            recurrence: eventDetails.recurrence
+              ? buildRecurrenceRules(
+                  eventDetails.recurrence,
+                  eventDetails.startTime,
+                  eventTimeZone
+                )
+              : [],
+            status: "confirmed",
+            sequence: 0,
+            organizer: { email: calendarId },
+            attendees: (eventDetails.attendees || [])
+              .map((attendee) =>
+                typeof attendee === "string" ? { email: attendee } : attendee
+              )
+              .filter((attendee) => attendee?.email)
+              .map((attendee) => ({
+                email: attendee.email,
+                name: attendee.displayName || null,
+                optional: Boolean(attendee.optional),
+              })),
+            reminders: reminders.useDefault ? [] : reminders.overrides,
+            privateProperties: eventDetails.extendedProperties,
+            scheduleAgentClient: !eventDetails.sendNotifications,
+            created: now,
+            updated: now,
+          },
+        ],
+        { method: null }
+      );
+
+      const href = `${uid}.ics`;
+      const response = await request("PUT", href, {
+        body: ics,
+        headers: {
+          "Content-Type": "text/calendar; charset=utf-8",
+          "If-None-Match": "*",
+        },
+      });
+      if (response.status === 404) {
+        throw new Error(`Calendar not found: ${calendarId}`);
+      }
+      if (response.status === 412) {
+        throw new Error("Event already exists");
+      }
+
+      console.log("[caldav] Created event:", { calendar: calendarId, uid });
+
+      return {
+        ...toGoogleEvent(masterEvent(parseCalendar(ics)[0]), timeZone),
+        meetLink: null,
+        locationType,
+        conferenceStatus: null,
+      };
+    },
+
+    async getEvent(eventId) {
+      const { calendar, instance } = await findEvent(eventId);
+      return instance || toGoogleEvent(masterEvent(calendar), timeZone);
+    },
+
+    // Moves the event; it keeps its own time zone (or UTC when that isn't an IANA zone).
+    // Moving one instance of a recurring event stores it as an override (RECURRENCE-ID).
+    async patchEvent(
+      eventId,
+      { startTime, endTime, sendNotifications = true }
+    ) {
+      const { href, etag, calendar, instanceStart, instance } = await findEvent(
+        eventId
+      );
+      let vevent = masterEvent(calendar);
+      if (instanceStart) {
+        const override = instanceOverride(calendar, instanceStart);
+        if (override) {
+          vevent = override;
+        } else {
+          // A copy of the series for this instance only, at its original time
+          const dtstart = getProperty(vevent, "DTSTART");
+          const instanceEnd = new Date(
+            instanceStart.getTime() +
+              (eventTime(instance.end) - eventTime(instance.start))
+          );
+          const copy = structuredClone(vevent);
+          copy.properties = copy.properties.filter(
+            ({ name }) =>
+              ![
+                "RRULE",
+                "RDATE",
+                "EXDATE",
+                "DTSTART",
+                "DTEND",
+                "DURATION",
+              ].includes(name)
+          );
+          copy.properties.push(
+            seriesTimeProperty("RECURRENCE-ID", dtstart, instanceStart),
+            seriesTimeProperty("DTSTART", dtstart, instanceStart),
+            seriesTimeProperty("DTEND", dtstart, instanceEnd)
+          );
+          calendar.components.push(copy);
+          vevent = copy;
+        }
+      }
+
+      const dtstart = getProperty(vevent, "DTSTART");
+      const current = toGoogleEvent(vevent, timeZone);
+      if (!current.start.dateTime) {
+        throw new Error("All-day events can't be rescheduled");
+      }
+      const newEndTime =
+        endTime ||
+        new Date(
+          startTime.getTime() +
+            (new Date(current.end.dateTime) - new Date(current.start.dateTime))
+        );
+
+      const zone =
+        dtstart.params.TZID && current.start.timeZone === dtstart.params.TZID
+          ? dtstart.params.TZID
+          : null;
+      const setTime = (name, date) => {
+        const value = formatDateTimeValue(date, zone);
+        const params = zone ? { TZID: zone } : {};
+        vevent.properties = vevent.properties.filter(
+          (property) => property.name !== name
+        );
+        vevent.properties.push({ name, params, value });
+      };
+      setTime("DTSTART", startTime);
+      setTime("DTEND", newEndTime);
+      vevent.properties = vevent.properties.filter(
+        ({ name }) => name !== "DURATION"
+      );
+
+      const now = formatDateTimeValue(new Date());
+      const setValue = (name, value) => {
+        vevent.properties = vevent.properties.filter(
+          (property) => property.name !== name
+        );
+        vevent.properties.push({ name, params: {}, value });
+      };
+      setValue("SEQUENCE", String(current.sequence + 1));
+      setValue("DTSTAMP", now);
+      setValue("LAST-MODIFIED", now);
+
+      for (const property of vevent.properties) {
+        if (property.name !== "ATTENDEE") continue;
+        if (sendNotifications) {
+          delete property.params["SCHEDULE-AGENT"];
+        } else {
+          property.params["SCHEDULE-AGENT"] = "CLIENT";
+        }
+      }
+
+      await saveResource(href, etag, calendar);
+
+      return { ...toGoogleEvent(vevent, timeZone), meetLink: null };
+    },
+
+    // Deletes the event; for one instance of a recurring event, the instance is excluded from
+    // the series (EXDATE) instead
+    async deleteEvent(eventId) {
+      const { href, etag, calendar, instanceStart } = await findEvent(eventId);
+      if (instanceStart) {
+        const master = masterEvent(calendar);
+        calendar.components = calendar.components.filter(
+          (component) => component !== instanceOverride(calendar, instanceStart)
+        );
+        master.properties.push(
+          seriesTimeProperty(
+            "EXDATE",
+            getProperty(master, "DTSTART"),
+            instanceStart
+          )
+        );
+        const sequence = getProperty(master, "SEQUENCE");
+        master.properties = master.properties.filter(
+          ({ name }) => !["SEQUENCE", "DTSTAMP", "LAST-MODIFIED"].includes(name)
+        );
+        const now = formatDateTimeValue(new Date());
+        master.properties.push(
+          {
+            name: "SEQUENCE",
+            params: {},
+            value: String((Number(sequence?.value) || 0) + 1),
+          },
+          { name: "DTSTAMP", params: {}, value: now },
+          { name: "LAST-MODIFIED", params: {}, value: now }
+        );
+        await saveResource(href, etag, calendar);
+
+        console.log("[caldav] Cancelled event instance:", {
+          calendar: calendarId,
+          eventId,
+        });
+        return { id: eventId, status: "cancelled" };
+      }
+
+      const response = await request("DELETE", href);
+      if (response.status === 404) {
+        throw new Error("Event not found (already deleted)");
+      }
+
+      console.log("[caldav] Cancelled event:", {
+        calendar: calendarId,
+        eventId,
+      });
+
+      return { id: eventId, status: "cancelled" };
+    },
+
+    async listEvents(
+      timeMin,
+      timeMax,
+      { query, attendeeEmail, privateProperties, maxResults = 50 } = {}
+    ) {
+      const attendee = attendeeEmail?.toLowerCase();
+      const words = query?.toLowerCase();
+
+      return (await fetchEvents(timeMin, timeMax))
+        .filter(
+          (event) =>
+            event.status !== "cancelled" &&
+            (!attendee ||
+              event.attendees.some(
+                ({ email }) => email.toLowerCase() === attendee
+              )) &&
+            (!words ||
+              [
+                event.summary,
+                event.description,
+                event.location,
+                ...event.attendees.map(({ email }) => email),
+              ].some((field) => field?.toLowerCase().includes(words))) &&
+            Object.entries(privateProperties || {}).every(
+              ([key, value]) =>
+                event.extendedProperties?.private?.[key] === String(value)
+            )
+        )
+        .sort((a, b) => eventTime(a.start) - eventTime(b.start))
+        .slice(0, maxResults);
+    },
+  };
+}
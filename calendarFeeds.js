@@ -0,0 +1,152 @@
+import crypto from "crypto";
+import pool from "./db.js";
+import { isValidTimeZone } from "./timezone.js";
+
+// Subscribable .ics feeds of a calendar's upcoming bookings, served at /calendar/:slug.ics?token=...
+// Only a SHA-256 hash of each feed's token is stored; the token itself is returned once, when the
+// feed is created or its token is rotated.
+
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,62}[a-z0-9])?$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const CREATE_CALENDAR_FEEDS_TABLE = `
+  create table if not exists public.calendar_feeds (
+    slug text primary key,
+    google_calendar_email text not null,
+    token_hash text not null,
+    name text,
+    timezone text not null,
+    days integer not null default 60,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+  );
+`;
+
+const FEED_COLUMNS = `slug, google_calendar_email, name, timezone, days, created_at, updated_at`;
+
+let tableReady = null;
+
+// Creates the calendar_feeds table (once per process; retried after a failure)
+function ensureCalendarFeedsTable() {
+  if (!tableReady) {
+    tableReady = pool.query(CREATE_CALENDAR_FEEDS_TABLE).catch((error) => {
+      tableReady = null;
+      throw error;
+    });
+  }
+  return tableReady;
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Validates a feed from the request body and returns it normalized. Throws a descriptive error.
+export function normalizeCalendarFeed(spec) {
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+    throw new Error("Calendar feed must be an object");
+  }
+
+  const slug = String(spec.slug || "").toLowerCase();
+  if (!SLUG_PATTERN.test(slug)) {
+    throw new Error(
+      "slug must be 1-64 lowercase letters, digits and dashes (not starting or ending with a dash)"
+    );
+  }
+
+  if (
+    !spec.google_calendar_email ||
+    !EMAIL_PATTERN.test(spec.google_calendar_email)
+  ) {
+    throw new Error("google_calendar_email must be a valid email format");
+  }
+
+  const timezone = spec.timezone || "Europe/Riga";
+  if (!isValidTimeZone(timezone)) {
+    throw new Error(`Invalid timezone: ${timezone}`);
+  }
+
+  const days = Number(spec.days ?? 60);
+  if (!Number.isInteger(days) || days < 1 || days > 366) {
+    throw new Error("days must be an integer between 1 and 366");
+  }
+
+  return {
+    slug,
+    google_calendar_email: spec.google_calendar_email.toLowerCase(),
+    name: spec.name ? String(spec.name) : null,
+    timezone,
+    days,
+  };
+}
+
+// Creates or updates a feed (normalized). A new feed, or rotateToken, gets a fresh token,
+// returned as `token`; otherwise the existing token keeps working and `token` is null.
+export async function saveCalendarFeed(feed, { rotateToken = false } = {}) {
+  await ensureCalendarFeedsTable();
+
+  const token = crypto.randomBytes(24).toString("base64url");
+  const { rows } = await pool.query(
+    `insert into public.calendar_feeds
+       (slug, google_calendar_email, token_hash, name, timezone, days)
+     values ($1, $2, $3, $4, $5, $6)
+     on conflict (slug) do update
+       set google_calendar_email = excluded.google_calendar_email,
+           token_hash = case when $7 then excluded.token_hash
+                             else public.calendar_feeds.token_hash end,
+           name = excluded.name,
+           timezone = excluded.timezone,
+           days = excluded.days,
+           updated_at = now()
+     returning ${FEED_COLUMNS}, token_hash = $3 as token_issued`,
+    [
+      feed.slug,
+      feed.google_calendar_email,
+      hashToken(token),
+      feed.name,
+      feed.timezone,
+      feed.days,
+      rotateToken,
+    ]
+  );
+
+  const { token_issued, ...saved } = rows[0];
+  return { ...saved, token: token_issued ? token : null };
+}
+
+// Fetches a feed if the token matches it, otherwise null
+export async function getCalendarFeedByToken(slug, token) {
+  await ensureCalendarFeedsTable();
+  if (!token) return null;
+
+  const { rows } = await pool.query(
+    `select ${FEED_COLUMNS}, token_hash from public.calendar_feeds where slug = $1`,
+    [String(slug).toLowerCase()]
+  );
+  if (!rows[0]) return null;
+
+  const { token_hash, ...feed } = rows[0];
+  const expected = Buffer.from(token_hash, "hex");
+  const actual = Buffer.from(hashToken(token), "hex");
+  return crypto.timingSafeEqual(expected, actual) ? feed : null;
+}
+
+export async function listCalendarFeeds() {
+  await ensureCalendarFeedsTable();
+
+  const { rows } = await pool.query(
+    `select ${FEED_COLUMNS} from public.calendar_feeds order by slug`
+  );
+  return rows;
+}
+
+// Deletes a feed. Returns false if it didn't exist.
+export async function deleteCalendarFeed(slug) {
+  await ensureCalendarFeedsTable();
+
+  const { rowCount } = await pool.query(
+    `delete from public.calendar_feeds where slug = $1`,
+    [String(slug).toLowerCase()]
+  );
+  return rowCount > 0;
+}
@@ -0,0 +1,80 @@
+import { DEFAULT_TIMEZONE, isValidTimeZone } from "./timezone.js";
+
+// Which backend serves each calendar. Calendars are Google Calendar (service account with DWD) unless
+// they are listed in CALDAV_CALENDARS (secret - not from body), a JSON object keyed by the calendar
+// address used in requests (google_calendar_email), e.g.
+//   {"anna@fastmail.com": {"url": "https://caldav.fastmail.com/dav/calendars/user/anna@fastmail.com/Default/",
+//                          "username": "anna@fastmail.com", "password": "app-password", "timezone": "Europe/Riga"}}
+//
+// Every provider (see getCalendarProvider in gCalendar.js) implements:
+//   freeBusy(timeMin, timeMax)               -> [{ start, end }] busy periods (ISO strings)
+//   insertEvent(eventDetails)                -> created event (+ meetLink, locationType, conferenceStatus)
+//   getEvent(eventId)                        -> event
+//   patchEvent(eventId, { startTime, endTime, timeZone, sendNotifications }) -> moved event (+ meetLink)
+//   deleteEvent(eventId, { sendNotifications }) -> { id, status: "cancelled" }
+//   listEvents(timeMin, timeMax, { query, attendeeEmail, privateProperties, maxResults })
+//                                            -> events, recurring events expanded into instances
+// Events are in the Google Calendar event resource shape, whatever the backend.
+
+let parsedSource = null;
+let parsedCalendars = {};
+
+// Parses CALDAV_CALENDARS (re-parsed only when the variable changes). Throws on invalid JSON or entries.
+function loadCalDavCalendars() {
+  const source = process.env.CALDAV_CALENDARS || "";
+  if (source === parsedSource) return parsedCalendars;
+
+  let calendars = {};
+  if (source) {
+    try {
+      calendars = JSON.parse(source);
+    } catch (e) {
+      throw new Error(
+        "CALDAV_CALENDARS environment variable contains invalid JSON"
+      );
+    }
+    if (!calendars || typeof calendars !== "object") {
+      throw new Error("CALDAV_CALENDARS must be an object keyed by calendar");
+    }
+  }
+
+  const normalized = {};
+  for (const [calendarId, config] of Object.entries(calendars)) {
+    let url;
+    try {
+      url = new URL(config?.url);
+    } catch (e) {
+      throw new Error(`CALDAV_CALENDARS.${calendarId}.url must be a URL`);
+    }
+    if (url.protocol !== "https:" && url.protocol !== "http:") {
+      throw new Error(`CALDAV_CALENDARS.${calendarId}.url must be http(s)`);
+    }
+    const timeZone = config.timezone || DEFAULT_TIMEZONE;
+    if (!isValidTimeZone(timeZone)) {
+      throw new Error(`Invalid timezone for ${calendarId}: ${timeZone}`);
+    }
+
+    normalized[calendarId.toLowerCase()] = {
+      provider: "caldav",
+      // The calendar collection; event resources are created inside it
+      url: url.href.endsWith("/") ? url.href : `${url.href}/`,
+      username: config.username ? String(config.username) : null,
+      password: config.password ? String(config.password) : null,
+      // Used for all-day and floating-time events
+      timeZone,
+    };
+  }
+
+  parsedSource = source;
+  parsedCalendars = normalized;
+  return normalized;
+}
+
+// Returns the calendar's backend config: { provider: "google" } or { provider: "caldav", url, username, password, timeZone }
+export function getCalendarConfig(calendarId) {
+  return (
+    loadCalDavCalendars()[String(calendarId).toLowerCase()] || {
+      provider: "google",
+    }
+  );
+}
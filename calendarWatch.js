@@ -0,0 +1,569 @@
+import crypto from "crypto";
+import pool from "./db.js";
+import {
+  watchCalendarEvents,
+  stopCalendarChannel,
+  listCalendarChanges,
+  withCalendarLock,
+} from "./gCalendar.js";
+
+// Google Calendar push notifications turned into booking events for n8n.
+// Each watched calendar has one push channel (events.watch) and a sync token. When Google pings the
+// receiver, the changes since the sync token are pulled and compared with the last known state of
+// each event (snapshots), which yields event.cancelled, event.moved, attendee.declined and
+// attendee.accepted. Channels are renewed before they expire.
+
+// Requested channel lifetime (Google caps it, usually at 7 days)
+const CHANNEL_TTL_SECONDS = 7 * 24 * 60 * 60;
+// Renew channels that expire within this window
+const RENEW_BEFORE_MS = 24 * 60 * 60 * 1000;
+// How often to look for channels to renew
+const RENEW_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+// Full syncs skip events that ended more than this long ago
+const FULL_SYNC_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+const CREATE_WATCH_TABLES = `
+  create table if not exists public.calendar_watches (
+    calendar_email text primary key,
+    channel_id text not null unique,
+    resource_id text,
+    token text not null,
+    expiration timestamptz,
+    sync_token text,
+    n8n_webhook_url text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+  );
+  create table if not exists public.calendar_event_snapshots (
+    calendar_email text not null,
+    event_id text not null,
+    summary text,
+    status text,
+    start_time text,
+    end_time text,
+    attendees jsonb not null default '{}'::jsonb,
+    html_link text,
+    updated_at timestamptz not null default now(),
+    primary key (calendar_email, event_id)
+  );
+`;
+
+let tablesReady = null;
+
+// Creates the watch tables (once per process; retried after a failure)
+function ensureWatchTables() {
+  if (!tablesReady) {
+    tablesReady = pool.query(CREATE_WATCH_TABLES).catch((error) => {
+      tablesReady = null;
+      throw error;
+    });
+  }
+  return tablesReady;
+}
+
+// Parses the service account key from GOOGLE_CREDENTIALS (secret - not from body)
+function loadCredentials() {
+  if (!process.env.GOOGLE_CREDENTIALS) {
+    throw new Error("GOOGLE_CREDENTIALS environment variable is missing");
+  }
+  return JSON.parse(process.env.GOOGLE_CREDENTIALS);
+}
+
+// Public URL of the notification receiver (routes/calendarWebhook.js)
+function notificationAddress() {
+  const address = process.env.CALENDAR_WEBHOOK_ADDRESS;
+  if (!address) {
+    throw new Error("CALENDAR_WEBHOOK_ADDRESS environment variable is missing");
+  }
+  return address;
+}
+
+// Start/end of an event as stored in snapshots (dateTime, or date for all-day events)
+function eventTime(time) {
+  return time?.dateTime || time?.date || null;
+}
+
+// Attendee response statuses keyed by email, without the calendar owner's own entry
+function attendeeStatuses(event) {
+  return Object.fromEntries(
+    (event.attendees || [])
+      .filter((attendee) => attendee.email && !attendee.self)
+      .map((attendee) => [
+        attendee.email.toLowerCase(),
+        attendee.responseStatus || "needsAction",
+      ])
+  );
+}
+
+// Compares an event from Google with its last known snapshot and returns normalized booking events.
+// Events seen for the first time only produce event.moved when they are a moved instance of a
+// recurring event (originalStartTime differs from start).
+export function normalizeEventChanges(calendarEmail, event, snapshot) {
+  const base = {
+    calendar: calendarEmail,
+    event_id: event.id,
+    recurring_event_id: event.recurringEventId || null,
+    summary: event.summary ?? snapshot?.summary ?? null,
+    event_link: event.htmlLink ?? snapshot?.html_link ?? null,
+    start: eventTime(event.start) ?? snapshot?.start_time ?? null,
+    end: eventTime(event.end) ?? snapshot?.end_time ?? null,
+    // Private properties set at booking (e.g. crm_lead_id); Google may omit them on deleted events
+    extended_properties: event.extendedProperties?.private ?? null,
+  };
+
+  if (event.status === "cancelled") {
+    // Unknown cancelled events are only reported for instances of recurring events
+    if (!snapshot && !event.recurringEventId) return [];
+    if (snapshot?.status === "cancelled") return [];
+    return [{ type: "event.cancelled", ...base }];
+  }
+
+  const changes = [];
+  const previousStart = snapshot
+    ? snapshot.start_time
+    : eventTime(event.originalStartTime);
+  const previousEnd = snapshot ? snapshot.end_time : null;
+  if (
+    previousStart &&
+    (previousStart !== base.start || (previousEnd && previousEnd !== base.end))
+  ) {
+    changes.push({
+      type: "event.moved",
+      ...base,
+      previous: { start: previousStart, end: previousEnd },
+    });
+  }
+
+  if (snapshot) {
+    const previousStatuses = snapshot.attendees || {};
+    for (const [email, responseStatus] of Object.entries(
+      attendeeStatuses(event)
+    )) {
+      if (
+        ["accepted", "declined"].includes(responseStatus) &&
+        previousStatuses[email] !== responseStatus
+      ) {
+        changes.push({
+          type: `attendee.${responseStatus}`,
+          ...base,
+          attendee: { email, response_status: responseStatus },
+        });
+      }
+    }
+  }
+
+  return changes;
+}
+
+// Sends a normalized booking event to n8n (failures are logged, not retried)
+async function emitBookingEvent(webhookUrl, payload) {
+  if (!webhookUrl) {
+    console.log(
+      "[calendarWatch] No n8n webhook configured, dropping:",
+      payload.type
+    );
+    return;
+  }
+
+  try {
+    const response = await fetch(webhookUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+    });
+    if (!response.ok) {
+      console.error(
+        `[calendarWatch] n8n webhook responded ${response.status} for ${payload.type}`
+      );
+    }
+  } catch (error) {
+    console.error(
+      "[calendarWatch] Failed to forward booking event to n8n:",
+      error.message
+    );
+  }
+}
+
+async function loadSnapshots(calendarEmail, eventIds) {
+  if (eventIds.length === 0) return new Map();
+  const { rows } = await pool.query(
+    `select event_id, summary, status, start_time, end_time, attendees, html_link
+       from public.calendar_event_snapshots
+      where calendar_email = $1 and event_id = any($2)`,
+    [calendarEmail, eventIds]
+  );
+  return new Map(rows.map((row) => [row.event_id, row]));
+}
+
+async function saveSnapshot(calendarEmail, event) {
+  await pool.query(
+    `insert into public.calendar_event_snapshots
+       (calendar_email, event_id, summary, status, start_time, end_time, attendees, html_link)
+     values ($1, $2, $3, $4, $5, $6, $7, $8)
+     on conflict (calendar_email, event_id) do update
+       set summary = excluded.summary,
+           status = excluded.status,
+           start_time = excluded.start_time,
+           end_time = excluded.end_time,
+           attendees = excluded.attendees,
+           html_link = excluded.html_link,
+           updated_at = now()`,
+    [
+      calendarEmail,
+      event.id,
+      event.summary ?? null,
+      event.status ?? null,
+      eventTime(event.start),
+      eventTime(event.end),
+      JSON.stringify(attendeeStatuses(event)),
+      event.htmlLink ?? null,
+    ]
+  );
+}
+
+// Whether an event is still worth tracking (not over yet)
+function isUpcoming(event, now = new Date()) {
+  const end = eventTime(event.end);
+  return !end || new Date(end) >= now;
+}
+
+// Full sync: records the current state of upcoming events and returns a fresh sync token.
+// When compare is true, differences with the stored snapshots are emitted (used after the
+// sync token expired, so changes in between are not lost); snapshots missing from Google count as cancelled.
+async function fullSync(key, watch, { compare = false } = {}) {
+  const { events, nextSyncToken } = await listCalendarChanges(
+    key,
+    watch.calendar_email,
+    null,
+    { timeMin: new Date(Date.now() - FULL_SYNC_LOOKBACK_MS) }
+  );
+  const upcoming = events.filter(
+    (event) => event.status !== "cancelled" && isUpcoming(event)
+  );
+
+  const changes = [];
+  if (compare) {
+    const { rows } = await pool.query(
+      `select event_id, summary, status, start_time, end_time, attendees, html_link
+         from public.calendar_event_snapshots
+        where calendar_email = $1`,
+      [watch.calendar_email]
+    );
+    const snapshots = new Map(rows.map((row) => [row.event_id, row]));
+    for (const event of upcoming) {
+      const snapshot = snapshots.get(event.id);
+      if (snapshot) {
+        changes.push(
+          ...normalizeEventChanges(watch.calendar_email, event, snapshot)
+        );
+      }
+      snapshots.delete(event.id);
+    }
+    for (const snapshot of snapshots.values()) {
+      if (
+        snapshot.status !== "cancelled" &&
+        isUpcoming({ end: { dateTime: snapshot.end_time } })
+      ) {
+        changes.push(
+          ...normalizeEventChanges(
+            watch.calendar_email,
+            { id: snapshot.event_id, status: "cancelled" },
+            snapshot
+          )
+        );
+      }
+    }
+  }
+
+  await pool.query(
+    `delete from public.calendar_event_snapshots where calendar_email = $1`,
+    [watch.calendar_email]
+  );
+  for (const event of upcoming) {
+    await saveSnapshot(watch.calendar_email, event);
+  }
+
+  return { changes, syncToken: nextSyncToken };
+}
+
+// Pulls the changes since the stored sync token, emits booking events and stores the new token
+export async function syncCalendarChanges(watch) {
+  const key = loadCredentials();
+
+  return withCalendarLock(`sync:${watch.calendar_email}`, async () => {
+    // Re-read the watch so a sync that queued behind another one uses the latest token
+    const {
+      rows: [current],
+    } = await pool.query(
+      `select * from public.calendar_watches where calendar_email = $1`,
+      [watch.calendar_email]
+    );
+    if (!current) return { changes: [] };
+
+    let changes = [];
+    let syncToken;
+    try {
+      const result = await listCalendarChanges(
+        key,
+        current.calendar_email,
+        current.sync_token
+      );
+      syncToken = result.nextSyncToken;
+
+      const snapshots = await loadSnapshots(
+        current.calendar_email,
+        result.events.map((event) => event.id)
+      );
+      for (const event of result.events) {
+        changes.push(
+          ...normalizeEventChanges(
+            current.calendar_email,
+            event,
+            snapshots.get(event.id)
+          )
+        );
+        if (event.status === "cancelled") {
+          await pool.query(
+            `delete from public.calendar_event_snapshots
+              where calendar_email = $1 and event_id = $2`,
+            [current.calendar_email, event.id]
+          );
+        } else {
+          await saveSnapshot(current.calendar_email, event);
+        }
+      }
+    } catch (error) {
+      if (error.code !== 410) throw error;
+      console.log(
+        `[calendarWatch] Sync token expired for ${current.calendar_email}, running full sync`
+      );
+      ({ changes, syncToken } = await fullSync(key, current, {
+        compare: true,
+      }));
+    }
+
+    await pool.query(
+      `update public.calendar_watches
+          set sync_token = $2, updated_at = now()
+        where calendar_email = $1`,
+      [current.calendar_email, syncToken]
+    );
+
+    const webhookUrl = current.n8n_webhook_url || process.env.N8N_CALENDAR_URL;
+    for (const change of changes) {
+      await emitBookingEvent(webhookUrl, {
+        ...change,
+        occurred_at: new Date().toISOString(),
+      });
+    }
+
+    console.log(
+      `[calendarWatch] Synced ${current.calendar_email}: ${changes.length} booking event(s)`
+    );
+    return { changes };
+  });
+}
+
+// Opens a push channel for the calendar and returns the new channel fields
+async function openChannel(key, calendarEmail) {
+  const channelId = crypto.randomUUID();
+  const token = crypto.randomBytes(24).toString("hex");
+  const channel = await watchCalendarEvents(key, calendarEmail, {
+    channelId,
+    token,
+    address: notificationAddress(),
+    ttlSeconds: CHANNEL_TTL_SECONDS,
+  });
+  return { ...channel, token };
+}
+
+// Starts (or restarts) watching a calendar: full sync for a sync token, then a new push channel.
+// n8nWebhookUrl overrides N8N_CALENDAR_URL for this calendar.
+export async function startCalendarWatch(
+  calendarEmail,
+  { n8nWebhookUrl } = {}
+) {
+  await ensureWatchTables();
+  const key = loadCredentials();
+  const email = calendarEmail.toLowerCase();
+
+  const {
+    rows: [existing],
+  } = await pool.query(
+    `select * from public.calendar_watches where calendar_email = $1`,
+    [email]
+  );
+
+  const { syncToken } = await fullSync(key, { calendar_email: email });
+  const channel = await openChannel(key, email);
+
+  const {
+    rows: [watch],
+  } = await pool.query(
+    `insert into public.calendar_watches
+       (calendar_email, channel_id, resource_id, token, expiration, sync_token, n8n_webhook_url)
+     values ($1, $2, $3, $4, $5, $6, $7)
+     on conflict (calendar_email) do update
+       set channel_id = excluded.channel_id,
+           resource_id = excluded.resource_id,
+           token = excluded.token,
+           expiration = excluded.expiration,
+           sync_token = excluded.sync_token,
+           n8n_webhook_url = excluded.n8n_webhook_url,
+           updated_at = now()
+     returning calendar_email, channel_id, expiration, n8n_webhook_url`,
+    [
+      email,
+      channel.channelId,
+      channel.resourceId,
+      channel.token,
+      channel.expiration,
+      syncToken,
+      n8nWebhookUrl ?? null,
+    ]
+  );
+
+  // The previous channel keeps sending notifications until stopped
+  if (existing) {
+    await stopCalendarChannel(key, email, {
+      channelId: existing.channel_id,
+      resourceId: existing.resource_id,
+    }).catch((error) =>
+      console.error(
+        "[calendarWatch] Failed to stop previous channel:",
+        error.message
+      )
+    );
+  }
+
+  console.log("[calendarWatch] Watching calendar:", {
+    calendar: email,
+    channel: watch.channel_id,
+    expiration: watch.expiration,
+  });
+  return watch;
+}
+
+// Stops watching a calendar. Returns false if it wasn't watched.
+export async function stopCalendarWatch(calendarEmail) {
+  await ensureWatchTables();
+  const email = calendarEmail.toLowerCase();
+
+  const {
+    rows: [watch],
+  } = await pool.query(
+    `delete from public.calendar_watches where calendar_email = $1 returning *`,
+    [email]
+  );
+  if (!watch) return false;
+
+  await pool.query(
+    `delete from public.calendar_event_snapshots where calendar_email = $1`,
+    [email]
+  );
+  await stopCalendarChannel(loadCredentials(), email, {
+    channelId: watch.channel_id,
+    resourceId: watch.resource_id,
+  });
+
+  console.log("[calendarWatch] Stopped watching calendar:", email);
+  return true;
+}
+
+// Lists watched calendars (without channel tokens)
+export async function listCalendarWatches() {
+  await ensureWatchTables();
+  const { rows } = await pool.query(
+    `select calendar_email, channel_id, expiration, n8n_webhook_url, created_at, updated_at
+       from public.calendar_watches
+      order by calendar_email`
+  );
+  return rows;
+}
+
+// Looks up the watch for a notification and checks its channel token.
+// Returns the watch, or null when the channel is unknown or the token doesn't match.
+export async function verifyChannel(channelId, token) {
+  if (!channelId || !token) return null;
+  await ensureWatchTables();
+
+  const {
+    rows: [watch],
+  } = await pool.query(
+    `select * from public.calendar_watches where channel_id = $1`,
+    [channelId]
+  );
+  if (!watch) return null;
+
+  const expected = Buffer.from(watch.token);
+  const received = Buffer.from(String(token));
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return null;
+  }
+  return watch;
+}
+
+// Replaces channels that expire within RENEW_BEFORE_MS. The sync token is kept, so no changes are lost.
+export async function renewExpiringChannels() {
+  await ensureWatchTables();
+  const key = loadCredentials();
+
+  const { rows } = await pool.query(
+    `select * from public.calendar_watches
+      where expiration is null or expiration < $1`,
+    [new Date(Date.now() + RENEW_BEFORE_MS)]
+  );
+
+  for (const watch of rows) {
+    try {
+      const channel = await openChannel(key, watch.calendar_email);
+      await pool.query(
+        `update public.calendar_watches
+            set channel_id = $2, resource_id = $3, token = $4, expiration = $5, updated_at = now()
+          where calendar_email = $1`,
+        [
+          watch.calendar_email,
+          channel.channelId,
+          channel.resourceId,
+          channel.token,
+          channel.expiration,
+        ]
+      );
+      await stopCalendarChannel(key, watch.calendar_email, {
+        channelId: watch.channel_id,
+        resourceId: watch.resource_id,
+      }).catch((error) =>
+        console.error(
+          "[calendarWatch] Failed to stop expiring channel:",
+          error.message
+        )
+      );
+      console.log("[calendarWatch] Renewed channel:", {
+        calendar: watch.calendar_email,
+        expiration: channel.expiration,
+      });
+    } catch (error) {
+      console.error(
+        `[calendarWatch] Failed to renew channel for ${watch.calendar_email}:`,
+        error.message
+      );
+    }
+  }
+
+  return rows.length;
+}
+
+// Checks for expiring channels now and then every RENEW_CHECK_INTERVAL_MS
+export function startChannelRenewal() {
+  const run = () =>
+    renewExpiringChannels().catch((error) =>
+      console.error("[calendarWatch] Channel renewal failed:", error.message)
+    );
+  run();
+  const timer = setInterval(run, RENEW_CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
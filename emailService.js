@@ -1,4 +1,99 @@
 import { google } from "googleapis";
+import { parseDateTimeInZone } from "./timezone.js";
+import { describeLocation } from "./location.js";
+import { escapeHtml, isHttpUrl, renderMarkdown } from "./html.js";
+import { buildCalendar } from "./ics.js";
+import { buildMimeMessage } from "./mime.js";
+import { formatDuration, getLanguagePack } from "./locales.js";
+import { randomUUID } from "crypto";
+
+// Larger messages are sent as a media upload instead of the JSON request body
+const MAX_RAW_MESSAGE_BYTES = 4 * 1024 * 1024;
+
+// Date, time, duration and location shown in event emails, in the email's language and the
+// event's timezone
+function formatEventDetails({
+  start_time,
+  end_time,
+  timezone,
+  meet_link,
+  event_link,
+  location_type = "google_meet",
+  location = "",
+  locale,
+}) {
+  const strings = getLanguagePack(locale);
+  const startDate = parseDateTimeInZone(start_time, timezone);
+  const endDate = parseDateTimeInZone(end_time, timezone);
+  const formattedDate = startDate.toLocaleDateString(strings.intlLocale, {
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    timeZone: timezone,
+  });
+  const formattedStartTime = startDate.toLocaleTimeString(strings.intlLocale, {
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone: timezone,
+  });
+  const formattedEndTime = endDate.toLocaleTimeString(strings.intlLocale, {
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone: timezone,
+  });
+
+  // Calculate duration
+  const durationMs = endDate - startDate;
+  const durationMinutes = Math.round(durationMs / (1000 * 60));
+  const durationHours = Math.round((durationMs / (1000 * 60 * 60)) * 10) / 10;
+
+  // Where the meeting happens; only Meet and custom links get a "Join Meeting" button.
+  // Links that aren't http(s) (or tel: for phone calls) are never shown as links.
+  const locationInfo = describeLocation(
+    { type: location_type, details: location },
+    meet_link
+  );
+  if (
+    locationInfo?.link &&
+    !isHttpUrl(locationInfo.link) &&
+    !locationInfo.link.startsWith("tel:")
+  ) {
+    locationInfo.link = null;
+  }
+  if (locationInfo) {
+    locationInfo.label = strings.locations[location_type] || locationInfo.label;
+    if (location_type === "phone") {
+      locationInfo.text = strings.callOn.replace("{number}", location);
+    }
+  }
+  const joinLink =
+    (location_type === "google_meet" || location_type === "custom_link") &&
+    isHttpUrl(locationInfo?.link)
+      ? locationInfo.link
+      : null;
+
+  return {
+    strings,
+    startDate,
+    endDate,
+    formattedDate,
+    formattedStartTime,
+    formattedEndTime,
+    durationMinutes,
+    durationHours,
+    duration: formatDuration(durationMinutes, locale),
+    locationInfo,
+    joinLink,
+    eventLink: isHttpUrl(event_link) ? event_link : null,
+  };
+}
+
+// Description as HTML: Markdown rendered and sanitized, or escaped plain text with its line breaks
+function descriptionHtml(description, format = "text") {
+  if (format === "markdown") return renderMarkdown(description);
+  return escapeHtml(description).replace(/\r?\n/g, "<br>\n");
+}
 
 /**
  * Email Service using Gmail API with service account impersonation
@@ -37,55 +132,41 @@ export class EmailService {
     const {
       event_title,
       event_description,
-      start_time,
-      end_time,
       timezone,
-      meet_link,
-      event_link,
+      description_format = "text",
       organizer_name,
       organizer_email,
 
-      // Template customization variables
+      // Template customization variables (headings and footer default to the language pack's)
       company_name = "Setinbound Calendar Service",
-      email_header_title = "Event Confirmation",
-      email_header_subtitle = "Event scheduled successfully",
+      email_header_title,
+      email_header_subtitle,
       footer_company_name = "",
-      footer_message = "Auto-generated confirmation",
+      footer_message,
       sender_name = "",
     } = eventData;
 
-    // Format date and time
-    const startDate = new Date(start_time);
-    const endDate = new Date(end_time);
-    const formattedDate = startDate.toLocaleDateString("en-US", {
-      weekday: "long",
-      year: "numeric",
-      month: "long",
-      day: "numeric",
-    });
-    const formattedStartTime = startDate.toLocaleTimeString("en-US", {
-      hour: "2-digit",
-      minute: "2-digit",
-      timeZone: timezone,
-    });
-    const formattedEndTime = endDate.toLocaleTimeString("en-US", {
-      hour: "2-digit",
-      minute: "2-digit",
-      timeZone: timezone,
-    });
-
-    // Calculate duration
-    const durationMs = endDate - startDate;
-    const durationHours = Math.round((durationMs / (1000 * 60 * 60)) * 10) / 10;
+    const {
+      strings,
+      formattedDate,
+      formattedStartTime,
+      formattedEndTime,
+      duration,
+      locationInfo,
+      joinLink,
+      eventLink,
+    } = formatEventDetails(eventData);
+    const headerTitle = email_header_title ?? strings.headerTitle;
+    const headerSubtitle = email_header_subtitle ?? strings.headerSubtitle;
 
     return `
 <!DOCTYPE html>
-<html lang="en">
+<html lang="${escapeHtml(strings.intlLocale)}">
   <head>
     <meta http-equiv="Content-Type" content="text/html; charset=utf-8">
     <meta name="x-apple-disable-message-reformatting">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Event Confirmation</title>
+    <title>${escapeHtml(headerTitle)}</title>
   </head>
   <body style="margin:0; padding:0; background-color:#F6F7F9;">
     <!-- Outer wrapper -->
@@ -98,16 +179,16 @@ export class EmailService {
             <tr>
               <td style="padding:20px 20px 8px 20px; font-family:Arial, Helvetica, sans-serif; color:#0F172A;">
                 <div style="font-size:11px; line-height:16px; letter-spacing:.2px; color:#64748B; text-transform:uppercase;">
-                  ${email_header_title}
+                  ${escapeHtml(headerTitle)}
                 </div>
                 <h1 style="margin:4px 0 0 0; font-size:18px; line-height:24px; font-weight:bold; color:#0F172A;">
-                  ${event_title}
+                  ${escapeHtml(event_title)}
                 </h1>
                 ${
-                  email_header_subtitle
+                  headerSubtitle
                     ? `
                 <p style="margin:2px 0 0 0; font-size:12px; line-height:16px; color:#64748B;">
-                  ${email_header_subtitle}
+                  ${escapeHtml(headerSubtitle)}
                 </p>
                 `
                     : ""
@@ -127,20 +208,44 @@ export class EmailService {
               <td style="padding:16px 20px 8px 20px; font-family:Arial, Helvetica, sans-serif; color:#0F172A;">
                 <!-- Date -->
                 <p style="margin:0 0 6px 0; font-size:13px; line-height:18px;">
-                  <strong>Date:</strong> ${formattedDate}
+                  <strong>${escapeHtml(strings.date)}:</strong> ${escapeHtml(
+      formattedDate
+    )}
                 </p>
                 <!-- Time range -->
                 <p style="margin:0 0 6px 0; font-size:13px; line-height:18px;">
-                  <strong>Time:</strong> ${formattedStartTime} - ${formattedEndTime}${
-      timezone ? ` <span style="color:#64748B;">(${timezone})</span>` : ""
+                  <strong>${escapeHtml(strings.time)}:</strong> ${escapeHtml(
+      formattedStartTime
+    )} - ${escapeHtml(formattedEndTime)}${
+      timezone
+        ? ` <span style="color:#64748B;">(${escapeHtml(timezone)})</span>`
+        : ""
     }
                 </p>
                 <!-- Duration -->
                 <p style="margin:0 0 0 0; font-size:13px; line-height:18px;">
-                  <strong>Duration:</strong> ${durationHours} hour${
-      durationHours !== 1 ? "s" : ""
-    }
+                  <strong>${escapeHtml(
+                    strings.duration
+                  )}:</strong> ${escapeHtml(duration)}
+                </p>
+                ${
+                  locationInfo && !joinLink
+                    ? `
+                <!-- Location (phone call, address) -->
+                <p style="margin:6px 0 0 0; font-size:13px; line-height:18px;">
+                  <strong>${escapeHtml(locationInfo.label)}:</strong> ${
+                        locationInfo.link
+                          ? `<a href="${escapeHtml(
+                              locationInfo.link
+                            )}" style="color:#2563EB; text-decoration:none;">${escapeHtml(
+                              locationInfo.text
+                            )}</a>`
+                          : escapeHtml(locationInfo.text)
+                      }
                 </p>
+                `
+                    : ""
+                }
               </td>
             </tr>
 
@@ -155,10 +260,12 @@ export class EmailService {
             </tr>
             <tr>
               <td style="padding:16px 20px 8px 20px; font-family:Arial, Helvetica, sans-serif;">
-                <h2 style="margin:0 0 8px 0; font-size:13px; line-height:18px; color:#0F172A; font-weight:bold;">Description</h2>
-                <p style="margin:0; font-size:13px; line-height:18px; color:#334155;">
-                  ${event_description}
-                </p>
+                <h2 style="margin:0 0 8px 0; font-size:13px; line-height:18px; color:#0F172A; font-weight:bold;">${escapeHtml(
+                  strings.description
+                )}</h2>
+                <div style="margin:0; font-size:13px; line-height:18px; color:#334155;">
+                  ${descriptionHtml(event_description, description_format)}
+                </div>
               </td>
             </tr>
             `
@@ -176,13 +283,19 @@ export class EmailService {
             </tr>
             <tr>
               <td style="padding:16px 20px 8px 20px; font-family:Arial, Helvetica, sans-serif;">
-                <h2 style="margin:0 0 8px 0; font-size:13px; line-height:18px; color:#0F172A; font-weight:bold;">Organizer</h2>
+                <h2 style="margin:0 0 8px 0; font-size:13px; line-height:18px; color:#0F172A; font-weight:bold;">${escapeHtml(
+                  strings.organizer
+                )}</h2>
                 <p style="margin:0; font-size:13px; line-height:18px; color:#334155;">
-                  ${organizer_name ? organizer_name : ""}${
+                  ${organizer_name ? escapeHtml(organizer_name) : ""}${
                     organizer_name && organizer_email ? " • " : ""
                   }${
                     organizer_email
-                      ? `<a href="mailto:${organizer_email}" style="color:#2563EB; text-decoration:none;">${organizer_email}</a>`
+                      ? `<a href="mailto:${escapeHtml(
+                          organizer_email
+                        )}" style="color:#2563EB; text-decoration:none;">${escapeHtml(
+                          organizer_email
+                        )}</a>`
                       : ""
                   }
                 </p>
@@ -193,7 +306,7 @@ export class EmailService {
             }
 
             ${
-              meet_link || event_link
+              joinLink || eventLink
                 ? `
             <!-- Action buttons -->
             <tr>
@@ -204,21 +317,21 @@ export class EmailService {
             <tr>
               <td align="center" style="padding:16px 20px;">
                 ${
-                  meet_link
+                  joinLink
                     ? `
-                <a href="${meet_link}" target="_blank"
+                <a href="${escapeHtml(joinLink)}" target="_blank"
                    style="background-color:#2563EB; border-radius:4px; color:#FFFFFF; display:inline-block; font-family:Arial, Helvetica, sans-serif; font-size:13px; font-weight:bold; line-height:36px; text-align:center; text-decoration:none; width:180px; margin:0 6px 8px 6px;">
-                  Join Meeting
+                  ${escapeHtml(strings.joinMeeting)}
                 </a>
                 `
                     : ""
                 }
                 ${
-                  event_link
+                  eventLink
                     ? `
-                <a href="${event_link}" target="_blank"
+                <a href="${escapeHtml(eventLink)}" target="_blank"
                    style="background-color:#FFFFFF; border:1px solid #CBD5E1; border-radius:4px; color:#0F172A; display:inline-block; font-family:Arial, Helvetica, sans-serif; font-size:13px; font-weight:bold; line-height:36px; text-align:center; text-decoration:none; width:180px; margin:0 6px 8px 6px;">
-                  View Calendar
+                  ${escapeHtml(strings.viewCalendar)}
                 </a>
                 `
                     : ""
@@ -234,8 +347,10 @@ export class EmailService {
               <td style="padding:12px 20px 20px 20px;">
                 <hr style="border:none; border-top:1px solid #E5E7EB; margin:0 0 12px 0;">
                 <p style="margin:0; font-family:Arial, Helvetica, sans-serif; font-size:11px; line-height:16px; color:#94A3B8; text-align:center;">
-                  <strong>${footer_company_name || company_name}</strong><br>
-                  ${footer_message}
+                  <strong>${escapeHtml(
+                    footer_company_name || company_name
+                  )}</strong><br>
+                  ${escapeHtml(footer_message ?? strings.footerMessage)}
                 </p>
               </td>
             </tr>
@@ -258,153 +373,256 @@ export class EmailService {
     const {
       event_title,
       event_description,
-      start_time,
-      end_time,
       timezone,
-      meet_link,
-      event_link,
       organizer_name,
       organizer_email,
 
-      // Template customization variables
+      // Template customization variables (headings and footer default to the language pack's)
       company_name = "Setinbound Calendar Service",
-      email_header_title = "Event Confirmation",
+      email_header_title,
       footer_company_name = "",
-      footer_message = "Auto-generated confirmation",
+      footer_message,
     } = eventData;
 
-    const startDate = new Date(start_time);
-    const endDate = new Date(end_time);
-    const formattedDate = startDate.toLocaleDateString("en-US", {
-      weekday: "long",
-      year: "numeric",
-      month: "long",
-      day: "numeric",
-    });
-    const formattedStartTime = startDate.toLocaleTimeString("en-US", {
-      hour: "2-digit",
-      minute: "2-digit",
-      timeZone: timezone,
-    });
-    const formattedEndTime = endDate.toLocaleTimeString("en-US", {
-      hour: "2-digit",
-      minute: "2-digit",
-      timeZone: timezone,
-    });
-
-    // Calculate duration
-    const durationMs = endDate - startDate;
-    const durationHours = Math.round((durationMs / (1000 * 60 * 60)) * 10) / 10;
+    const {
+      strings,
+      formattedDate,
+      formattedStartTime,
+      formattedEndTime,
+      duration,
+      locationInfo,
+      eventLink,
+    } = formatEventDetails(eventData);
+    const headerTitle = email_header_title ?? strings.headerTitle;
 
     return `
-${email_header_title.toUpperCase()}: ${event_title}
+${headerTitle.toUpperCase()}: ${event_title}
 
-Your event has been successfully scheduled!
+${strings.scheduled}
 
-EVENT DETAILS:
-Date: ${formattedDate}
-Time: ${formattedStartTime} - ${formattedEndTime}
-Duration: ${durationHours} hour${durationHours !== 1 ? "s" : ""}
-${timezone ? `Timezone: ${timezone}\n` : ""}
+${strings.eventDetails.toUpperCase()}:
+${strings.date}: ${formattedDate}
+${strings.time}: ${formattedStartTime} - ${formattedEndTime}
+${strings.duration}: ${duration}
+${timezone ? `${strings.timezone}: ${timezone}\n` : ""}
 
-${event_description ? `DESCRIPTION:\n${event_description}\n` : ""}
+${
+  event_description
+    ? `${strings.description.toUpperCase()}:\n${event_description}\n`
+    : ""
+}
 
 ${
   organizer_name || organizer_email
-    ? `ORGANIZER:\n${organizer_name ? `Name: ${organizer_name}\n` : ""}${
-        organizer_email ? `Email: ${organizer_email}\n` : ""
-      }`
+    ? `${strings.organizer.toUpperCase()}:\n${
+        organizer_name ? `${strings.name}: ${organizer_name}\n` : ""
+      }${organizer_email ? `${strings.email}: ${organizer_email}\n` : ""}`
     : ""
 }
 
-${meet_link ? `Google Meet: ${meet_link}\n` : ""}
-${event_link ? `Calendar Link: ${event_link}\n` : ""}
+${locationInfo ? `${locationInfo.label}: ${locationInfo.text}\n` : ""}
+${eventLink ? `${strings.calendarLink}: ${eventLink}\n` : ""}
 
 ---
 ${footer_company_name || company_name}
-${footer_message}
+${footer_message ?? strings.footerMessage}
     `.trim();
   }
 
+  /**
+   * Event fields available to stored email templates as {{event.*}}
+   * @param {Object} eventData - Event details
+   * @returns {Object} Template context
+   */
+  templateEventContext(eventData) {
+    const {
+      strings,
+      formattedDate,
+      formattedStartTime,
+      formattedEndTime,
+      durationMinutes,
+      durationHours,
+      duration,
+      locationInfo,
+      joinLink,
+      eventLink,
+    } = formatEventDetails(eventData);
+
+    return {
+      locale: strings.intlLocale.split("-")[0],
+      title: eventData.event_title,
+      description: eventData.event_description || "",
+      description_html: descriptionHtml(
+        eventData.event_description || "",
+        eventData.description_format
+      ),
+      date: formattedDate,
+      start_time: formattedStartTime,
+      end_time: formattedEndTime,
+      start: eventData.start_time,
+      end: eventData.end_time,
+      timezone: eventData.timezone,
+      duration_minutes: durationMinutes,
+      duration_hours: durationHours,
+      duration,
+      location_label: locationInfo?.label || "",
+      location_text: locationInfo?.text || "",
+      location_link: locationInfo?.link || "",
+      join_link: joinLink || "",
+      event_link: eventLink || "",
+      organizer_name: eventData.organizer_name || "",
+      organizer_email: eventData.organizer_email || "",
+    };
+  }
+
+  /**
+   * Generate the calendar invitation (iCalendar REQUEST) for the event, so mail clients show
+   * Accept/Decline and add it to the calendar
+   * @param {Object} eventData - Event details; event_uid is the booked event's iCalUID
+   * @param {Array} attendees - List of attendee emails
+   * @param {string} organizerEmail - Organizer (usually the impersonated calendar)
+   * @returns {string} iCalendar text
+   */
+  generateEventInvite(eventData, attendees, organizerEmail) {
+    const { startDate, endDate, locationInfo, joinLink, eventLink } =
+      formatEventDetails(eventData);
+
+    return buildCalendar(
+      [
+        {
+          // Without the booked event's UID clients add a separate copy of the event
+          uid: eventData.event_uid || `${randomUUID()}@setinbound`,
+          title: eventData.event_title,
+          description: eventData.event_description || "",
+          location: joinLink ? "" : locationInfo?.text || "",
+          allDay: false,
+          start: startDate,
+          end: endDate,
+          timeZone: eventData.timezone,
+          sequence: eventData.sequence || 0,
+          conferenceUrl: joinLink,
+          url: eventLink,
+          organizer: {
+            email: eventData.organizer_email || organizerEmail,
+            name: eventData.organizer_name || null,
+          },
+          attendees: attendees.map((email) => ({ email })),
+        },
+      ],
+      { method: "REQUEST" }
+    );
+  }
+
   /**
    * Send event summary email to attendees
    * @param {Object} eventData - Event details
    * @param {Array} attendees - List of attendee emails
    * @param {string} impersonateEmail - Email to impersonate (organizer)
    * @param {Array} monitoringEmails - Optional BCC emails for monitoring (default: [])
+   * @param {Object} options - Optional cc, replyTo, headers and attachments (as in sendEmail)
    * @returns {Object} Email sending results
    */
   async sendEventEmail(
     eventData,
     attendees,
     impersonateEmail,
+    monitoringEmails = [],
+    options = {}
+  ) {
+    // Generate email content
+    const htmlContent = this.generateEventEmailHTML(eventData);
+    const textContent = this.generateEventEmailText(eventData);
+
+    // Create email message
+    const subjectLine = `${
+      eventData.email_subject_prefix ||
+      getLanguagePack(eventData.locale).subjectPrefix
+    }: ${eventData.event_title}`;
+
+    return this.sendEmail(
+      {
+        subject: subjectLine,
+        html: htmlContent,
+        text: textContent,
+        senderName: eventData.sender_name || eventData.organizer_name,
+        invite: eventData.attach_invite
+          ? this.generateEventInvite(eventData, attendees, impersonateEmail)
+          : null,
+        ...options,
+      },
+      attendees,
+      impersonateEmail,
+      monitoringEmails
+    );
+  }
+
+  /**
+   * Send an email with the given content (e.g. a rendered stored template)
+   * @param {Object} content - { subject, html, text, senderName, invite (iCalendar REQUEST text, optional),
+   *   cc, replyTo, headers ([name, value] pairs), attachments ([{ filename, contentType, content }]) }
+   * @param {Array} attendees - List of recipient emails
+   * @param {string} impersonateEmail - Email to impersonate (sender)
+   * @param {Array} monitoringEmails - Optional BCC emails for monitoring (default: [])
+   * @returns {Object} Email sending results
+   */
+  async sendEmail(
+    {
+      subject,
+      html,
+      text,
+      senderName,
+      invite = null,
+      cc = [],
+      replyTo = null,
+      headers = [],
+      attachments = [],
+    },
+    attendees,
+    impersonateEmail,
     monitoringEmails = []
   ) {
     try {
       const gmail = this.createGmailClient(impersonateEmail);
 
-      // Generate email content
-      const htmlContent = this.generateEventEmailHTML(eventData);
-      const textContent = this.generateEventEmailText(eventData);
-
-      // Create email message
-      const subjectLine = eventData.email_subject_prefix
-        ? `${eventData.email_subject_prefix}: ${eventData.event_title}`
-        : `Event Invitation: ${eventData.event_title}`;
-
-      // Create From header with display name
-      const senderDisplayName =
-        eventData.sender_name || eventData.organizer_name || "Calendar Service";
-      const fromHeader = senderDisplayName
-        ? `"${senderDisplayName}" <${impersonateEmail}>`
-        : impersonateEmail;
-
-      // Build email headers
-      const emailLines = [`From: ${fromHeader}`, `To: ${attendees.join(", ")}`];
-
-      // Add BCC header if monitoring emails are provided
-      if (monitoringEmails && monitoringEmails.length > 0) {
-        emailLines.push(`Bcc: ${monitoringEmails.join(", ")}`);
-      }
-
-      // Continue with remaining headers and content
-      emailLines.push(
-        `Subject: ${subjectLine}`,
-        "MIME-Version: 1.0",
-        'Content-Type: multipart/alternative; boundary="boundary123"',
-        "",
-        "--boundary123",
-        "Content-Type: text/plain; charset=UTF-8",
-        "",
-        textContent,
-        "",
-        "--boundary123",
-        "Content-Type: text/html; charset=UTF-8",
-        "",
-        htmlContent,
-        "",
-        "--boundary123--"
-      );
-
-      const email = emailLines.join("\r\n");
-      const encodedEmail = Buffer.from(email)
-        .toString("base64")
-        .replace(/\+/g, "-")
-        .replace(/\//g, "_");
-
-      // Send email
-      const response = await gmail.users.messages.send({
-        userId: "me",
-        requestBody: {
-          raw: encodedEmail,
+      const email = buildMimeMessage({
+        from: {
+          email: impersonateEmail,
+          name: senderName || "Calendar Service",
         },
+        to: attendees,
+        cc,
+        bcc: monitoringEmails || [],
+        replyTo,
+        subject,
+        text,
+        html,
+        calendar: invite,
+        attachments,
+        headers,
       });
 
+      // Small messages go in the request body (base64url); larger ones as a media upload,
+      // which Gmail accepts up to 35 MB
+      const response =
+        Buffer.byteLength(email) <= MAX_RAW_MESSAGE_BYTES
+          ? await gmail.users.messages.send({
+              userId: "me",
+              requestBody: {
+                raw: Buffer.from(email).toString("base64url"),
+              },
+            })
+          : await gmail.users.messages.send({
+              userId: "me",
+              media: { mimeType: "message/rfc822", body: email },
+            });
+
       console.log("[EmailService] Email sent successfully:", {
         messageId: response.data.id,
         threadId: response.data.threadId,
         attendees: attendees.length,
+        cc: cc.length,
         monitoringEmails: monitoringEmails.length,
+        attachments: attachments.length,
       });
 
       return {
@@ -413,8 +631,9 @@ ${footer_message}
         threadId: response.data.threadId,
         sentTo: attendees,
         sentCount: attendees.length,
+        cc,
         monitoringEmails: monitoringEmails,
-        totalEmailsSent: attendees.length + monitoringEmails.length,
+        totalEmailsSent: attendees.length + cc.length + monitoringEmails.length,
       };
     } catch (error) {
       console.error("[EmailService] Error sending email:", error);
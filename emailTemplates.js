@@ -0,0 +1,265 @@
+import pool from "./db.js";
+import {
+  compileTemplate,
+  renderTemplate,
+  templateVariables,
+} from "./templateEngine.js";
+
+// Stored email templates: a named subject, HTML body and plain text body written in the
+// templateEngine.js syntax, with the variables they take declared and typed. send_event_email
+// renders one when given template_name, so each client can have its own look.
+
+const NAME_PATTERN = /^[a-z0-9](?:[a-z0-9_-]{0,62}[a-z0-9])?$/;
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_]\w{0,63}$/;
+const MAX_TEMPLATE_LENGTH = 200000;
+
+export const VARIABLE_TYPES = [
+  "string",
+  "number",
+  "boolean",
+  "array",
+  "object",
+];
+
+// Filled by the service when rendering (the event being sent), so they can't be declared
+const RESERVED_VARIABLES = ["event", "this"];
+
+const CREATE_EMAIL_TEMPLATES_TABLE = `
+  create table if not exists public.email_templates (
+    name text primary key,
+    description text,
+    subject text not null,
+    html text not null,
+    text text not null,
+    variables jsonb not null default '{}'::jsonb,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+  );
+`;
+
+let tableReady = null;
+
+// Creates the email_templates table (once per process; retried after a failure)
+function ensureEmailTemplatesTable() {
+  if (!tableReady) {
+    tableReady = pool.query(CREATE_EMAIL_TEMPLATES_TABLE).catch((error) => {
+      tableReady = null;
+      throw error;
+    });
+  }
+  return tableReady;
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  if (typeof value === "number" && !Number.isFinite(value)) return "NaN";
+  return typeof value;
+}
+
+// A variable is declared as its type ("string") or as { type, required, default, description }
+function normalizeVariable(name, spec) {
+  if (!VARIABLE_NAME_PATTERN.test(name)) {
+    throw new Error(
+      `Invalid variable name: ${name} (letters, digits and underscores, not starting with a digit)`
+    );
+  }
+  if (RESERVED_VARIABLES.includes(name)) {
+    throw new Error(`${name} is reserved and can't be declared as a variable`);
+  }
+
+  const definition = typeof spec === "string" ? { type: spec } : spec;
+  if (!definition || typeof definition !== "object") {
+    throw new Error(`variables.${name} must be a type or an object`);
+  }
+  if (!VARIABLE_TYPES.includes(definition.type)) {
+    throw new Error(
+      `variables.${name}.type must be one of: ${VARIABLE_TYPES.join(", ")}`
+    );
+  }
+  if (
+    definition.default !== undefined &&
+    typeOf(definition.default) !== definition.type
+  ) {
+    throw new Error(`variables.${name}.default must be a ${definition.type}`);
+  }
+
+  return {
+    type: definition.type,
+    required: definition.required === true,
+    ...(definition.default !== undefined && { default: definition.default }),
+    ...(definition.description && {
+      description: String(definition.description),
+    }),
+  };
+}
+
+// Validates an email template from the request body and returns it normalized. Throws a descriptive error.
+export function normalizeEmailTemplate(spec) {
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+    throw new Error("Email template must be an object");
+  }
+
+  const name = String(spec.name || "").toLowerCase();
+  if (!NAME_PATTERN.test(name)) {
+    throw new Error(
+      "name must be 1-64 lowercase letters, digits, dashes and underscores (not starting or ending with one)"
+    );
+  }
+
+  if (
+    spec.variables !== undefined &&
+    (!spec.variables ||
+      typeof spec.variables !== "object" ||
+      Array.isArray(spec.variables))
+  ) {
+    throw new Error("variables must be an object of variable definitions");
+  }
+  const variables = Object.fromEntries(
+    Object.entries(spec.variables || {}).map(([variable, definition]) => [
+      variable,
+      normalizeVariable(variable, definition),
+    ])
+  );
+
+  const parts = {};
+  for (const field of ["subject", "html", "text"]) {
+    if (typeof spec[field] !== "string" || !spec[field].trim()) {
+      throw new Error(`${field} is required`);
+    }
+    if (spec[field].length > MAX_TEMPLATE_LENGTH) {
+      throw new Error(
+        `${field} is too long (max ${MAX_TEMPLATE_LENGTH} characters)`
+      );
+    }
+
+    let used;
+    try {
+      compileTemplate(spec[field]);
+      used = templateVariables(spec[field]);
+    } catch (e) {
+      throw new Error(`${field}: ${e.message}`);
+    }
+    // Catches typos: every variable used has to be declared
+    const undeclared = used.filter(
+      (variable) =>
+        !variables[variable] && !RESERVED_VARIABLES.includes(variable)
+    );
+    if (undeclared.length) {
+      throw new Error(
+        `${field} uses undeclared variables: ${undeclared.join(", ")}`
+      );
+    }
+    parts[field] = spec[field];
+  }
+
+  return {
+    name,
+    description: spec.description ? String(spec.description) : null,
+    ...parts,
+    variables,
+  };
+}
+
+// Checks the variables passed for a template against its declarations and fills in defaults.
+// Throws a descriptive error for unknown, missing or wrongly typed variables.
+export function resolveTemplateVariables(template, variables = {}) {
+  if (!variables || typeof variables !== "object" || Array.isArray(variables)) {
+    throw new Error("variables must be an object");
+  }
+
+  const unknown = Object.keys(variables).filter(
+    (name) => !Object.hasOwn(template.variables, name)
+  );
+  if (unknown.length) {
+    throw new Error(
+      `Unknown variables for template ${template.name}: ${unknown.join(", ")}`
+    );
+  }
+
+  const values = {};
+  for (const [name, definition] of Object.entries(template.variables)) {
+    const value = variables[name] ?? definition.default;
+    if (value === undefined || value === null) {
+      if (definition.required) throw new Error(`${name} is required`);
+      continue;
+    }
+    if (typeOf(value) !== definition.type) {
+      throw new Error(`${name} must be a ${definition.type}`);
+    }
+    values[name] = value;
+  }
+  return values;
+}
+
+// Renders a stored template into { subject, html, text }. event is the event context
+// (EmailService.templateEventContext), available to the template as {{event.*}}.
+export function renderEmailTemplate(template, variables, event) {
+  const data = { ...resolveTemplateVariables(template, variables), event };
+
+  return {
+    subject: renderTemplate(template.subject, data).replace(/\s+/g, " ").trim(),
+    html: renderTemplate(template.html, data, { escape: true }),
+    text: renderTemplate(template.text, data).trim(),
+  };
+}
+
+// Creates or replaces an email template (normalized)
+export async function saveEmailTemplate(template) {
+  await ensureEmailTemplatesTable();
+
+  const { rows } = await pool.query(
+    `insert into public.email_templates (name, description, subject, html, text, variables)
+     values ($1, $2, $3, $4, $5, $6)
+     on conflict (name) do update
+       set description = excluded.description,
+           subject = excluded.subject,
+           html = excluded.html,
+           text = excluded.text,
+           variables = excluded.variables,
+           updated_at = now()
+     returning *`,
+    [
+      template.name,
+      template.description,
+      template.subject,
+      template.html,
+      template.text,
+      JSON.stringify(template.variables),
+    ]
+  );
+
+  return rows[0];
+}
+
+export async function getEmailTemplate(name) {
+  await ensureEmailTemplatesTable();
+
+  const { rows } = await pool.query(
+    `select * from public.email_templates where name = $1`,
+    [String(name).toLowerCase()]
+  );
+  return rows[0] || null;
+}
+
+// Lists templates without their bodies
+export async function listEmailTemplates() {
+  await ensureEmailTemplatesTable();
+
+  const { rows } = await pool.query(
+    `select name, description, subject, variables, created_at, updated_at
+       from public.email_templates order by name`
+  );
+  return rows;
+}
+
+// Deletes an email template. Returns false if it didn't exist.
+export async function deleteEmailTemplate(name) {
+  await ensureEmailTemplatesTable();
+
+  const { rowCount } = await pool.query(
+    `delete from public.email_templates where name = $1`,
+    [String(name).toLowerCase()]
+  );
+  return rowCount > 0;
+}
@@ -0,0 +1,173 @@
+// Per-booking event settings from the request body: reminders, guest permissions,
+// attendee details and private extended properties. Each normalizer throws a descriptive error.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const REMINDER_METHODS = ["email", "popup"];
+// Google Calendar limits: at most 5 overrides, up to 4 weeks before the event
+const MAX_REMINDERS = 5;
+const MAX_REMINDER_MINUTES = 40320;
+
+// Body keys and the Google Calendar event fields they set, with our defaults
+const GUEST_PERMISSIONS = {
+  can_modify: { field: "guestsCanModify", default: false },
+  can_invite_others: { field: "guestsCanInviteOthers", default: false },
+  can_see_other_guests: { field: "guestsCanSeeOtherGuests", default: true },
+  can_add_self: { field: "guestsCanAddSelf", default: false },
+};
+
+// Google Calendar limits for extended property keys and values
+const MAX_PROPERTY_KEY_LENGTH = 44;
+const MAX_PROPERTY_VALUE_LENGTH = 1024;
+const MAX_PROPERTIES = 50;
+
+// Used when a booking doesn't specify reminders
+export const DEFAULT_REMINDERS = {
+  useDefault: false,
+  overrides: [
+    { method: "email", minutes: 24 * 60 }, // 24 hours before
+    { method: "popup", minutes: 30 }, // 30 minutes before
+  ],
+};
+
+// reminders: "default" (the calendar's own defaults), [] (no reminders) or
+// [{ method: "email" | "popup", minutes }]. Returns the Google Calendar reminders object.
+export function normalizeReminders(reminders) {
+  if (reminders === undefined || reminders === null) {
+    return DEFAULT_REMINDERS;
+  }
+  if (reminders === "default") {
+    return { useDefault: true };
+  }
+  if (!Array.isArray(reminders)) {
+    throw new Error('reminders must be an array or "default"');
+  }
+  if (reminders.length > MAX_REMINDERS) {
+    throw new Error(`reminders can have at most ${MAX_REMINDERS} entries`);
+  }
+
+  const overrides = reminders.map((reminder, index) => {
+    const method = String(reminder?.method || "").toLowerCase();
+    if (!REMINDER_METHODS.includes(method)) {
+      throw new Error(
+        `reminders[${index}].method must be one of: ${REMINDER_METHODS.join(
+          ", "
+        )}`
+      );
+    }
+    const minutes = Number(reminder.minutes);
+    if (
+      !Number.isInteger(minutes) ||
+      minutes < 0 ||
+      minutes > MAX_REMINDER_MINUTES
+    ) {
+      throw new Error(
+        `reminders[${index}].minutes must be an integer between 0 and ${MAX_REMINDER_MINUTES}`
+      );
+    }
+    return { method, minutes };
+  });
+
+  return { useDefault: false, overrides };
+}
+
+// guest_permissions: { can_modify, can_invite_others, can_see_other_guests, can_add_self }.
+// Returns the Google Calendar guest fields, with defaults for the flags that aren't given.
+export function normalizeGuestPermissions(permissions) {
+  if (permissions === undefined || permissions === null) {
+    permissions = {};
+  }
+  if (typeof permissions !== "object" || Array.isArray(permissions)) {
+    throw new Error("guest_permissions must be an object");
+  }
+
+  for (const key of Object.keys(permissions)) {
+    if (!GUEST_PERMISSIONS[key]) {
+      throw new Error(
+        `Unknown guest permission: ${key}. Supported: ${Object.keys(
+          GUEST_PERMISSIONS
+        ).join(", ")}`
+      );
+    }
+    if (typeof permissions[key] !== "boolean") {
+      throw new Error(`guest_permissions.${key} must be true or false`);
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(GUEST_PERMISSIONS).map(
+      ([key, { field, default: value }]) => [field, permissions[key] ?? value]
+    )
+  );
+}
+
+// attendees: emails or { email, display_name, optional }. Returns Google Calendar attendee objects.
+export function normalizeAttendees(attendees) {
+  return attendees.map((attendee, index) => {
+    if (typeof attendee === "string") {
+      if (!EMAIL_PATTERN.test(attendee)) {
+        throw new Error(`Invalid attendee email format: ${attendee}`);
+      }
+      return { email: attendee };
+    }
+
+    if (!attendee || typeof attendee !== "object") {
+      throw new Error(`attendees[${index}] must be an email or an object`);
+    }
+    if (!attendee.email || !EMAIL_PATTERN.test(attendee.email)) {
+      throw new Error(`Invalid attendee email format: ${attendee.email}`);
+    }
+    if (
+      attendee.optional !== undefined &&
+      typeof attendee.optional !== "boolean"
+    ) {
+      throw new Error(`attendees[${index}].optional must be true or false`);
+    }
+
+    return {
+      email: attendee.email,
+      ...(attendee.display_name && {
+        displayName: String(attendee.display_name),
+      }),
+      ...(attendee.optional && { optional: true }),
+    };
+  });
+}
+
+// extended_properties: flat { key: string | number } stored as private extended properties
+// (visible only on the organizer's copy), e.g. { crm_lead_id: "L-1042" }
+export function normalizeExtendedProperties(properties) {
+  if (properties === undefined || properties === null) {
+    return null;
+  }
+  if (typeof properties !== "object" || Array.isArray(properties)) {
+    throw new Error("extended_properties must be an object");
+  }
+
+  const entries = Object.entries(properties);
+  if (entries.length > MAX_PROPERTIES) {
+    throw new Error(
+      `extended_properties can have at most ${MAX_PROPERTIES} keys`
+    );
+  }
+
+  for (const [key, value] of entries) {
+    if (!key || key.length > MAX_PROPERTY_KEY_LENGTH) {
+      throw new Error(
+        `extended_properties keys must be 1-${MAX_PROPERTY_KEY_LENGTH} characters`
+      );
+    }
+    if (typeof value !== "string" && typeof value !== "number") {
+      throw new Error(`extended_properties.${key} must be a string or number`);
+    }
+    if (String(value).length > MAX_PROPERTY_VALUE_LENGTH) {
+      throw new Error(
+        `extended_properties.${key} must be at most ${MAX_PROPERTY_VALUE_LENGTH} characters`
+      );
+    }
+  }
+
+  return entries.length
+    ? Object.fromEntries(entries.map(([key, value]) => [key, String(value)]))
+    : null;
+}
@@ -0,0 +1,121 @@
+// In-memory cache of calendar busy periods, so repeated availability checks (an agent asking
+// several times in one conversation) don't each run a freebusy query. State is per process.
+// A calendar's entries are dropped when this service books, reschedules or cancels on it, and
+// when a push notification reports a change (see calendarWatch.js).
+
+export const DEFAULT_CACHE_TTL_SECONDS = 60;
+export const MAX_CACHE_TTL_SECONDS = 60 * 60;
+
+// Cached ranges start on a whole hour and end at least an hour after the requested end, so the
+// next request a few seconds later (its window has moved a little) is still covered
+const RANGE_PADDING_MS = 60 * 60 * 1000;
+const MAX_ENTRIES_PER_CALENDAR = 5;
+
+// calendarId -> { generation, entries: [{ timeMin, timeMax, busy, fetchedAt }] }
+const calendars = new Map();
+// Bumped on every invalidation. New states start at the latest value, so a query that began
+// before an invalidation still sees it after cleanup has dropped and recreated the state
+let lastGeneration = 0;
+
+// Drop entries no request can use any more
+const cleanup = setInterval(() => {
+  const oldest = Date.now() - MAX_CACHE_TTL_SECONDS * 1000;
+  for (const [calendarId, state] of calendars) {
+    state.entries = state.entries.filter((entry) => entry.fetchedAt > oldest);
+    if (state.entries.length === 0) calendars.delete(calendarId);
+  }
+}, 5 * 60 * 1000);
+cleanup.unref();
+
+function calendarState(calendarId) {
+  const key = String(calendarId).toLowerCase();
+  if (!calendars.has(key)) {
+    calendars.set(key, { generation: lastGeneration, entries: [] });
+  }
+  return calendars.get(key);
+}
+
+// Widens a requested range to the range that gets fetched and cached
+export function cacheRange(timeMin, timeMax) {
+  const start = new Date(timeMin).getTime();
+  const end = new Date(timeMax).getTime();
+  return {
+    timeMin: new Date(start - (start % RANGE_PADDING_MS)).toISOString(),
+    timeMax: new Date(
+      end - (end % RANGE_PADDING_MS) + 2 * RANGE_PADDING_MS
+    ).toISOString(),
+  };
+}
+
+// Returns { busy, fetchedAt } for the range if a cached entry covers it and is at most maxAgeMs old,
+// otherwise null. Busy periods are limited to the ones overlapping the range.
+export function getCachedBusyTimes(calendarId, timeMin, timeMax, maxAgeMs) {
+  const start = new Date(timeMin).getTime();
+  const end = new Date(timeMax).getTime();
+  const entry = calendarState(calendarId).entries.find(
+    (candidate) =>
+      Date.now() - candidate.fetchedAt <= maxAgeMs &&
+      new Date(candidate.timeMin).getTime() <= start &&
+      new Date(candidate.timeMax).getTime() >= end
+  );
+  if (!entry) return null;
+
+  return {
+    busy: entry.busy.filter(
+      (busy) =>
+        new Date(busy.start).getTime() < end &&
+        new Date(busy.end).getTime() > start
+    ),
+    fetchedAt: entry.fetchedAt,
+  };
+}
+
+// Returns a token to pass to cacheBusyTimes. Take it before querying: if the calendar is
+// invalidated while the query runs, its (possibly stale) result is not cached.
+export function cacheGeneration(calendarId) {
+  return calendarState(calendarId).generation;
+}
+
+// Stores the busy periods fetched for a range (usually one from cacheRange)
+export function cacheBusyTimes(
+  calendarId,
+  generation,
+  { timeMin, timeMax, busy, fetchedAt = Date.now() }
+) {
+  const state = calendarState(calendarId);
+  if (state.generation !== generation) return;
+
+  state.entries = [{ timeMin, timeMax, busy, fetchedAt }, ...state.entries]
+    .filter(
+      (entry) => Date.now() - entry.fetchedAt <= MAX_CACHE_TTL_SECONDS * 1000
+    )
+    .slice(0, MAX_ENTRIES_PER_CALENDAR);
+}
+
+// Forgets everything cached for the calendar
+export function invalidateBusyTimes(calendarId) {
+  const state = calendarState(calendarId);
+  state.generation = ++lastGeneration;
+  state.entries = [];
+}
+
+// Response metadata for a cacheStatus filled by queryBusyTimes: hit is true when every
+// calendar was served from the cache
+export function describeCacheStatus(cacheStatus) {
+  const now = Date.now();
+  const calendars = Object.fromEntries(
+    Object.entries(cacheStatus).map(([calendarId, { cached, fetchedAt }]) => [
+      calendarId,
+      {
+        cached,
+        fetched_at: new Date(fetchedAt).toISOString(),
+        age_seconds: Math.round((now - fetchedAt) / 1000),
+      },
+    ])
+  );
+  const entries = Object.values(calendars);
+  return {
+    hit: entries.length > 0 && entries.every(({ cached }) => cached),
+    calendars,
+  };
+}
@@ -1,37 +1,261 @@
 import { google } from "googleapis";
 import dotenv from "dotenv";
+import { createSchedule } from "./schedule.js";
+import {
+  DEFAULT_TIMEZONE,
+  getZonedParts,
+  formatISOWithOffset,
+} from "./timezone.js";
+import { expandOccurrences, buildRecurrenceRules } from "./recurrence.js";
+import {
+  DEFAULT_REMINDERS,
+  normalizeGuestPermissions,
+} from "./eventOptions.js";
+import { getCalendarConfig } from "./calendarProviders.js";
+import { createCalDavProvider } from "./caldav.js";
+import {
+  cacheBusyTimes,
+  cacheGeneration,
+  cacheRange,
+  getCachedBusyTimes,
+  invalidateBusyTimes,
+} from "./freeBusyCache.js";
+import {
+  BookingRuleError,
+  busyRangeForRules,
+  findRuleViolations,
+  enforceConfiguredBookingRules,
+  hasBookingCaps,
+  hasBookingRules,
+  mergeBookingRules,
+  normalizeBookingRules,
+} from "./bookingRules.js";
+import { listBookingStarts } from "./bookings.js";
 
 dotenv.config();
 
-// Checks Google Calendar for free/busy times and returns free intervals between timeMin and timeMax
-export async function checkCalendarAvailability(
+// Converts busy periods into free intervals between timeMin and timeMax.
+// Each busy block is padded so that a slot placed in a free interval keeps
+// bufferBeforeMinutes of free time before it and bufferAfterMinutes after it.
+export function computeFreeIntervals(
+  busyTimes,
   timeMin,
   timeMax,
-  google_service_account_key,
-  google_calendar_email
+  { bufferBeforeMinutes = 0, bufferAfterMinutes = 0 } = {}
 ) {
-  try {
-    // Initialize Google Calendar API with service account credentials
-    const credentials = google_service_account_key;
-    const auth = new google.auth.GoogleAuth({
-      credentials,
-      scopes: ["https://www.googleapis.com/auth/calendar.readonly"],
+  const padded = busyTimes
+    .map((busy) => ({
+      start: new Date(busy.start).getTime() - bufferAfterMinutes * 60 * 1000,
+      end: new Date(busy.end).getTime() + bufferBeforeMinutes * 60 * 1000,
+    }))
+    .sort((a, b) => a.start - b.start);
+
+  const freeSlots = [];
+  let currentTime = new Date(timeMin).getTime();
+  const endTime = new Date(timeMax).getTime();
+
+  for (const busy of padded) {
+    // If there's a gap before this busy period, it's free
+    if (currentTime < busy.start) {
+      freeSlots.push({
+        start: new Date(currentTime).toISOString(),
+        end: new Date(Math.min(busy.start, endTime)).toISOString(),
+      });
+    }
+
+    // Padded blocks may overlap, so never move backwards
+    currentTime = Math.max(currentTime, busy.end);
+    if (currentTime >= endTime) break;
+  }
+
+  // Add remaining time after last busy period
+  if (currentTime < endTime) {
+    freeSlots.push({
+      start: new Date(currentTime).toISOString(),
+      end: new Date(endTime).toISOString(),
     });
+  }
 
-    const calendar = google.calendar({ version: "v3", auth });
+  return freeSlots.filter(({ start, end }) => start < end);
+}
 
-    const calendarId = google_calendar_email;
+// Trims intervals to the start-end window, dropping the ones outside it
+function clipIntervals(intervals, start, end) {
+  return intervals
+    .map((interval) => ({
+      start: new Date(Math.max(new Date(interval.start), start)),
+      end: new Date(Math.min(new Date(interval.end), end)),
+    }))
+    .filter(({ start, end }) => start < end);
+}
 
-    // Get busy times from calendar
-    const response = await calendar.freebusy.query({
-      requestBody: {
-        timeMin: timeMin || new Date().toISOString(),
-        timeMax:
-          timeMax || new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // 24 hours from now
-        items: [{ id: calendarId }],
-      },
+// Creates a Calendar API client. In tests (NODE_ENV=test only) GOOGLE_API_ROOT_URL points it at a
+// local stub server; requests then carry a static bearer token instead of a service account token.
+function createCalendarClient(auth) {
+  const rootUrl =
+    process.env.NODE_ENV === "test" ? process.env.GOOGLE_API_ROOT_URL : null;
+  if (!rootUrl) {
+    return google.calendar({ version: "v3", auth });
+  }
+
+  const stubAuth = new google.auth.OAuth2();
+  stubAuth.setCredentials({ access_token: "stub-token" });
+  return google.calendar({
+    version: "v3",
+    auth: stubAuth,
+    rootUrl: rootUrl.endsWith("/") ? rootUrl : `${rootUrl}/`,
+  });
+}
+
+// Returns the busy periods of one or more calendars keyed by calendar ID.
+// With cacheTtlSeconds, calendars are served from the freebusy cache (entries at most that old, see
+// freeBusyCache.js) and fetched ones are cached; fresh skips the lookup but still refreshes the cache.
+// cacheStatus, if given, receives { [calendarId]: { cached, fetchedAt } }.
+// Throws a descriptive error if any calendar is inaccessible.
+export async function queryBusyTimes(
+  timeMin,
+  timeMax,
+  google_service_account_key,
+  calendarIds,
+  { cacheTtlSeconds = 0, fresh = false, cacheStatus } = {}
+) {
+  const rangeStart = timeMin || new Date().toISOString();
+  const rangeEnd =
+    timeMax || new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(); // 24 hours from now
+
+  if (!cacheTtlSeconds) {
+    return fetchBusyTimes(
+      rangeStart,
+      rangeEnd,
+      google_service_account_key,
+      calendarIds
+    );
+  }
+
+  const busyByCalendar = {};
+  const missing = [];
+  for (const calendarId of calendarIds) {
+    const cached =
+      !fresh &&
+      getCachedBusyTimes(
+        calendarId,
+        rangeStart,
+        rangeEnd,
+        cacheTtlSeconds * 1000
+      );
+    if (cached) {
+      busyByCalendar[calendarId] = cached.busy;
+      if (cacheStatus) {
+        cacheStatus[calendarId] = { cached: true, fetchedAt: cached.fetchedAt };
+      }
+    } else {
+      missing.push(calendarId);
+    }
+  }
+
+  if (missing.length > 0) {
+    const range = cacheRange(rangeStart, rangeEnd);
+    const generations = missing.map(cacheGeneration);
+    const fetchedAt = Date.now();
+    const fetched = await fetchBusyTimes(
+      range.timeMin,
+      range.timeMax,
+      google_service_account_key,
+      missing
+    );
+
+    missing.forEach((calendarId, i) => {
+      cacheBusyTimes(calendarId, generations[i], {
+        ...range,
+        busy: fetched[calendarId],
+        fetchedAt,
+      });
+      busyByCalendar[calendarId] = fetched[calendarId].filter(
+        (busy) =>
+          new Date(busy.start) < new Date(rangeEnd) &&
+          new Date(busy.end) > new Date(rangeStart)
+      );
+      if (cacheStatus) {
+        cacheStatus[calendarId] = { cached: false, fetchedAt };
+      }
     });
+  }
+
+  return busyByCalendar;
+}
+
+// Queries the calendars' backends: Google calendars share a single freebusy query,
+// other providers are asked one calendar at a time
+async function fetchBusyTimes(
+  timeMin,
+  timeMax,
+  google_service_account_key,
+  calendarIds
+) {
+  const googleIds = calendarIds.filter(
+    (id) => getCalendarConfig(id).provider === "google"
+  );
+  const busyByCalendar = googleIds.length
+    ? await queryGoogleBusyTimes(
+        timeMin,
+        timeMax,
+        google_service_account_key,
+        googleIds
+      )
+    : {};
+
+  for (const calendarId of calendarIds) {
+    if (busyByCalendar[calendarId]) continue;
+    busyByCalendar[calendarId] = await getCalendarProvider(
+      google_service_account_key,
+      calendarId
+    ).freeBusy(timeMin, timeMax);
+  }
+
+  return busyByCalendar;
+}
+
+// Read-only service account auth per key, reused so its access token is too
+const readOnlyAuthClients = new Map();
+
+function readOnlyAuth(credentials) {
+  const cacheKey = `${credentials.client_email}\n${credentials.private_key}`;
+  if (!readOnlyAuthClients.has(cacheKey)) {
+    readOnlyAuthClients.set(
+      cacheKey,
+      new google.auth.GoogleAuth({
+        credentials,
+        scopes: ["https://www.googleapis.com/auth/calendar.readonly"],
+      })
+    );
+  }
+  return readOnlyAuthClients.get(cacheKey);
+}
+
+// Runs a single Google freebusy query for one or more calendars and returns their busy periods keyed by calendar ID
+async function queryGoogleBusyTimes(
+  timeMin,
+  timeMax,
+  google_service_account_key,
+  calendarIds
+) {
+  const calendar = createCalendarClient(
+    readOnlyAuth(google_service_account_key)
+  );
+
+  // Get busy times from all calendars in one request
+  const response = await calendar.freebusy.query({
+    requestBody: {
+      timeMin: timeMin || new Date().toISOString(),
+      timeMax:
+        timeMax || new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // 24 hours from now
+      items: calendarIds.map((id) => ({ id })),
+    },
+  });
+
+  const busyByCalendar = {};
 
+  for (const calendarId of calendarIds) {
     // Check if we can access this calendar
     if (!response.data.calendars[calendarId]) {
       throw new Error(`Calendar not found or access denied: ${calendarId}`);
@@ -91,35 +315,40 @@ export async function checkCalendarAvailability(
       );
     }
 
-    // Find free time slots (simplified logic)
-    const freeSlots = [];
-    let currentTime = new Date(timeMin || new Date());
-    const endTime = new Date(
-      timeMax || new Date(Date.now() + 24 * 60 * 60 * 1000)
-    );
+    busyByCalendar[calendarId] = busyTimes;
+  }
 
-    for (const busy of busyTimes) {
-      const busyStart = new Date(busy.start);
-      const busyEnd = new Date(busy.end);
+  return busyByCalendar;
+}
 
-      // If there's a gap before this busy period, it's free
-      if (currentTime < busyStart) {
-        freeSlots.push({
-          start: currentTime.toISOString(),
-          end: busyStart.toISOString(),
-        });
-      }
+// Checks Google Calendar for free/busy times and returns free intervals between timeMin and timeMax.
+// options: bufferBeforeMinutes, bufferAfterMinutes, plus the cache options of queryBusyTimes
+export async function checkCalendarAvailability(
+  timeMin,
+  timeMax,
+  google_service_account_key,
+  google_calendar_email,
+  options = {}
+) {
+  try {
+    const calendarId = google_calendar_email;
 
-      currentTime = busyEnd;
-    }
+    const busyByCalendar = await queryBusyTimes(
+      timeMin,
+      timeMax,
+      google_service_account_key,
+      [calendarId],
+      options
+    );
+    const busyTimes = busyByCalendar[calendarId];
 
-    // Add remaining time after last busy period
-    if (currentTime < endTime) {
-      freeSlots.push({
-        start: currentTime.toISOString(),
-        end: endTime.toISOString(),
-      });
-    }
+    // Find free time slots between the (buffer-padded) busy periods
+    const freeSlots = computeFreeIntervals(
+      busyTimes,
+      timeMin || new Date(),
+      timeMax || new Date(Date.now() + 24 * 60 * 60 * 1000),
+      options
+    );
 
     return {
       busy: busyTimes,
@@ -131,70 +360,114 @@ export async function checkCalendarAvailability(
   }
 }
 
-// Helper to get local parts in a specific IANA time zone
-function getZonedParts(date, timeZone) {
-  const parts = new Intl.DateTimeFormat("en-GB", {
-    timeZone,
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    hour12: false,
-    weekday: "short",
-  }).formatToParts(date);
-  const map = Object.fromEntries(parts.map((p) => [p.type, p.value]));
-  const weekdayMap = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
-  return {
-    year: Number(map.year),
-    month: Number(map.month),
-    day: Number(map.day),
-    hour: Number(map.hour),
-    minute: Number(map.minute),
-    weekday: weekdayMap[map.weekday?.toLowerCase()] ?? undefined,
-  };
+// Checks several calendars at once and returns free intervals per calendar.
+// In "collective" mode the team is treated as one calendar (free only when everyone is free).
+export async function checkTeamAvailability(
+  timeMin,
+  timeMax,
+  google_service_account_key,
+  calendarIds,
+  options = {}
+) {
+  try {
+    const busyByCalendar = await queryBusyTimes(
+      timeMin,
+      timeMax,
+      google_service_account_key,
+      calendarIds,
+      options
+    );
+
+    const freeByCalendar = {};
+    for (const calendarId of calendarIds) {
+      freeByCalendar[calendarId] = computeFreeIntervals(
+        busyByCalendar[calendarId],
+        timeMin,
+        timeMax,
+        options
+      );
+    }
+
+    return {
+      busy: busyByCalendar,
+      free: freeByCalendar,
+      collectiveFree: computeFreeIntervals(
+        Object.values(busyByCalendar).flat(),
+        timeMin,
+        timeMax,
+        options
+      ),
+    };
+  } catch (error) {
+    console.error("Error checking team availability:", error);
+    return { error: error.message };
+  }
 }
 
-// Splits each free interval into 1-hour slots aligned to the top of the hour in the specified time zone
-function generateHourlySlots(slots, timeZone, work_start_hour, work_end_hour) {
-  const WORK_START_HOUR = parseInt(work_start_hour, 10);
-  const WORK_END_HOUR = parseInt(work_end_hour, 10);
+// Splits each free interval into slots of slotDurationMinutes, starting every
+// slotStepMinutes (aligned to local midnight) in the specified time zone.
+// A slot must fit fully inside both the free interval and one of the schedule's
+// ranges for that local date (see createSchedule for the schedule options).
+export function generateSlots(
+  slots,
+  timeZone,
+  {
+    slotDurationMinutes = 60,
+    slotStepMinutes = slotDurationMinutes,
+    schedule,
+    ...scheduleOptions
+  } = {}
+) {
+  const workSchedule = schedule || createSchedule(scheduleOptions);
+  const durationMs = slotDurationMinutes * 60 * 1000;
+  const stepMs = slotStepMinutes * 60 * 1000;
 
-  const hourlySlots = [];
+  const result = [];
 
   slots.forEach(({ start, end }) => {
-    let current = new Date(start);
     const endDate = new Date(end);
 
-    // Align to the next top-of-hour in the target time zone
-    let parts = getZonedParts(current, timeZone);
-    while (parts.minute !== 0) {
-      current = new Date(current.getTime() + 60 * 1000);
-      parts = getZonedParts(current, timeZone);
-    }
+    // Round up to the whole minute, then to the next step boundary in the target time zone
+    let current = new Date(
+      Math.ceil(new Date(start).getTime() / 60000) * 60000
+    );
+    const parts = getZonedParts(current, timeZone);
+    const minuteOfDay = parts.hour * 60 + parts.minute;
+    const offsetToStep =
+      (slotStepMinutes - (minuteOfDay % slotStepMinutes)) % slotStepMinutes;
+    current = new Date(current.getTime() + offsetToStep * 60 * 1000);
 
     // Only include slots that fit fully within the interval
-    while (current.getTime() + 60 * 60 * 1000 <= endDate.getTime()) {
+    while (current.getTime() + durationMs <= endDate.getTime()) {
       const slotStart = new Date(current);
-      const slotEnd = new Date(current.getTime() + 60 * 60 * 1000);
+      const slotEnd = new Date(current.getTime() + durationMs);
 
       const startParts = getZonedParts(slotStart, timeZone);
-      const isWeekday = startParts.weekday >= 1 && startParts.weekday <= 5; // Mon-Fri
-      const withinHours =
-        startParts.hour >= WORK_START_HOUR && startParts.hour < WORK_END_HOUR;
+      const dateStr = `${startParts.year}-${String(startParts.month).padStart(
+        2,
+        "0"
+      )}-${String(startParts.day).padStart(2, "0")}`;
+      const startMinute = startParts.hour * 60 + startParts.minute;
+      const withinHours = workSchedule
+        .rangesFor(dateStr, startParts.weekday)
+        .some(
+          ([rangeStart, rangeEnd]) =>
+            startMinute >= rangeStart &&
+            startMinute + slotDurationMinutes <= rangeEnd
+        );
 
-      if (isWeekday && withinHours) {
-        hourlySlots.push({ start: slotStart, end: slotEnd });
+      if (withinHours) {
+        result.push({ start: slotStart, end: slotEnd });
       }
 
-      current = new Date(current.getTime() + 60 * 60 * 1000);
+      current = new Date(current.getTime() + stepMs);
     }
   });
 
-  return hourlySlots;
+  return result;
 }
 
-// Groups consecutive hourly slots into intervals
+// Groups consecutive or overlapping slots into intervals
 function groupSlotsIntoIntervals(slots) {
   if (slots.length === 0) return [];
 
@@ -208,10 +481,12 @@ function groupSlotsIntoIntervals(slots) {
     const currentSlot = slots[i];
     const previousEnd = new Date(currentInterval.end);
 
-    // Check if this slot is consecutive (starts exactly when the previous ends)
-    if (currentSlot.start.getTime() === previousEnd.getTime()) {
+    // Check if this slot is consecutive or overlapping (starts no later than the previous ends)
+    if (currentSlot.start.getTime() <= previousEnd.getTime()) {
       // Extend the current interval
-      currentInterval.end = new Date(currentSlot.end);
+      if (currentSlot.end.getTime() > previousEnd.getTime()) {
+        currentInterval.end = new Date(currentSlot.end);
+      }
     } else {
       // End the current interval and start a new one
       intervals.push(currentInterval);
@@ -228,213 +503,655 @@ function groupSlotsIntoIntervals(slots) {
   return intervals;
 }
 
-// Returns an object with available time intervals grouped by date for the next N days, weekdays only, in UTC+0 or requested UTC offset
+// Merges per-host slot lists into one list where each slot carries the hosts that are free for it
+export function mergeHostSlots(slotsByHost) {
+  const merged = new Map();
+
+  for (const [host, slots] of Object.entries(slotsByHost)) {
+    for (const slot of slots) {
+      const key = `${slot.start.getTime()}-${slot.end.getTime()}`;
+      if (!merged.has(key)) {
+        merged.set(key, { start: slot.start, end: slot.end, hosts: [] });
+      }
+      merged.get(key).hosts.push(host);
+    }
+  }
+
+  return [...merged.values()].sort((a, b) => a.start - b.start);
+}
+
+// Summarizes slots as compact natural-language text suited to an LLM prompt
+function formatSlotsAsText(
+  slots,
+  timeZone,
+  { days, slotDurationMinutes, slotStepMinutes, listStartTimes, reportHosts }
+) {
+  if (slots.length === 0) {
+    return `No available ${slotDurationMinutes}-minute slots in the next ${days} day${
+      days !== 1 ? "s" : ""
+    } (${timeZone}).`;
+  }
+
+  // Keep days in the order the slots were returned
+  const byDay = new Map();
+  for (const slot of slots) {
+    const label = slot.start.toLocaleDateString("en-US", {
+      weekday: "long",
+      month: "long",
+      day: "numeric",
+      timeZone,
+    });
+    if (!byDay.has(label)) byDay.set(label, []);
+    byDay.get(label).push(slot);
+  }
+
+  const formatTime = (date) =>
+    new Intl.DateTimeFormat("en-GB", {
+      hour: "2-digit",
+      minute: "2-digit",
+      hour12: false,
+      timeZone,
+    }).format(date);
+
+  const lines = [
+    `Available ${slotDurationMinutes}-minute slots (times in ${timeZone}):`,
+  ];
+  for (const [label, daySlots] of byDay) {
+    let entries;
+    if (listStartTimes || reportHosts) {
+      entries = daySlots.map(
+        ({ start, hosts }) =>
+          `${formatTime(start)}${reportHosts ? ` (${hosts.join(", ")})` : ""}`
+      );
+    } else {
+      entries = groupSlotsIntoIntervals(
+        [...daySlots].sort((a, b) => a.start - b.start)
+      ).map(({ start, end }) => formatZonedTimeRange(start, end, timeZone));
+    }
+    lines.push(`- ${label}: ${entries.join(", ")}`);
+  }
+  if (!listStartTimes && !reportHosts) {
+    lines.push(
+      `Meetings last ${slotDurationMinutes} minutes and can start every ${slotStepMinutes} minutes within these ranges.`
+    );
+  }
+
+  return lines.join("\n");
+}
+
+// Formats the calendar date of an instant in the specified time zone
+function formatZonedDate(date, timeZone) {
+  const day = date
+    .toLocaleDateString("en-US", { weekday: "long", timeZone })
+    .toLowerCase();
+  const month = date.toLocaleDateString("en-US", { month: "long", timeZone });
+  const parts = getZonedParts(date, timeZone);
+  const monthNum = String(parts.month).padStart(2, "0");
+  const dateNum = String(parts.day).padStart(2, "0");
+  const dateStr = `${parts.year}-${monthNum}-${dateNum}`;
+
+  return { day, month, date: dateNum, dateStr };
+}
+
+// Formats a start-end range as "HH:MM-HH:MM" in the specified time zone
+function formatZonedTimeRange(start, end, timeZone) {
+  const format = (date) =>
+    new Intl.DateTimeFormat("en-GB", {
+      hour: "2-digit",
+      minute: "2-digit",
+      hour12: false,
+      timeZone,
+    }).format(date);
+
+  return `${format(start)}-${format(end)}`;
+}
+
+// Returns an object with available time intervals grouped by date for the next N days in the requested time zone.
+// google_calendar_email may be a single calendar or an array of calendars (a team).
+// options: slotDurationMinutes, slotStepMinutes, bufferBeforeMinutes, bufferAfterMinutes, includeWeekends,
+// workingHours, dateOverrides, blackoutDates, holidayCountry (see createSchedule),
+// mode ("collective" = everyone free, "any" = at least one host free; each slot then lists its free hosts),
+// outputFormat ("grouped" = intervals by date, "slots" = [{ start, end }] ISO-8601 with offsets,
+// "text" = compact summary for LLM prompts), maxResults, earliestFirst,
+// bookingRules (normalized, see bookingRules.js) and bookingRulesByCalendar (per-calendar overrides),
+// and cacheTtlSeconds, fresh and cacheStatus (see queryBusyTimes)
 export async function formattedCalendarAvailability(
   timeZone,
   days,
   google_service_account_key,
   google_calendar_email,
   work_start_hour,
-  work_end_hour
+  work_end_hour,
+  options = {}
 ) {
+  const {
+    slotDurationMinutes = 60,
+    slotStepMinutes = slotDurationMinutes,
+    bufferBeforeMinutes = 0,
+    bufferAfterMinutes = 0,
+    includeWeekends = false,
+    workingHours,
+    dateOverrides,
+    blackoutDates,
+    holidayCountry,
+    mode = "collective",
+    outputFormat = "grouped",
+    maxResults,
+    earliestFirst = true,
+    bookingRules = normalizeBookingRules(),
+    bookingRulesByCalendar = {},
+    cacheTtlSeconds = 0,
+    fresh = false,
+    cacheStatus,
+  } = options;
+  const cacheOptions = { cacheTtlSeconds, fresh, cacheStatus };
+
+  const zone = timeZone || DEFAULT_TIMEZONE;
+  const calendarIds = Array.isArray(google_calendar_email)
+    ? google_calendar_email
+    : [google_calendar_email];
+  const isTeam = calendarIds.length > 1;
+  const reportHosts = isTeam && mode === "any";
+
   const now = new Date();
   const sevenDaysLater = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
 
-  const result = await checkCalendarAvailability(
-    now.toISOString(),
-    sevenDaysLater.toISOString(),
-    google_service_account_key,
-    google_calendar_email
+  // Booking rules per calendar (at least the server-side ones); caps and gaps need busy data
+  // beyond the offered window
+  const rulesByCalendar = Object.fromEntries(
+    calendarIds.map((id) => [
+      id,
+      enforceConfiguredBookingRules(
+        id,
+        mergeBookingRules(bookingRules, bookingRulesByCalendar[id])
+      ),
+    ])
   );
+  let queryStart = now;
+  let queryEnd = sevenDaysLater;
+  const bookingStartsByCalendar = {};
+  for (const calendarId of calendarIds) {
+    const rules = rulesByCalendar[calendarId];
+    const range = busyRangeForRules(rules, now, sevenDaysLater, zone);
+    if (range) {
+      queryStart = new Date(Math.min(queryStart, range.start));
+      queryEnd = new Date(Math.max(queryEnd, range.end));
+    }
+    bookingStartsByCalendar[calendarId] = await bookingStartsForRules(
+      calendarId,
+      rules,
+      range
+    );
+  }
+  const allowedFor = (calendarId, busy) => (slot) =>
+    findRuleViolations(
+      rulesByCalendar[calendarId],
+      slot,
+      { busy, bookingStarts: bookingStartsByCalendar[calendarId] },
+      zone,
+      now
+    ).length === 0;
+
+  const slotOptions = {
+    slotDurationMinutes,
+    slotStepMinutes,
+    schedule: createSchedule({
+      workStartHour: work_start_hour,
+      workEndHour: work_end_hour,
+      includeWeekends,
+      workingHours,
+      dateOverrides,
+      blackoutDates,
+      holidayCountry,
+    }),
+  };
+
+  let slots;
+  if (!isTeam) {
+    const result = await checkCalendarAvailability(
+      queryStart.toISOString(),
+      queryEnd.toISOString(),
+      google_service_account_key,
+      calendarIds[0],
+      { bufferBeforeMinutes, bufferAfterMinutes, ...cacheOptions }
+    );
+
+    // Check if there was an error accessing the calendar
+    if (result.error) {
+      throw new Error(result.error);
+    }
+
+    // Log calendar result summary
+    console.log(`[INFO] Calendar result for ${calendarIds[0]}:`, {
+      freeSlots: result.free ? result.free.length : 0,
+      busyTimes: result.busy ? result.busy.length : 0,
+    });
+
+    // Split into bookable slots that pass the booking rules
+    slots = generateSlots(
+      clipIntervals(result.free, now, sevenDaysLater),
+      zone,
+      slotOptions
+    ).filter(allowedFor(calendarIds[0], result.busy));
+  } else {
+    const result = await checkTeamAvailability(
+      queryStart.toISOString(),
+      queryEnd.toISOString(),
+      google_service_account_key,
+      calendarIds,
+      { bufferBeforeMinutes, bufferAfterMinutes, ...cacheOptions }
+    );
+
+    // Check if there was an error accessing any of the calendars
+    if (result.error) {
+      throw new Error(result.error);
+    }
+
+    console.log(`[INFO] Team calendar result (${mode}):`, {
+      calendars: calendarIds,
+      collectiveFreeSlots: result.collectiveFree.length,
+    });
 
-  // Check if there was an error accessing the calendar
-  if (result.error) {
-    throw new Error(result.error);
+    if (mode === "any") {
+      const slotsByHost = {};
+      for (const calendarId of calendarIds) {
+        slotsByHost[calendarId] = generateSlots(
+          clipIntervals(result.free[calendarId], now, sevenDaysLater),
+          zone,
+          slotOptions
+        ).filter(allowedFor(calendarId, result.busy[calendarId]));
+      }
+      slots = mergeHostSlots(slotsByHost);
+    } else {
+      slots = generateSlots(
+        clipIntervals(result.collectiveFree, now, sevenDaysLater),
+        zone,
+        slotOptions
+      ).filter((slot) =>
+        calendarIds.every((id) => allowedFor(id, result.busy[id])(slot))
+      );
+    }
   }
 
-  // Log calendar result summary
-  console.log(`[INFO] Calendar result for ${google_calendar_email}:`, {
-    freeSlots: result.free ? result.free.length : 0,
-    busyTimes: result.busy ? result.busy.length : 0,
-  });
+  // Order and limit the slots ("give me the next 3 slots")
+  slots.sort((a, b) => (earliestFirst ? a.start - b.start : b.start - a.start));
+  if (maxResults) {
+    slots = slots.slice(0, maxResults);
+  }
 
-  // Split into 1-hour slots and group into intervals
-  const hourlySlots = generateHourlySlots(
-    result.free,
-    timeZone || "Europe/Riga",
-    work_start_hour,
-    work_end_hour
-  );
-  if (hourlySlots.length === 0) {
+  if (outputFormat === "slots") {
+    return slots.map(({ start, end, hosts }) => ({
+      start: formatISOWithOffset(start, zone),
+      end: formatISOWithOffset(end, zone),
+      ...(reportHosts && { hosts }),
+    }));
+  }
+
+  if (outputFormat === "text") {
+    return formatSlotsAsText(slots, zone, {
+      days,
+      slotDurationMinutes,
+      slotStepMinutes,
+      listStartTimes: Boolean(maxResults),
+      reportHosts,
+    });
+  }
+
+  if (slots.length === 0) {
     return [];
   }
 
-  // Group consecutive slots into intervals
-  const intervals = groupSlotsIntoIntervals(hourlySlots);
+  // Group consecutive slots into intervals (grouping needs chronological order)
+  const intervals = groupSlotsIntoIntervals(
+    [...slots].sort((a, b) => a.start - b.start)
+  );
   if (intervals.length === 0) {
     return [];
   }
 
-  // Format each interval as a JSON object with requested UTC offset
-  const intervalObjects = intervals.map(({ start, end }) => {
-    const day = start
-      .toLocaleDateString("en-US", {
-        weekday: "long",
-        timeZone: timeZone || "Europe/Riga",
-      })
-      .toLowerCase();
-    const month = start.toLocaleDateString("en-US", {
-      month: "long",
-      timeZone: timeZone || "Europe/Riga",
-    });
-    const date = new Intl.DateTimeFormat("en-GB", {
-      day: "2-digit",
-      timeZone: timeZone || "Europe/Riga",
-    }).format(start);
-    const year = new Intl.DateTimeFormat("en-GB", {
-      year: "numeric",
-      timeZone: timeZone || "Europe/Riga",
-    }).format(start);
-    const monthNum = new Intl.DateTimeFormat("en-GB", {
-      month: "2-digit",
-      timeZone: timeZone || "Europe/Riga",
-    })
-      .format(start)
-      .toString()
-      .padStart(2, "0");
-    const dateNum = new Intl.DateTimeFormat("en-GB", {
-      day: "2-digit",
-      timeZone: timeZone || "Europe/Riga",
-    })
-      .format(start)
-      .toString()
-      .padStart(2, "0");
-    const dateStr = `${year}-${monthNum}-${dateNum}`;
-
-    // Format start and end time in the specified time zone
-    const startTime = new Intl.DateTimeFormat("en-GB", {
-      hour: "2-digit",
-      minute: "2-digit",
-      hour12: false,
-      timeZone: timeZone || "Europe/Riga",
-    }).format(start);
-    const endTime = new Intl.DateTimeFormat("en-GB", {
-      hour: "2-digit",
-      minute: "2-digit",
-      hour12: false,
-      timeZone: timeZone || "Europe/Riga",
-    }).format(end);
-
-    const interval = `${startTime}-${endTime} ${timeZone || "Europe/Riga"}`;
+  // Group intervals by local date in the requested time zone
+  const grouped = {};
+  const ensureDay = (date) => {
+    const { dateStr, ...dayInfo } = formatZonedDate(date, zone);
+    if (!grouped[dateStr]) {
+      grouped[dateStr] = { ...dayInfo, intervals: [] };
+      if (reportHosts) grouped[dateStr].slots = [];
+    }
+    return grouped[dateStr];
+  };
 
-    return { day, month, date, dateStr, interval };
-  });
+  for (const { start, end } of intervals) {
+    ensureDay(start).intervals.push(
+      `${formatZonedTimeRange(start, end, zone)} ${zone}`
+    );
+  }
 
-  // Group intervals by dateStr
-  const grouped = {};
-  for (const intervalObj of intervalObjects) {
-    if (!grouped[intervalObj.dateStr]) {
-      grouped[intervalObj.dateStr] = {
-        day: intervalObj.day,
-        month: intervalObj.month,
-        date: intervalObj.date,
-        intervals: [],
-      };
+  // In round-robin mode, report which hosts are free for every slot
+  if (reportHosts) {
+    for (const { start, end, hosts } of slots) {
+      ensureDay(start).slots.push({
+        time: formatZonedTimeRange(start, end, zone),
+        hosts,
+      });
     }
-    grouped[intervalObj.dateStr].intervals.push(intervalObj.interval);
   }
 
   return grouped;
 }
 
-// Book an event in Google Calendar (with Meet) using DWD impersonation
-export async function bookCalendarEvent(
+// In-process rotation state for round-robin pools, keyed by the sorted pool members
+const roundRobinCursors = new Map();
+
+// Picks the host for a booking from a round-robin pool. Only hosts that are free for the
+// whole start-end window are eligible. Strategy "least_booked" picks the host with the fewest
+// busy blocks within balanceWindowDays around the slot; "rotate" cycles through the pool in order.
+// Hosts whose booking rules (rulesByHost, normalized) the slot would break are not eligible either.
+// Returns { host, freeHosts }; host is null when nobody in the pool is free.
+export async function selectRoundRobinHost(
   google_service_account_key,
-  google_calendar_email, // e.g., "hello@setinbound.com"
-  eventDetails
+  pool,
+  startTime,
+  endTime,
+  {
+    strategy = "least_booked",
+    balanceWindowDays = 7,
+    rulesByHost = {},
+    timeZone = DEFAULT_TIMEZONE,
+  } = {}
 ) {
-  try {
-    const credentials = google_service_account_key;
-
-    // IMPORTANT: use JWT + subject to impersonate the organizer
-    const auth = new google.auth.JWT({
-      email: credentials.client_email,
-      key: credentials.private_key,
-      scopes: ["https://www.googleapis.com/auth/calendar"],
-      subject: google_calendar_email, // impersonate the Meet-licensed user
-    });
-
-    const calendar = google.calendar({ version: "v3", auth });
-    const calendarId = google_calendar_email;
-
-    // Debug attendees
-    console.log("[gCalendar] Event details:", {
-      title: eventDetails.title,
-      attendees: eventDetails.attendees,
-      attendeesType: typeof eventDetails.attendees,
-      attendeesIsArray: Array.isArray(eventDetails.attendees),
-    });
+  const windowMs = balanceWindowDays * 24 * 60 * 60 * 1000;
+  const hostRules = Object.fromEntries(
+    pool.map((host) => [
+      host,
+      enforceConfiguredBookingRules(host, rulesByHost[host]),
+    ])
+  );
+  const windowStart = new Date(startTime.getTime() - windowMs);
+  const windowEnd = new Date(endTime.getTime() + windowMs);
 
-    // Validate and format attendees for Google Calendar
-    let formattedAttendees = [];
-    if (eventDetails.attendees && Array.isArray(eventDetails.attendees)) {
-      formattedAttendees = eventDetails.attendees
-        .map((email) => {
-          if (typeof email === "string") {
-            return { email: email };
-          } else if (email && typeof email === "object" && email.email) {
-            return email;
-          }
-          return null;
-        })
-        .filter(Boolean); // Remove any null entries
+  // Booking rules may need busy data outside the balance window
+  let queryStart = windowStart;
+  let queryEnd = windowEnd;
+  const bookingStartsByHost = {};
+  for (const host of pool) {
+    const range = busyRangeForRules(
+      hostRules[host],
+      startTime,
+      endTime,
+      timeZone
+    );
+    if (range) {
+      queryStart = new Date(Math.min(queryStart, range.start));
+      queryEnd = new Date(Math.max(queryEnd, range.end));
     }
+    bookingStartsByHost[host] = await bookingStartsForRules(
+      host,
+      hostRules[host],
+      range
+    );
+  }
 
-    console.log("[gCalendar] Formatted attendees:", formattedAttendees);
+  const busyByCalendar = await queryBusyTimes(
+    queryStart.toISOString(),
+    queryEnd.toISOString(),
+    google_service_account_key,
+    pool
+  );
 
-    // Prepare event data
-    const event = {
-      summary: eventDetails.title,
-      description: eventDetails.description || "",
-      start: {
-        dateTime: eventDetails.startTime.toISOString(),
-        timeZone: "Europe/Riga",
-      },
-      end: {
-        dateTime: eventDetails.endTime.toISOString(),
-        timeZone: "Europe/Riga",
-      },
-      location: eventDetails.location || "",
-      attendees: formattedAttendees,
-      reminders: {
-        useDefault: false,
-        overrides: [
-          { method: "email", minutes: 24 * 60 }, // 24 hours before
-          { method: "popup", minutes: 30 }, // 30 minutes before
-        ],
-      },
-      // Disable default Google Calendar features
-      guestsCanModify: false,
-      guestsCanInviteOthers: false,
-      guestsCanSeeOtherGuests: true,
-      guestsCanAddSelf: false,
-      // Enable Google Meet link generation
-      conferenceData: {
-        createRequest: {
-          requestId: `meet-${Date.now()}-${Math.random()
-            .toString(36)
-            .substr(2, 9)}`,
-          conferenceSolutionKey: {
-            type: "hangoutsMeet",
-          },
+  const overlaps = (busy) =>
+    new Date(busy.start) < endTime && new Date(busy.end) > startTime;
+  const freeHosts = pool.filter(
+    (host) =>
+      !busyByCalendar[host].some(overlaps) &&
+      findRuleViolations(
+        hostRules[host],
+        { start: startTime, end: endTime },
+        {
+          busy: busyByCalendar[host],
+          bookingStarts: bookingStartsByHost[host],
         },
-      },
-    };
+        timeZone
+      ).length === 0
+  );
 
-    console.log("[gCalendar] Event object being sent to Google:", {
-      attendees: event.attendees,
-      attendeesLength: event.attendees.length,
-    });
+  if (freeHosts.length === 0) {
+    return { host: null, freeHosts };
+  }
+
+  let host;
+  if (strategy === "rotate") {
+    const poolKey = [...pool].sort().join(",");
+    const lastIndex = roundRobinCursors.get(poolKey) ?? -1;
+    for (let i = 1; i <= pool.length; i++) {
+      const candidate = pool[(lastIndex + i) % pool.length];
+      if (freeHosts.includes(candidate)) {
+        host = candidate;
+        break;
+      }
+    }
+    roundRobinCursors.set(poolKey, pool.indexOf(host));
+  } else {
+    // Fewest busy blocks wins; ties go to the host listed first in the pool
+    const bookedInWindow = (host) =>
+      busyByCalendar[host].filter(
+        (busy) =>
+          new Date(busy.start) < windowEnd && new Date(busy.end) > windowStart
+      ).length;
+    host = freeHosts.reduce((best, candidate) =>
+      bookedInWindow(candidate) < bookedInWindow(best) ? candidate : best
+    );
+  }
+
+  console.log("[gCalendar] Round-robin host selected:", {
+    strategy,
+    host,
+    freeHosts,
+  });
+
+  return { host, freeHosts };
+}
+
+// Creates a Calendar client that impersonates the organizer via DWD (read/write scope)
+function createImpersonatedCalendar(
+  google_service_account_key,
+  google_calendar_email
+) {
+  const credentials = google_service_account_key;
+
+  // IMPORTANT: use JWT + subject to impersonate the organizer
+  const auth = new google.auth.JWT({
+    email: credentials.client_email,
+    key: credentials.private_key,
+    scopes: ["https://www.googleapis.com/auth/calendar"],
+    subject: google_calendar_email, // impersonate the Meet-licensed user
+  });
+
+  return createCalendarClient(auth);
+}
+
+// Google Calendar implementation of the calendar provider methods (see calendarProviders.js)
+function createGoogleProvider(google_service_account_key, calendarId) {
+  return {
+    name: "google",
+    freeBusy: async (timeMin, timeMax) =>
+      (
+        await queryGoogleBusyTimes(
+          timeMin,
+          timeMax,
+          google_service_account_key,
+          [calendarId]
+        )
+      )[calendarId],
+    insertEvent: (eventDetails) =>
+      insertGoogleEvent(google_service_account_key, calendarId, eventDetails),
+    getEvent: (eventId) =>
+      getGoogleEvent(google_service_account_key, calendarId, eventId),
+    patchEvent: (eventId, changes) =>
+      patchGoogleEvent(
+        google_service_account_key,
+        calendarId,
+        eventId,
+        changes
+      ),
+    deleteEvent: (eventId, options) =>
+      deleteGoogleEvent(
+        google_service_account_key,
+        calendarId,
+        eventId,
+        options
+      ),
+    listEvents: (timeMin, timeMax, options) =>
+      listGoogleEvents(
+        google_service_account_key,
+        calendarId,
+        timeMin,
+        timeMax,
+        options
+      ),
+  };
+}
+
+// Returns the provider for a calendar, chosen by its config (CalDAV calendars are listed in
+// CALDAV_CALENDARS, all others are Google Calendar)
+export function getCalendarProvider(google_service_account_key, calendarId) {
+  const config = getCalendarConfig(calendarId);
+  if (config.provider === "caldav") {
+    return createCalDavProvider(calendarId, config);
+  }
+  return createGoogleProvider(google_service_account_key, calendarId);
+}
+
+// Extracts the Meet link from a Google Calendar event resource
+function extractMeetLink(event) {
+  return (
+    event.hangoutLink ||
+    event?.conferenceData?.entryPoints?.find(
+      (e) => e.entryPointType === "video"
+    )?.uri ||
+    null
+  );
+}
+
+// Google creates Meet conferences asynchronously: "success" once the link exists, "pending" while
+// it is being created, "failure" if it couldn't be, null when the event has no conference
+function conferenceStatusOf(event) {
+  if (!event?.conferenceData) return null;
+  return (
+    event.conferenceData.createRequest?.status?.statusCode ||
+    (extractMeetLink(event) ? "success" : "pending")
+  );
+}
+
+// Book an event in the calendar (Google Calendar or CalDAV, see getCalendarProvider). A Meet link is
+// generated when eventDetails.locationType is "google_meet" (the default, Google calendars only);
+// otherwise eventDetails.location holds the phone number, address or meeting URL (see location.js).
+// eventDetails.reminders, guestPermissions and extendedProperties come from eventOptions.js
+export async function bookCalendarEvent(
+  google_service_account_key,
+  google_calendar_email, // e.g., "hello@setinbound.com"
+  eventDetails
+) {
+  try {
+    return await getCalendarProvider(
+      google_service_account_key,
+      google_calendar_email
+    ).insertEvent(eventDetails);
+  } finally {
+    // Even a failed insert may have reached the calendar
+    invalidateBusyTimes(google_calendar_email);
+  }
+}
+
+// Book an event in Google Calendar using DWD impersonation
+async function insertGoogleEvent(
+  google_service_account_key,
+  google_calendar_email,
+  eventDetails
+) {
+  try {
+    const calendar = createImpersonatedCalendar(
+      google_service_account_key,
+      google_calendar_email
+    );
+    const calendarId = google_calendar_email;
+
+    // Debug attendees
+    console.log("[gCalendar] Event details:", {
+      title: eventDetails.title,
+      attendees: eventDetails.attendees,
+      attendeesType: typeof eventDetails.attendees,
+      attendeesIsArray: Array.isArray(eventDetails.attendees),
+    });
+
+    // Validate and format attendees for Google Calendar
+    let formattedAttendees = [];
+    if (eventDetails.attendees && Array.isArray(eventDetails.attendees)) {
+      formattedAttendees = eventDetails.attendees
+        .map((email) => {
+          if (typeof email === "string") {
+            return { email: email };
+          } else if (email && typeof email === "object" && email.email) {
+            return email;
+          }
+          return null;
+        })
+        .filter(Boolean); // Remove any null entries
+    }
+
+    console.log("[gCalendar] Formatted attendees:", formattedAttendees);
+
+    // Prepare event data
+    const timeZone = eventDetails.timeZone || DEFAULT_TIMEZONE;
+    const locationType = eventDetails.locationType || "google_meet";
+    const event = {
+      summary: eventDetails.title,
+      description: eventDetails.description || "",
+      // Create the event in the requester's (attendee's) time zone
+      start: {
+        dateTime: formatISOWithOffset(eventDetails.startTime, timeZone),
+        timeZone,
+      },
+      end: {
+        dateTime: formatISOWithOffset(eventDetails.endTime, timeZone),
+        timeZone,
+      },
+      location: eventDetails.location || "",
+      attendees: formattedAttendees,
+      // Recurring events get RRULE/EXDATE lines (start/end timeZone is required for these)
+      ...(eventDetails.recurrence && {
+        recurrence: buildRecurrenceRules(
+          eventDetails.recurrence,
+          eventDetails.startTime,
+          timeZone
+        ),
+      }),
+      reminders: eventDetails.reminders || DEFAULT_REMINDERS,
+      // Guests can't change the event or invite others unless the booking allows it
+      ...normalizeGuestPermissions(),
+      ...eventDetails.guestPermissions,
+      // Private properties (e.g. a CRM lead id) are only visible on the organizer's copy
+      ...(eventDetails.extendedProperties && {
+        extendedProperties: { private: eventDetails.extendedProperties },
+      }),
+      // Generate a Google Meet link unless the meeting is by phone, in person or on another platform
+      ...(locationType === "google_meet" && {
+        conferenceData: {
+          createRequest: {
+            requestId: `meet-${Date.now()}-${Math.random()
+              .toString(36)
+              .substr(2, 9)}`,
+            conferenceSolutionKey: {
+              type: "hangoutsMeet",
+            },
+          },
+        },
+      }),
+    };
+
+    console.log("[gCalendar] Event object being sent to Google:", {
+      attendees: event.attendees,
+      attendeesLength: event.attendees.length,
+    });
 
     const res = await calendar.events.insert({
       calendarId,
@@ -444,14 +1161,14 @@ export async function bookCalendarEvent(
     });
 
     // Extract Meet link from response
-    const meetLink =
-      res.data.hangoutLink ||
-      res.data?.conferenceData?.entryPoints?.find(
-        (e) => e.entryPointType === "video"
-      )?.uri ||
-      null;
-
-    return { ...res.data, meetLink };
+    const meetLink = extractMeetLink(res.data);
+
+    return {
+      ...res.data,
+      meetLink,
+      locationType,
+      conferenceStatus: conferenceStatusOf(res.data),
+    };
   } catch (error) {
     if (error.code === 403)
       throw new Error("Access denied (check DWD scopes + subject user)");
@@ -460,3 +1177,912 @@ export async function bookCalendarEvent(
     throw new Error(error.message || "Failed to book event");
   }
 }
+
+// Raised when a guarded booking finds the requested window already taken
+export class BookingConflictError extends Error {
+  constructor(message, { conflicts = [], alternatives = [] } = {}) {
+    super(message);
+    this.name = "BookingConflictError";
+    this.code = 409;
+    this.conflicts = conflicts;
+    this.alternatives = alternatives;
+  }
+}
+
+// Tail of the pending lock chain per calendar, so bookings on one calendar run one at a time
+const calendarLocks = new Map();
+
+// Runs fn while holding an in-process lock for the calendar
+export async function withCalendarLock(calendarId, fn) {
+  const previous = calendarLocks.get(calendarId) || Promise.resolve();
+  let release;
+  const current = new Promise((resolve) => (release = resolve));
+  const tail = previous.then(() => current);
+  calendarLocks.set(calendarId, tail);
+
+  await previous;
+  try {
+    return await fn();
+  } finally {
+    release();
+    if (calendarLocks.get(calendarId) === tail) {
+      calendarLocks.delete(calendarId);
+    }
+  }
+}
+
+// Finds the next free slots of the same length as a requested booking, starting from its start time
+export async function findAlternativeSlots(
+  google_service_account_key,
+  google_calendar_email,
+  startTime,
+  endTime,
+  {
+    timeZone = DEFAULT_TIMEZONE,
+    count = 3,
+    searchDays = 7,
+    bufferBeforeMinutes = 0,
+    bufferAfterMinutes = 0,
+    slotStepMinutes = 30,
+    bookingRules,
+    ...scheduleOptions
+  } = {}
+) {
+  const searchStart = new Date(Math.max(startTime.getTime(), Date.now()));
+  const searchEnd = new Date(
+    searchStart.getTime() + searchDays * 24 * 60 * 60 * 1000
+  );
+  const rulesRange = busyRangeForRules(
+    bookingRules,
+    searchStart,
+    searchEnd,
+    timeZone
+  );
+
+  const busyByCalendar = await queryBusyTimes(
+    new Date(
+      Math.min(searchStart, rulesRange?.start ?? searchStart)
+    ).toISOString(),
+    new Date(Math.max(searchEnd, rulesRange?.end ?? searchEnd)).toISOString(),
+    google_service_account_key,
+    [google_calendar_email]
+  );
+  const busyTimes = busyByCalendar[google_calendar_email];
+  const bookingStarts = await bookingStartsForRules(
+    google_calendar_email,
+    bookingRules,
+    rulesRange
+  );
+  const free = computeFreeIntervals(busyTimes, searchStart, searchEnd, {
+    bufferBeforeMinutes,
+    bufferAfterMinutes,
+  });
+
+  const slots = generateSlots(free, timeZone, {
+    slotDurationMinutes: Math.round((endTime - startTime) / (60 * 1000)),
+    slotStepMinutes,
+    ...scheduleOptions,
+  }).filter(
+    (slot) =>
+      findRuleViolations(
+        bookingRules,
+        slot,
+        { busy: busyTimes, bookingStarts },
+        timeZone
+      ).length === 0
+  );
+
+  return slots.slice(0, count).map(({ start, end }) => ({
+    start: formatISOWithOffset(start, timeZone),
+    end: formatISOWithOffset(end, timeZone),
+  }));
+}
+
+// Longest range checked with a single freebusy query when validating recurring bookings
+const FREEBUSY_CHUNK_MS = 60 * 24 * 60 * 60 * 1000;
+
+// Busy periods with the time of one event cut out, for checks that move that event
+function withoutInterval(busyTimes, interval) {
+  if (!interval) return busyTimes;
+  return busyTimes.flatMap((busy) => {
+    const start = new Date(busy.start);
+    const end = new Date(busy.end);
+    if (end <= interval.start || start >= interval.end) return [busy];
+    const parts = [];
+    if (start < interval.start) {
+      parts.push({ start: busy.start, end: interval.start.toISOString() });
+    }
+    if (end > interval.end) {
+      parts.push({ start: interval.end.toISOString(), end: busy.end });
+    }
+    return parts;
+  });
+}
+
+// Returns the windows (each padded by the buffers) that overlap a busy period, with the busy periods in the way.
+// ignoreInterval ({ start, end }) isn't counted as busy, e.g. the current time of an event being moved.
+async function findBusyConflicts(
+  google_service_account_key,
+  google_calendar_email,
+  windows,
+  {
+    bufferBeforeMinutes = 0,
+    bufferAfterMinutes = 0,
+    ignoreInterval = null,
+  } = {}
+) {
+  const padded = windows.map((window) => ({
+    window,
+    start: new Date(window.start.getTime() - bufferBeforeMinutes * 60 * 1000),
+    end: new Date(window.end.getTime() + bufferAfterMinutes * 60 * 1000),
+  }));
+
+  // Query freebusy in chunks so long recurrences stay within API limits
+  const busyTimes = [];
+  let chunkStart = 0;
+  while (chunkStart < padded.length) {
+    let chunkEnd = chunkStart;
+    while (
+      chunkEnd + 1 < padded.length &&
+      padded[chunkEnd + 1].end - padded[chunkStart].start <= FREEBUSY_CHUNK_MS
+    ) {
+      chunkEnd++;
+    }
+    const busyByCalendar = await queryBusyTimes(
+      padded[chunkStart].start.toISOString(),
+      padded[chunkEnd].end.toISOString(),
+      google_service_account_key,
+      [google_calendar_email]
+    );
+    busyTimes.push(
+      ...withoutInterval(busyByCalendar[google_calendar_email], ignoreInterval)
+    );
+    chunkStart = chunkEnd + 1;
+  }
+
+  return padded
+    .map(({ window, start, end }) => ({
+      ...window,
+      busy: busyTimes.filter(
+        (busy) => new Date(busy.start) < end && new Date(busy.end) > start
+      ),
+    }))
+    .filter(({ busy }) => busy.length > 0);
+}
+
+// Start times of the calendar's ledger bookings in range, when its rules cap bookings per day or week
+async function bookingStartsForRules(
+  google_calendar_email,
+  rules,
+  range,
+  options = {}
+) {
+  if (!range || !hasBookingCaps(rules)) return [];
+  return listBookingStarts(
+    google_calendar_email,
+    range.start,
+    range.end,
+    options
+  );
+}
+
+// Throws BookingRuleError when the start-end slot breaks the calendar's booking rules (normalized).
+// ignoreEvent ({ id, start, end }) is an event being moved: its current time isn't busy and it
+// isn't counted as a booking.
+export async function assertBookingRules(
+  google_service_account_key,
+  google_calendar_email,
+  startTime,
+  endTime,
+  bookingRules,
+  timeZone = DEFAULT_TIMEZONE,
+  { ignoreEvent = null } = {}
+) {
+  const range = busyRangeForRules(bookingRules, startTime, endTime, timeZone);
+  const busyTimes = range
+    ? withoutInterval(
+        (
+          await queryBusyTimes(
+            range.start.toISOString(),
+            range.end.toISOString(),
+            google_service_account_key,
+            [google_calendar_email]
+          )
+        )[google_calendar_email],
+        ignoreEvent
+      )
+    : [];
+
+  const bookingStarts = await bookingStartsForRules(
+    google_calendar_email,
+    bookingRules,
+    range,
+    { excludeEventId: ignoreEvent?.id ?? null }
+  );
+
+  const violations = findRuleViolations(
+    bookingRules,
+    { start: startTime, end: endTime },
+    { busy: busyTimes, bookingStarts },
+    timeZone
+  );
+  if (violations.length > 0) {
+    console.log("[gCalendar] Booking rules violated:", {
+      calendar: google_calendar_email,
+      rules: violations.map(({ rule }) => rule),
+    });
+    throw new BookingRuleError(
+      `Booking rules violated: ${violations
+        .map(({ message }) => message)
+        .join("; ")}`,
+      violations
+    );
+  }
+}
+
+// Book an event only if the window (including buffers) is still free.
+// The freebusy re-check and the insert run under a per-calendar lock, so two concurrent
+// bookings of the same slot cannot both succeed. Throws BookingConflictError on overlap.
+// For recurring events every occurrence is checked; onConflict decides what happens when some are taken:
+// "reject" (throw), "skip" (exclude them via EXDATE) or "book" (book anyway and report them).
+// Booking rules (guardOptions.bookingRules, tightened by CALENDAR_BOOKING_RULES) are checked for the requested (first) occurrence and throw
+// BookingRuleError; their minimum gap also pads every occurrence's conflict check.
+// guardOptions.beforeCheck runs under the lock before any check, e.g. to release a hold on the slot being booked.
+// guardOptions: bufferBeforeMinutes, bufferAfterMinutes, onConflict, bookingRules, beforeCheck, plus findAlternativeSlots options
+export async function bookCalendarEventGuarded(
+  google_service_account_key,
+  google_calendar_email,
+  eventDetails,
+  guardOptions = {}
+) {
+  const { onConflict = "reject" } = guardOptions;
+  const bookingRules = enforceConfiguredBookingRules(
+    google_calendar_email,
+    guardOptions.bookingRules
+  );
+  const timeZone = eventDetails.timeZone || DEFAULT_TIMEZONE;
+
+  return withCalendarLock(google_calendar_email, async () => {
+    if (guardOptions.beforeCheck) {
+      await guardOptions.beforeCheck();
+    }
+
+    if (hasBookingRules(bookingRules)) {
+      await assertBookingRules(
+        google_service_account_key,
+        google_calendar_email,
+        eventDetails.startTime,
+        eventDetails.endTime,
+        bookingRules,
+        timeZone
+      );
+    }
+
+    const recurrence = eventDetails.recurrence;
+    const occurrences = recurrence
+      ? expandOccurrences(
+          recurrence,
+          eventDetails.startTime,
+          eventDetails.endTime,
+          timeZone
+        )
+      : [{ start: eventDetails.startTime, end: eventDetails.endTime }];
+
+    const minGapMinutes = bookingRules?.minGapMinutes || 0;
+    const conflicts = await findBusyConflicts(
+      google_service_account_key,
+      google_calendar_email,
+      occurrences,
+      {
+        bufferBeforeMinutes: Math.max(
+          guardOptions.bufferBeforeMinutes || 0,
+          minGapMinutes
+        ),
+        bufferAfterMinutes: Math.max(
+          guardOptions.bufferAfterMinutes || 0,
+          minGapMinutes
+        ),
+      }
+    );
+
+    if (conflicts.length > 0) {
+      console.log("[gCalendar] Guarded booking conflict:", {
+        calendar: google_calendar_email,
+        conflicts: conflicts.length,
+        occurrences: occurrences.length,
+      });
+    }
+
+    // Single event: reject and suggest the next free slots
+    if (!recurrence) {
+      if (conflicts.length > 0) {
+        const alternatives = await findAlternativeSlots(
+          google_service_account_key,
+          google_calendar_email,
+          eventDetails.startTime,
+          eventDetails.endTime,
+          { ...guardOptions, bookingRules }
+        );
+
+        throw new BookingConflictError(
+          "Time conflict: the requested time slot is no longer free",
+          { conflicts: conflicts[0].busy, alternatives }
+        );
+      }
+
+      return bookCalendarEvent(
+        google_service_account_key,
+        google_calendar_email,
+        eventDetails
+      );
+    }
+
+    // Recurring event: report conflicting occurrences in the event's time zone
+    const conflictingOccurrences = conflicts.map(
+      ({ date, start, end, busy }) => ({
+        date,
+        start: formatISOWithOffset(start, timeZone),
+        end: formatISOWithOffset(end, timeZone),
+        busy,
+      })
+    );
+
+    let details = eventDetails;
+    let skipped = [];
+    if (conflicts.length > 0) {
+      if (onConflict === "reject" || conflicts.length === occurrences.length) {
+        throw new BookingConflictError(
+          `Time conflict: ${conflicts.length} of ${occurrences.length} occurrences are not free`,
+          { conflicts: conflictingOccurrences }
+        );
+      }
+      if (onConflict === "skip") {
+        skipped = conflictingOccurrences;
+        details = {
+          ...eventDetails,
+          recurrence: {
+            ...recurrence,
+            exceptions: [
+              ...recurrence.exceptions,
+              ...conflicts.map(({ date }) => date),
+            ],
+          },
+        };
+      }
+    }
+
+    const result = await bookCalendarEvent(
+      google_service_account_key,
+      google_calendar_email,
+      details
+    );
+
+    return {
+      ...result,
+      recurrenceCheck: {
+        occurrences: occurrences.length - skipped.length,
+        conflicts: onConflict === "book" ? conflictingOccurrences : [],
+        skipped,
+      },
+    };
+  });
+}
+
+// Move an event only if the new window (including buffers) is free and keeps to the booking rules
+// (guardOptions.bookingRules, tightened by CALENDAR_BOOKING_RULES). Runs under the same per-calendar
+// lock as guarded bookings; the event's current time doesn't count against the move.
+// Throws BookingConflictError or BookingRuleError.
+// guardOptions: bufferBeforeMinutes, bufferAfterMinutes, bookingRules, plus findAlternativeSlots options
+export async function rescheduleCalendarEventGuarded(
+  google_service_account_key,
+  google_calendar_email,
+  eventId,
+  changes,
+  guardOptions = {}
+) {
+  const bookingRules = enforceConfiguredBookingRules(
+    google_calendar_email,
+    guardOptions.bookingRules
+  );
+  const timeZone = changes.timeZone || DEFAULT_TIMEZONE;
+
+  return withCalendarLock(google_calendar_email, async () => {
+    const existing = await getCalendarEvent(
+      google_service_account_key,
+      google_calendar_email,
+      eventId
+    );
+    if (!existing.start?.dateTime || !existing.end?.dateTime) {
+      throw new Error("All-day events can't be rescheduled");
+    }
+    const current = {
+      id: eventId,
+      start: new Date(existing.start.dateTime),
+      end: new Date(existing.end.dateTime),
+    };
+    const startTime = changes.startTime;
+    const endTime =
+      changes.endTime ||
+      new Date(startTime.getTime() + (current.end - current.start));
+
+    if (hasBookingRules(bookingRules)) {
+      await assertBookingRules(
+        google_service_account_key,
+        google_calendar_email,
+        startTime,
+        endTime,
+        bookingRules,
+        timeZone,
+        { ignoreEvent: current }
+      );
+    }
+
+    const minGapMinutes = bookingRules?.minGapMinutes || 0;
+    const conflicts = await findBusyConflicts(
+      google_service_account_key,
+      google_calendar_email,
+      [{ start: startTime, end: endTime }],
+      {
+        bufferBeforeMinutes: Math.max(
+          guardOptions.bufferBeforeMinutes || 0,
+          minGapMinutes
+        ),
+        bufferAfterMinutes: Math.max(
+          guardOptions.bufferAfterMinutes || 0,
+          minGapMinutes
+        ),
+        ignoreInterval: current,
+      }
+    );
+    if (conflicts.length > 0) {
+      console.log("[gCalendar] Guarded reschedule conflict:", {
+        calendar: google_calendar_email,
+        eventId,
+      });
+      const alternatives = await findAlternativeSlots(
+        google_service_account_key,
+        google_calendar_email,
+        startTime,
+        endTime,
+        { ...guardOptions, timeZone, bookingRules }
+      );
+      throw new BookingConflictError(
+        "Time conflict: the requested time slot is not free",
+        { conflicts: conflicts[0].busy, alternatives }
+      );
+    }
+
+    return rescheduleCalendarEvent(
+      google_service_account_key,
+      google_calendar_email,
+      eventId,
+      { ...changes, endTime }
+    );
+  });
+}
+
+// Move an existing event to a new time.
+// The conference (Meet link) is left untouched; if no endTime is given the original duration is kept.
+export async function rescheduleCalendarEvent(
+  google_service_account_key,
+  google_calendar_email,
+  eventId,
+  changes
+) {
+  try {
+    return await getCalendarProvider(
+      google_service_account_key,
+      google_calendar_email
+    ).patchEvent(eventId, changes);
+  } finally {
+    invalidateBusyTimes(google_calendar_email);
+  }
+}
+
+// Moves a Google Calendar event using DWD impersonation
+async function patchGoogleEvent(
+  google_service_account_key,
+  google_calendar_email,
+  eventId,
+  { startTime, endTime, timeZone = DEFAULT_TIMEZONE, sendNotifications = true }
+) {
+  try {
+    const calendar = createImpersonatedCalendar(
+      google_service_account_key,
+      google_calendar_email
+    );
+    const calendarId = google_calendar_email;
+
+    let newEndTime = endTime;
+    if (!newEndTime) {
+      const existing = await calendar.events.get({ calendarId, eventId });
+      // All-day events have dates only, so there is no duration in time to keep
+      if (!existing.data.start?.dateTime || !existing.data.end?.dateTime) {
+        throw new Error("All-day events can't be rescheduled");
+      }
+      const durationMs =
+        new Date(existing.data.end.dateTime).getTime() -
+        new Date(existing.data.start.dateTime).getTime();
+      newEndTime = new Date(startTime.getTime() + durationMs);
+    }
+
+    console.log("[gCalendar] Rescheduling event:", {
+      eventId,
+      start: startTime.toISOString(),
+      end: newEndTime.toISOString(),
+    });
+
+    // Patch only the times; omitting conferenceData keeps the existing Meet conference
+    const res = await calendar.events.patch({
+      calendarId,
+      eventId,
+      requestBody: {
+        start: { dateTime: formatISOWithOffset(startTime, timeZone), timeZone },
+        end: { dateTime: formatISOWithOffset(newEndTime, timeZone), timeZone },
+      },
+      conferenceDataVersion: 1,
+      sendUpdates: sendNotifications ? "all" : "none",
+    });
+
+    return { ...res.data, meetLink: extractMeetLink(res.data) };
+  } catch (error) {
+    if (error.code === 403)
+      throw new Error("Access denied (check DWD scopes + subject user)");
+    if (error.code === 404) throw new Error("Event not found");
+    if (error.code === 410)
+      throw new Error("Event not found (already deleted)");
+    throw new Error(error.message || "Failed to reschedule event");
+  }
+}
+
+// Fetches an event's Meet link, re-reading the event every intervalMs (up to `attempts` more times)
+// while its conference is still being created. Returns { meetLink, conferenceStatus }.
+export async function waitForMeetLink(
+  google_service_account_key,
+  google_calendar_email,
+  eventId,
+  { attempts = 5, intervalMs = 1000 } = {}
+) {
+  const provider = getCalendarProvider(
+    google_service_account_key,
+    google_calendar_email
+  );
+
+  let event;
+  for (let attempt = 0; attempt <= attempts; attempt++) {
+    if (attempt > 0) {
+      await new Promise((resolve) => setTimeout(resolve, intervalMs));
+    }
+    event = await provider.getEvent(eventId);
+    if (conferenceStatusOf(event) !== "pending") break;
+  }
+
+  return {
+    meetLink: extractMeetLink(event),
+    conferenceStatus: conferenceStatusOf(event),
+  };
+}
+
+// Fetches one event (in the Google Calendar event resource shape)
+export async function getCalendarEvent(
+  google_service_account_key,
+  google_calendar_email,
+  eventId
+) {
+  return getCalendarProvider(
+    google_service_account_key,
+    google_calendar_email
+  ).getEvent(eventId);
+}
+
+async function getGoogleEvent(
+  google_service_account_key,
+  google_calendar_email,
+  eventId
+) {
+  try {
+    const calendar = createImpersonatedCalendar(
+      google_service_account_key,
+      google_calendar_email
+    );
+
+    const res = await calendar.events.get({
+      calendarId: google_calendar_email,
+      eventId,
+    });
+    return res.data;
+  } catch (error) {
+    if (error.code === 403)
+      throw new Error("Access denied (check DWD scopes + subject user)");
+    if (error.code === 404) throw new Error("Event not found");
+    if (error.code === 410)
+      throw new Error("Event not found (already deleted)");
+    throw new Error(error.message || "Failed to fetch event");
+  }
+}
+
+// Shapes a Google Calendar event for API responses, with times in timeZone.
+// All-day events keep their dates ("YYYY-MM-DD", end exclusive) and have all_day: true.
+function normalizeCalendarEvent(event, timeZone) {
+  const allDay = !event.start?.dateTime;
+  const formatTime = (time) =>
+    allDay
+      ? time?.date ?? null
+      : formatISOWithOffset(new Date(time.dateTime), timeZone);
+
+  return {
+    id: event.id,
+    title: event.summary ?? null,
+    description: event.description ?? null,
+    status: event.status,
+    start: formatTime(event.start),
+    end: formatTime(event.end),
+    all_day: allDay,
+    time_zone: timeZone,
+    location: event.location || null,
+    meet_link: extractMeetLink(event),
+    html_link: event.htmlLink ?? null,
+    recurring_event_id: event.recurringEventId ?? null,
+    organizer: event.organizer?.email ?? null,
+    attendees: (event.attendees || []).map((attendee) => ({
+      email: attendee.email,
+      display_name: attendee.displayName ?? null,
+      response_status: attendee.responseStatus ?? null,
+      optional: Boolean(attendee.optional),
+      organizer: Boolean(attendee.organizer),
+    })),
+    extended_properties: event.extendedProperties?.private ?? null,
+  };
+}
+
+// Lists events between timeMin and timeMax (recurring events expanded into instances, soonest first).
+// filters: query (free text, as in the Calendar search box), attendeeEmail (exact, case-insensitive),
+// privateProperties ({ key: value } private extended properties that must all match), maxResults,
+// showDeleted (also list cancelled events and instances; CalDAV calendars drop cancelled instances
+// from the series instead, as EXDATEs).
+// Returns normalized events (see normalizeCalendarEvent) with times in timeZone,
+// or the Google Calendar event resources when raw is set.
+export async function listCalendarEvents(
+  google_service_account_key,
+  google_calendar_email,
+  timeMin,
+  timeMax,
+  { maxResults = 50, timeZone, raw = false, ...filters } = {}
+) {
+  const events = await getCalendarProvider(
+    google_service_account_key,
+    google_calendar_email
+  ).listEvents(timeMin, timeMax, { ...filters, maxResults });
+
+  if (raw) return events;
+  return events.map((event) =>
+    normalizeCalendarEvent(event, timeZone || DEFAULT_TIMEZONE)
+  );
+}
+
+// Lists Google Calendar events (see listCalendarEvents for the filters)
+async function listGoogleEvents(
+  google_service_account_key,
+  google_calendar_email,
+  timeMin,
+  timeMax,
+  {
+    query,
+    attendeeEmail,
+    privateProperties,
+    maxResults = 50,
+    showDeleted = false,
+  } = {}
+) {
+  try {
+    const calendar = createImpersonatedCalendar(
+      google_service_account_key,
+      google_calendar_email
+    );
+
+    const attendee = attendeeEmail?.toLowerCase();
+    const events = [];
+    let pageToken;
+    do {
+      const res = await calendar.events.list({
+        calendarId: google_calendar_email,
+        timeMin: timeMin.toISOString(),
+        timeMax: timeMax.toISOString(),
+        singleEvents: true,
+        orderBy: "startTime",
+        maxResults: 250,
+        ...(showDeleted && { showDeleted }),
+        ...(query && { q: query }),
+        ...(privateProperties && {
+          privateExtendedProperty: Object.entries(privateProperties).map(
+            ([key, value]) => `${key}=${value}`
+          ),
+        }),
+        pageToken,
+      });
+
+      for (const event of res.data.items || []) {
+        if (
+          attendee &&
+          !(event.attendees || []).some(
+            ({ email }) => email?.toLowerCase() === attendee
+          )
+        ) {
+          continue;
+        }
+        events.push(event);
+      }
+      pageToken = res.data.nextPageToken;
+    } while (pageToken && events.length < maxResults);
+
+    return events.slice(0, maxResults);
+  } catch (error) {
+    if (error.code === 403)
+      throw new Error("Access denied (check DWD scopes + subject user)");
+    if (error.code === 404) throw new Error("Calendar not found");
+    throw new Error(error.message || "Failed to list events");
+  }
+}
+
+// Cancel (delete) an existing event
+export async function cancelCalendarEvent(
+  google_service_account_key,
+  google_calendar_email,
+  eventId,
+  options = {}
+) {
+  try {
+    return await getCalendarProvider(
+      google_service_account_key,
+      google_calendar_email
+    ).deleteEvent(eventId, options);
+  } finally {
+    invalidateBusyTimes(google_calendar_email);
+  }
+}
+
+// Deletes a Google Calendar event using DWD impersonation
+async function deleteGoogleEvent(
+  google_service_account_key,
+  google_calendar_email,
+  eventId,
+  { sendNotifications = true } = {}
+) {
+  try {
+    const calendar = createImpersonatedCalendar(
+      google_service_account_key,
+      google_calendar_email
+    );
+
+    await calendar.events.delete({
+      calendarId: google_calendar_email,
+      eventId,
+      sendUpdates: sendNotifications ? "all" : "none",
+    });
+
+    console.log("[gCalendar] Cancelled event:", { eventId });
+
+    return { id: eventId, status: "cancelled" };
+  } catch (error) {
+    if (error.code === 403)
+      throw new Error("Access denied (check DWD scopes + subject user)");
+    if (error.code === 404) throw new Error("Event not found");
+    if (error.code === 410)
+      throw new Error("Event not found (already deleted)");
+    throw new Error(error.message || "Failed to cancel event");
+  }
+}
+
+// Subscribes to push notifications for a calendar's events (events.watch).
+// Google POSTs to address with X-Goog-Channel-ID / X-Goog-Channel-Token headers on every change.
+// Returns { channelId, resourceId, expiration } (expiration as a Date)
+export async function watchCalendarEvents(
+  google_service_account_key,
+  google_calendar_email,
+  { channelId, token, address, ttlSeconds }
+) {
+  if (getCalendarConfig(google_calendar_email).provider !== "google") {
+    throw new Error(
+      "Push notifications are only available for Google calendars"
+    );
+  }
+
+  try {
+    const calendar = createImpersonatedCalendar(
+      google_service_account_key,
+      google_calendar_email
+    );
+
+    const res = await calendar.events.watch({
+      calendarId: google_calendar_email,
+      requestBody: {
+        id: channelId,
+        type: "web_hook",
+        address,
+        token,
+        ...(ttlSeconds && { params: { ttl: String(ttlSeconds) } }),
+      },
+    });
+
+    return {
+      channelId: res.data.id,
+      resourceId: res.data.resourceId,
+      expiration: new Date(Number(res.data.expiration)),
+    };
+  } catch (error) {
+    if (error.code === 403)
+      throw new Error("Access denied (check DWD scopes + subject user)");
+    if (error.code === 404) throw new Error("Calendar not found");
+    throw new Error(error.message || "Failed to watch calendar");
+  }
+}
+
+// Stops a push notification channel (channels.stop). A channel that is already gone is ignored.
+export async function stopCalendarChannel(
+  google_service_account_key,
+  google_calendar_email,
+  { channelId, resourceId }
+) {
+  try {
+    const calendar = createImpersonatedCalendar(
+      google_service_account_key,
+      google_calendar_email
+    );
+
+    await calendar.channels.stop({
+      requestBody: { id: channelId, resourceId },
+    });
+  } catch (error) {
+    if (error.code === 404) return;
+    if (error.code === 403)
+      throw new Error("Access denied (check DWD scopes + subject user)");
+    throw new Error(error.message || "Failed to stop channel");
+  }
+}
+
+// Pulls changed events since syncToken (all events when syncToken is empty, or those ending after
+// timeMin when it is given; Google doesn't accept timeMin with a sync token), following every page.
+// Returns { events, nextSyncToken }. Throws an error with code 410 when the sync token has expired
+// and a full sync is needed.
+export async function listCalendarChanges(
+  google_service_account_key,
+  google_calendar_email,
+  syncToken,
+  { timeMin } = {}
+) {
+  const calendar = createImpersonatedCalendar(
+    google_service_account_key,
+    google_calendar_email
+  );
+
+  const events = [];
+  let pageToken;
+  let nextSyncToken;
+  try {
+    do {
+      const res = await calendar.events.list({
+        calendarId: google_calendar_email,
+        ...(syncToken
+          ? { syncToken }
+          : timeMin && { timeMin: timeMin.toISOString() }),
+        ...(pageToken && { pageToken }),
+        maxResults: 2500,
+      });
+      events.push(...(res.data.items || []));
+      pageToken = res.data.nextPageToken;
+      nextSyncToken = res.data.nextSyncToken;
+    } while (pageToken);
+
+    return { events, nextSyncToken };
+  } catch (error) {
+    if (error.code === 410) {
+      const expired = new Error("Sync token expired (full sync required)");
+      expired.code = 410;
+      throw expired;
+    }
+    if (error.code === 403)
+      throw new Error("Access denied (check DWD scopes + subject user)");
+    if (error.code === 404) throw new Error("Calendar not found");
+    throw new Error(error.message || "Failed to list calendar changes");
+  }
+}
@@ -0,0 +1,155 @@
+// National public holidays computed per year, so availability can skip days off
+// without calling an external API. Dates are local calendar dates ("YYYY-MM-DD").
+
+// Easter Sunday for a given year (Anonymous Gregorian algorithm)
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function toDateStr(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function fixed(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+// If a holiday falls on a weekend, the next Monday is a day off instead
+function nextMondayIfWeekend(date) {
+  const weekday = date.getUTCDay();
+  if (weekday === 6) return addDays(date, 2);
+  if (weekday === 0) return addDays(date, 1);
+  return date;
+}
+
+// Holiday rules per ISO 3166-1 alpha-2 country code
+const HOLIDAY_RULES = {
+  // Latvia
+  LV: (year) => {
+    const easter = easterSunday(year);
+    const holidays = [
+      fixed(year, 1, 1), // New Year's Day
+      addDays(easter, -2), // Good Friday
+      easter, // Easter Sunday
+      addDays(easter, 1), // Easter Monday
+      fixed(year, 5, 1), // Labour Day
+      fixed(year, 5, 4), // Restoration of Independence Day
+      fixed(year, 6, 23), // Līgo Day
+      fixed(year, 6, 24), // Jāņi (Midsummer Day)
+      fixed(year, 11, 18), // Proclamation Day
+      fixed(year, 12, 24), // Christmas Eve
+      fixed(year, 12, 25), // Christmas Day
+      fixed(year, 12, 26), // Second Day of Christmas
+      fixed(year, 12, 31), // New Year's Eve
+    ];
+    // May 4 and November 18 move to Monday when they fall on a weekend
+    holidays.push(
+      nextMondayIfWeekend(fixed(year, 5, 4)),
+      nextMondayIfWeekend(fixed(year, 11, 18))
+    );
+    return holidays;
+  },
+
+  // Lithuania
+  LT: (year) => {
+    const easter = easterSunday(year);
+    return [
+      fixed(year, 1, 1), // New Year's Day
+      fixed(year, 2, 16), // Restoration of the State Day
+      fixed(year, 3, 11), // Restoration of Independence Day
+      easter, // Easter Sunday
+      addDays(easter, 1), // Easter Monday
+      fixed(year, 5, 1), // Labour Day
+      fixed(year, 6, 24), // St. John's Day
+      fixed(year, 7, 6), // Statehood Day
+      fixed(year, 8, 15), // Assumption Day
+      fixed(year, 11, 1), // All Saints' Day
+      fixed(year, 11, 2), // All Souls' Day
+      fixed(year, 12, 24), // Christmas Eve
+      fixed(year, 12, 25), // Christmas Day
+      fixed(year, 12, 26), // Second Day of Christmas
+    ];
+  },
+
+  // Estonia
+  EE: (year) => {
+    const easter = easterSunday(year);
+    return [
+      fixed(year, 1, 1), // New Year's Day
+      fixed(year, 2, 24), // Independence Day
+      addDays(easter, -2), // Good Friday
+      easter, // Easter Sunday
+      fixed(year, 5, 1), // Spring Day
+      addDays(easter, 49), // Pentecost
+      fixed(year, 6, 23), // Victory Day
+      fixed(year, 6, 24), // Midsummer Day
+      fixed(year, 8, 20), // Restoration of Independence Day
+      fixed(year, 12, 24), // Christmas Eve
+      fixed(year, 12, 25), // Christmas Day
+      fixed(year, 12, 26), // Boxing Day
+    ];
+  },
+
+  // Germany (nationwide holidays only)
+  DE: (year) => {
+    const easter = easterSunday(year);
+    return [
+      fixed(year, 1, 1), // New Year's Day
+      addDays(easter, -2), // Good Friday
+      addDays(easter, 1), // Easter Monday
+      fixed(year, 5, 1), // Labour Day
+      addDays(easter, 39), // Ascension Day
+      addDays(easter, 50), // Whit Monday
+      fixed(year, 10, 3), // Day of German Unity
+      fixed(year, 12, 25), // Christmas Day
+      fixed(year, 12, 26), // Second Day of Christmas
+    ];
+  },
+};
+
+export const SUPPORTED_HOLIDAY_COUNTRIES = Object.keys(HOLIDAY_RULES);
+
+// Cache of computed holiday sets keyed by "COUNTRY-YEAR"
+const holidayCache = new Map();
+
+// Returns the set of holiday dates ("YYYY-MM-DD") for a country and year
+export function getHolidays(countryCode, year) {
+  const country = String(countryCode).toUpperCase();
+  const rule = HOLIDAY_RULES[country];
+  if (!rule) {
+    throw new Error(
+      `Unsupported holiday country: ${countryCode}. Supported: ${SUPPORTED_HOLIDAY_COUNTRIES.join(
+        ", "
+      )}`
+    );
+  }
+
+  const cacheKey = `${country}-${year}`;
+  if (!holidayCache.has(cacheKey)) {
+    holidayCache.set(cacheKey, new Set(rule(year).map(toDateStr)));
+  }
+  return holidayCache.get(cacheKey);
+}
+
+// Checks whether a local date ("YYYY-MM-DD") is a public holiday in the country
+export function isHoliday(countryCode, dateStr) {
+  return getHolidays(countryCode, Number(dateStr.slice(0, 4))).has(dateStr);
+}
@@ -0,0 +1,160 @@
+import { marked } from "marked";
+
+// HTML helpers for email content: escaping, link checks, and Markdown rendered through an
+// allowlist sanitizer (descriptions often come from lead-supplied text, so nothing is trusted).
+
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// True for absolute http:// and https:// URLs
+export function isHttpUrl(value) {
+  if (typeof value !== "string" || !value) return false;
+  try {
+    const { protocol } = new URL(value);
+    return protocol === "http:" || protocol === "https:";
+  } catch (e) {
+    return false;
+  }
+}
+
+// Tags kept by the sanitizer, with the inline style each gets (email clients ignore <style>)
+const ALLOWED_TAGS = {
+  p: "margin:0 0 8px 0;",
+  br: "",
+  strong: "",
+  b: "",
+  em: "",
+  i: "",
+  u: "",
+  s: "",
+  del: "",
+  code: "font-family:monospace;",
+  pre: "margin:0 0 8px 0; white-space:pre-wrap; font-family:monospace;",
+  blockquote:
+    "margin:0 0 8px 0; padding-left:8px; border-left:3px solid #E5E7EB;",
+  ul: "margin:0 0 8px 0; padding-left:20px;",
+  ol: "margin:0 0 8px 0; padding-left:20px;",
+  li: "",
+  a: "color:#2563EB; text-decoration:none;",
+  h1: "margin:0 0 8px 0; font-size:15px;",
+  h2: "margin:0 0 8px 0; font-size:14px;",
+  h3: "margin:0 0 8px 0; font-size:13px;",
+  h4: "margin:0 0 8px 0; font-size:13px;",
+  h5: "margin:0 0 8px 0; font-size:13px;",
+  h6: "margin:0 0 8px 0; font-size:13px;",
+  hr: "border:none; border-top:1px solid #E5E7EB; margin:8px 0;",
+};
+const VOID_TAGS = ["br", "hr"];
+// Removed together with their content
+const DROPPED_ELEMENTS =
+  /<(script|style|iframe|object|embed|noscript|svg|math|template|textarea|title|select|head)\b[\s\S]*?(?:<\/\1\s*>|$)/gi;
+const TAG_PATTERN =
+  /<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTRIBUTE_PATTERN =
+  /([a-zA-Z_:][-a-zA-Z0-9_:.]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/g;
+const LINK_PATTERN = /^(?:https?:|mailto:)/i;
+
+function fromCodePoint(codePoint) {
+  return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : "";
+}
+
+// Decodes the entities an attribute value may use to hide a scheme (&#58;, &#x3a;, &colon;)
+function decodeEntities(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);?/gi, (_, hex) =>
+      fromCodePoint(Number.parseInt(hex, 16))
+    )
+    .replace(/&#(\d+);?/g, (_, dec) => fromCodePoint(Number(dec)))
+    .replace(/&colon;/gi, ":")
+    .replace(/&tab;|&newline;/gi, "")
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+// Opening tag with only the allowed attributes
+function openingTag(tag, attributes) {
+  let extra = "";
+  if (tag === "a") {
+    let href = null;
+    let title = null;
+    for (const match of attributes.matchAll(ATTRIBUTE_PATTERN)) {
+      const value = decodeEntities(match[2] ?? match[3] ?? match[4]);
+      const attribute = match[1].toLowerCase();
+      if (attribute === "href") href = value.replace(/[\s\u0000-\u001f]/g, "");
+      if (attribute === "title") title = value;
+    }
+    // Links without an allowed scheme (javascript:, data:, relative) lose their href
+    if (href && LINK_PATTERN.test(href)) {
+      extra += ` href="${escapeHtml(href)}" target="_blank"`;
+    }
+    if (title) extra += ` title="${escapeHtml(title)}"`;
+  }
+
+  const style = ALLOWED_TAGS[tag];
+  return `<${tag}${extra}${style ? ` style="${style}"` : ""}>`;
+}
+
+// Keeps only allowlisted tags (with their own inline styles) and safe links. Other tags are
+// removed but their text kept; scripts, styles and embeds are removed with their content.
+// Tags are balanced, so an unclosed link or quote can't run into the rest of the email.
+export function sanitizeHtml(html) {
+  const source = String(html ?? "")
+    .replace(/<!--[\s\S]*?(?:-->|$)/g, "")
+    .replace(DROPPED_ELEMENTS, "");
+
+  let result = "";
+  let last = 0;
+  const open = [];
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    result += escapeText(source.slice(last, match.index));
+    last = match.index + match[0].length;
+
+    const tag = match[2].toLowerCase();
+    if (!Object.hasOwn(ALLOWED_TAGS, tag)) continue;
+    if (VOID_TAGS.includes(tag)) {
+      if (match[1] !== "/") result += openingTag(tag, match[3]);
+    } else if (match[1] !== "/") {
+      result += openingTag(tag, match[3]);
+      open.push(tag);
+    } else if (open.includes(tag)) {
+      // Closes the tag and anything left open inside it
+      while (open.length) {
+        const closed = open.pop();
+        result += `</${closed}>`;
+        if (closed === tag) break;
+      }
+    }
+  }
+  result += escapeText(source.slice(last));
+  return (
+    result +
+    open
+      .reverse()
+      .map((tag) => `</${tag}>`)
+      .join("")
+  );
+}
+
+// Text between tags: stray angle brackets are escaped, entities left as they are
+function escapeText(text) {
+  return text.replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// Renders Markdown (GitHub flavour, single line breaks kept) to sanitized HTML
+export function renderMarkdown(markdown) {
+  return sanitizeHtml(
+    marked.parse(String(markdown ?? ""), {
+      async: false,
+      gfm: true,
+      breaks: true,
+    })
+  ).trim();
+}
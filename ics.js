@@ -0,0 +1,669 @@
+import {
+  getZonedParts,
+  getTimeZoneOffsetMinutes,
+  isValidTimeZone,
+  zonedTimeToUtc,
+} from "./timezone.js";
+
+// iCalendar (RFC 5545) files for booked events, for clients that import .ics files or subscribe
+// to a feed (Outlook, Apple Calendar), and for storing events on CalDAV servers. Events are written
+// with TZID times and a VTIMEZONE built from the zone's actual UTC offset changes over the covered years.
+// The parser at the end reads CalDAV calendar data back into a component tree.
+
+const PRODUCT_ID = "-//Setinbound//Calendar API//EN";
+const MINUTE_MS = 60 * 1000;
+
+// Google Calendar attendee response status -> iCalendar PARTSTAT
+const PARTSTATS = {
+  accepted: "ACCEPTED",
+  declined: "DECLINED",
+  tentative: "TENTATIVE",
+  needsAction: "NEEDS-ACTION",
+};
+
+// Private extended properties are stored as X-SETINBOUND-PROPERTY;X-KEY=<key>:<value>
+export const PRIVATE_PROPERTY = "X-SETINBOUND-PROPERTY";
+
+// Recurring events get a VTIMEZONE covering this many years past their first occurrence
+const RECURRING_TIMEZONE_YEARS = 5;
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, "0");
+}
+
+// Escapes a TEXT value (backslash, semicolon, comma, newlines)
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Quotes a parameter value when it contains characters that aren't allowed bare
+function paramValue(value) {
+  const clean = String(value).replace(/"/g, "'");
+  return /[;:,]/.test(clean) ? `"${clean}"` : clean;
+}
+
+// Folds a content line to 75 octets, continuing with CRLF + space (never splitting a UTF-8 character)
+function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const chunks = [];
+  let current = "";
+  let currentBytes = 0;
+  let limit = 75;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, "utf8");
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = "";
+      currentBytes = 0;
+      limit = 74; // continuation lines start with a space
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+}
+
+function formatUtc(date) {
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(
+    date.getUTCDate()
+  )}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(
+    date.getUTCSeconds()
+  )}Z`;
+}
+
+function formatLocal({ year, month, day, hour, minute, second }) {
+  return `${year}${pad(month)}${pad(day)}T${pad(hour)}${pad(minute)}${pad(
+    second
+  )}`;
+}
+
+// "2025-08-28" -> "20250828"
+function formatDateValue(date) {
+  return date.replace(/-/g, "");
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? "-" : "+";
+  return `${sign}${pad(Math.floor(Math.abs(minutes) / 60))}${pad(
+    Math.abs(minutes) % 60
+  )}`;
+}
+
+// Wall-clock time of an instant at a fixed UTC offset
+function localAtOffset(date, offsetMinutes) {
+  const shifted = new Date(date.getTime() + offsetMinutes * MINUTE_MS);
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    hour: shifted.getUTCHours(),
+    minute: shifted.getUTCMinutes(),
+    second: shifted.getUTCSeconds(),
+  };
+}
+
+const abbreviationFormatters = new Map();
+
+function zoneAbbreviation(date, timeZone) {
+  let formatter = abbreviationFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      timeZoneName: "short",
+    });
+    abbreviationFormatters.set(timeZone, formatter);
+  }
+  return formatter
+    .formatToParts(date)
+    .find(({ type }) => type === "timeZoneName")?.value;
+}
+
+// Instants between from and to where the zone's UTC offset changes, to the minute:
+// [{ at, offsetFrom, offsetTo }]. Probes month by month and bisects the months whose offset
+// changed (zones change offset at most a few times a year).
+function findOffsetTransitions(timeZone, from, to) {
+  const offsetAt = (time) => getTimeZoneOffsetMinutes(new Date(time), timeZone);
+  const transitions = [];
+  let previous = from.getTime();
+  let previousOffset = offsetAt(previous);
+
+  while (previous < to.getTime()) {
+    const next = new Date(previous);
+    next.setUTCMonth(next.getUTCMonth() + 1);
+    const time = Math.min(next.getTime(), to.getTime());
+    const offset = offsetAt(time);
+    if (offset !== previousOffset) {
+      // Narrow the change down to the minute
+      let low = previous;
+      let high = time;
+      while (high - low > MINUTE_MS) {
+        const middle =
+          low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+        if (offsetAt(middle) === previousOffset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      transitions.push({
+        at: new Date(high),
+        offsetFrom: previousOffset,
+        offsetTo: offset,
+      });
+    }
+    previous = time;
+    previousOffset = offset;
+  }
+
+  return transitions;
+}
+
+// VTIMEZONE for the zone covering from..to: the offset in effect at `from`, then one observance per offset change
+export function buildTimezone(timeZone, from, to) {
+  const transitions = findOffsetTransitions(timeZone, from, to);
+  const initialOffset = getTimeZoneOffsetMinutes(from, timeZone);
+  const lowestOffset = Math.min(
+    initialOffset,
+    ...transitions.map(({ offsetTo }) => offsetTo)
+  );
+
+  const observances = [
+    { at: from, offsetFrom: initialOffset, offsetTo: initialOffset },
+    ...transitions,
+  ];
+
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${timeZone}`];
+  for (const { at, offsetFrom, offsetTo } of observances) {
+    // Observances whose offset is above the zone's lowest offset are daylight (summer) time
+    const kind = offsetTo > lowestOffset ? "DAYLIGHT" : "STANDARD";
+    const name = zoneAbbreviation(at, timeZone);
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${formatLocal(localAtOffset(at, offsetFrom))}`,
+      `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(offsetTo)}`,
+      ...(name ? [`TZNAME:${escapeText(name)}`] : []),
+      `END:${kind}`
+    );
+  }
+  lines.push("END:VTIMEZONE");
+  return lines;
+}
+
+function alarmLines(reminder, event) {
+  const trigger = `TRIGGER:-PT${reminder.minutes}M`;
+  if (reminder.method === "email" && event.organizer?.email) {
+    return [
+      "BEGIN:VALARM",
+      "ACTION:EMAIL",
+      trigger,
+      `SUMMARY:${escapeText(event.title)}`,
+      `DESCRIPTION:${escapeText(`Reminder: ${event.title}`)}`,
+      `ATTENDEE:mailto:${event.organizer.email}`,
+      "END:VALARM",
+    ];
+  }
+  return [
+    "BEGIN:VALARM",
+    "ACTION:DISPLAY",
+    trigger,
+    `DESCRIPTION:${escapeText(event.title)}`,
+    "END:VALARM",
+  ];
+}
+
+// A date-time property for a Google Calendar time ({ dateTime } or { date }), in the event's zone
+function timeLine(name, time, timeZone) {
+  return time.dateTime
+    ? `${name};TZID=${timeZone}:${formatLocal(
+        getZonedParts(new Date(time.dateTime), timeZone)
+      )}`
+    : `${name};VALUE=DATE:${formatDateValue(time.date)}`;
+}
+
+function eventLines(event, now) {
+  const timeZone = event.timeZone;
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtc(now)}`,
+  ];
+
+  if (event.allDay) {
+    lines.push(
+      `DTSTART;VALUE=DATE:${formatDateValue(event.startDate)}`,
+      `DTEND;VALUE=DATE:${formatDateValue(event.endDate)}`
+    );
+  } else {
+    lines.push(
+      `DTSTART;TZID=${timeZone}:${formatLocal(
+        getZonedParts(event.start, timeZone)
+      )}`,
+      `DTEND;TZID=${timeZone}:${formatLocal(
+        getZonedParts(event.end, timeZone)
+      )}`
+    );
+  }
+
+  for (const rule of event.recurrence || []) {
+    lines.push(rule);
+  }
+  for (const time of event.exdates || []) {
+    lines.push(timeLine("EXDATE", time, timeZone));
+  }
+  if (event.recurrenceId) {
+    lines.push(timeLine("RECURRENCE-ID", event.recurrenceId, timeZone));
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+
+  // Clients without conference support still show the link in the description and location
+  const description = [
+    event.description,
+    event.conferenceUrl && `Join: ${event.conferenceUrl}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+
+  const location = event.location || event.conferenceUrl;
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+
+  if (event.conferenceUrl) {
+    lines.push(
+      `CONFERENCE;VALUE=URI;FEATURE=VIDEO;LABEL=Join meeting:${event.conferenceUrl}`
+    );
+  }
+  if (event.url) lines.push(`URL:${event.url}`);
+
+  if (event.organizer?.email) {
+    lines.push(
+      `ORGANIZER${
+        event.organizer.name ? `;CN=${paramValue(event.organizer.name)}` : ""
+      }:mailto:${event.organizer.email}`
+    );
+  }
+
+  for (const attendee of event.attendees || []) {
+    const params = [
+      attendee.name && `CN=${paramValue(attendee.name)}`,
+      `ROLE=${attendee.optional ? "OPT-PARTICIPANT" : "REQ-PARTICIPANT"}`,
+      `PARTSTAT=${PARTSTATS[attendee.responseStatus] || "NEEDS-ACTION"}`,
+      "RSVP=TRUE",
+      // Stops CalDAV servers from emailing invitations themselves (RFC 6638)
+      event.scheduleAgentClient && "SCHEDULE-AGENT=CLIENT",
+    ].filter(Boolean);
+    lines.push(`ATTENDEE;${params.join(";")}:mailto:${attendee.email}`);
+  }
+
+  for (const [key, value] of Object.entries(event.privateProperties || {})) {
+    lines.push(
+      `${PRIVATE_PROPERTY};X-KEY=${paramValue(key)}:${escapeText(value)}`
+    );
+  }
+
+  const status = { cancelled: "CANCELLED", tentative: "TENTATIVE" };
+  lines.push(
+    `STATUS:${status[event.status] || "CONFIRMED"}`,
+    `SEQUENCE:${event.sequence || 0}`
+  );
+  if (event.created) lines.push(`CREATED:${formatUtc(event.created)}`);
+  if (event.updated) lines.push(`LAST-MODIFIED:${formatUtc(event.updated)}`);
+
+  for (const reminder of event.reminders || []) {
+    lines.push(...alarmLines(reminder, event));
+  }
+
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+// Maps a Google Calendar event resource to the fields used here.
+// timeZone is used when the event doesn't carry its own.
+export function icsEventFromGoogle(event, timeZone) {
+  const allDay = !event.start?.dateTime;
+  const conferenceUrl =
+    event.hangoutLink ||
+    event.conferenceData?.entryPoints?.find(
+      ({ entryPointType }) => entryPointType === "video"
+    )?.uri ||
+    null;
+
+  return {
+    // Instances of a recurring series share the series' iCalUID and are written as overrides
+    // of the series' occurrence at their original start
+    uid: event.iCalUID || `${event.id}@google.com`,
+    recurrenceId: event.recurringEventId ? event.originalStartTime : null,
+    title: event.summary || "",
+    description: event.description || "",
+    location: event.location || "",
+    allDay,
+    start: allDay ? null : new Date(event.start.dateTime),
+    end: allDay ? null : new Date(event.end.dateTime),
+    startDate: allDay ? event.start.date : null,
+    endDate: allDay ? event.end.date : null,
+    timeZone: event.start?.timeZone || timeZone,
+    recurrence: event.recurrence || [],
+    exdates: [],
+    status: event.status,
+    sequence: event.sequence,
+    conferenceUrl,
+    url: event.htmlLink || null,
+    organizer: event.organizer?.email
+      ? {
+          email: event.organizer.email,
+          name: event.organizer.displayName || null,
+        }
+      : null,
+    attendees: (event.attendees || [])
+      .filter(({ email }) => email)
+      .map((attendee) => ({
+        email: attendee.email,
+        name: attendee.displayName || null,
+        optional: Boolean(attendee.optional),
+        responseStatus: attendee.responseStatus,
+      })),
+    reminders: event.reminders?.useDefault
+      ? []
+      : event.reminders?.overrides || [],
+    created: event.created ? new Date(event.created) : null,
+    updated: event.updated ? new Date(event.updated) : null,
+  };
+}
+
+// Google Calendar time ({ dateTime } or { date }) -> epoch ms
+function timeValue(time) {
+  return Date.parse(time.dateTime || time.date);
+}
+
+// Whether an instance of a recurring series was moved or edited, so it needs its own override
+function isChangedInstance(instance, master) {
+  const duration = (event) => timeValue(event.end) - timeValue(event.start);
+  return (
+    timeValue(instance.start) !== timeValue(instance.originalStartTime) ||
+    duration(instance) !== duration(master) ||
+    ["summary", "description", "location"].some(
+      (field) => (instance[field] || "") !== (master[field] || "")
+    )
+  );
+}
+
+// Maps listed Google Calendar events (recurring series expanded into instances) to ics events,
+// writing each series once: its master event (from masters, by recurringEventId) with the
+// recurrence rules and an EXDATE per cancelled instance, plus an override (RECURRENCE-ID) per
+// moved or edited instance. Instances whose master is missing are written as overrides alone.
+export function icsEventsFromGoogle(events, masters, timeZone) {
+  const result = [];
+  const series = new Map();
+
+  for (const event of events) {
+    const master = event.recurringEventId && masters[event.recurringEventId];
+    if (!master) {
+      if (event.status !== "cancelled") {
+        result.push(icsEventFromGoogle(event, timeZone));
+      }
+      continue;
+    }
+
+    let seriesEvent = series.get(event.recurringEventId);
+    if (!seriesEvent) {
+      seriesEvent = icsEventFromGoogle(master, timeZone);
+      series.set(event.recurringEventId, seriesEvent);
+      result.push(seriesEvent);
+    }
+
+    if (event.status === "cancelled") {
+      seriesEvent.exdates.push(event.originalStartTime);
+    } else if (isChangedInstance(event, master)) {
+      result.push(icsEventFromGoogle(event, timeZone));
+    }
+  }
+
+  return result;
+}
+
+// Builds a VCALENDAR with the events (see icsEventFromGoogle for the event fields; CalDAV events
+// may also set privateProperties and scheduleAgentClient).
+// options: method ("PUBLISH" for downloads and feeds, "REQUEST" for invitations, null for CalDAV
+// resources, which must not have one), name (calendar name)
+export function buildCalendar(events, { method = "PUBLISH", name } = {}) {
+  const now = new Date();
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+  ];
+  if (method) {
+    lines.push(`METHOD:${method}`);
+  }
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  // One VTIMEZONE per zone, covering the year before the first event through the year after the last
+  const ranges = new Map();
+  for (const event of events) {
+    if (event.allDay) continue;
+    const range = ranges.get(event.timeZone) || {
+      from: event.start,
+      to: event.end,
+    };
+    range.from = new Date(Math.min(range.from, event.start));
+    range.to = new Date(Math.max(range.to, event.end));
+    if (event.recurrence?.length) {
+      range.recurring = true;
+    }
+    ranges.set(event.timeZone, range);
+  }
+  for (const [timeZone, { from, to, recurring }] of ranges) {
+    const fromYear = from.getUTCFullYear() - 1;
+    const toYear =
+      to.getUTCFullYear() + (recurring ? RECURRING_TIMEZONE_YEARS : 1);
+    lines.push(
+      ...buildTimezone(
+        timeZone,
+        new Date(Date.UTC(fromYear, 0, 1)),
+        new Date(Date.UTC(toYear, 11, 31))
+      )
+    );
+  }
+
+  for (const event of events) {
+    lines.push(...eventLines(event, now));
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// Splits "NAME;PARAM=a,b;P2="x:y":value" into { name, params, value } (value left escaped)
+function parseContentLine(line) {
+  let index = 0;
+  const readUntil = (stops) => {
+    let result = "";
+    let quoted = false;
+    while (index < line.length) {
+      const char = line[index];
+      if (char === '"') {
+        quoted = !quoted;
+      } else if (!quoted && stops.includes(char)) {
+        break;
+      } else {
+        result += char;
+      }
+      index++;
+    }
+    return result;
+  };
+
+  const name = readUntil([";", ":"]).toUpperCase();
+  const params = {};
+  while (line[index] === ";") {
+    index++;
+    const paramName = readUntil(["=", ";", ":"]).toUpperCase();
+    let paramValue = "";
+    if (line[index] === "=") {
+      index++;
+      paramValue = readUntil([";", ":"]);
+    }
+    params[paramName] = paramValue;
+  }
+  return { name, params, value: line.slice(index + 1) };
+}
+
+// Parses iCalendar text into its components: [{ name, properties: [{ name, params, value }], components }].
+// Property values stay escaped, so serializeComponent writes them back unchanged.
+export function parseCalendar(text) {
+  const root = { name: null, properties: [], components: [] };
+  const stack = [root];
+
+  const lines = String(text)
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/);
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const property = parseContentLine(line);
+    const current = stack[stack.length - 1];
+
+    if (property.name === "BEGIN") {
+      const component = {
+        name: property.value.toUpperCase(),
+        properties: [],
+        components: [],
+      };
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === "END") {
+      if (stack.length > 1) stack.pop();
+    } else {
+      current.properties.push(property);
+    }
+  }
+
+  return root.components;
+}
+
+// Writes a parsed property back as a content line (unfolded)
+export function formatProperty({ name, params, value }) {
+  const paramText = Object.entries(params)
+    .map(([key, text]) => `;${key}=${paramValue(text)}`)
+    .join("");
+  return `${name}${paramText}:${value}`;
+}
+
+// Writes a parsed component (and its subcomponents) back as folded iCalendar text
+export function serializeComponent(component) {
+  const lines = [];
+  const write = ({ name, properties, components }) => {
+    lines.push(`BEGIN:${name}`);
+    for (const property of properties) {
+      lines.push(formatProperty(property));
+    }
+    components.forEach(write);
+    lines.push(`END:${name}`);
+  };
+  write(component);
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// First property of a component with the given name, or null
+export function getProperty(component, name) {
+  return (
+    component.properties.find((property) => property.name === name) || null
+  );
+}
+
+// Unescapes a TEXT value
+export function unescapeText(value) {
+  return String(value ?? "").replace(/\\([\\;,nN])/g, (match, char) =>
+    char === "n" || char === "N" ? "\n" : char
+  );
+}
+
+// Reads a DTSTART/DTEND/RECURRENCE-ID property. Returns { date, allDay, dateStr, timeZone }:
+// UTC and TZID times become Dates; floating times and TZIDs that aren't IANA zones are read
+// in fallbackTimeZone; all-day dates keep their "YYYY-MM-DD" dateStr.
+export function parseDateProperty(property, fallbackTimeZone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(
+    property.value.trim()
+  );
+  if (!match) {
+    throw new Error(`Invalid ${property.name}: ${property.value}`);
+  }
+  const [, year, month, day, hour, minute, second, utc] = match;
+
+  if (hour === undefined) {
+    const dateStr = `${year}-${month}-${day}`;
+    return {
+      date: zonedTimeToUtc(
+        { year: +year, month: +month, day: +day },
+        fallbackTimeZone
+      ),
+      allDay: true,
+      dateStr,
+      timeZone: fallbackTimeZone,
+    };
+  }
+
+  const parts = {
+    year: +year,
+    month: +month,
+    day: +day,
+    hour: +hour,
+    minute: +minute,
+    second: +second,
+  };
+  if (utc) {
+    return {
+      date: new Date(
+        Date.UTC(+year, +month - 1, +day, +hour, +minute, +second)
+      ),
+      allDay: false,
+      dateStr: null,
+      timeZone: property.params.TZID || "UTC",
+    };
+  }
+
+  const timeZone = isValidTimeZone(property.params.TZID)
+    ? property.params.TZID
+    : fallbackTimeZone;
+  return {
+    date: zonedTimeToUtc(parts, timeZone),
+    allDay: false,
+    dateStr: null,
+    timeZone,
+  };
+}
+
+// Parses a DURATION / TRIGGER value ("PT1H30M", "-P1D", "P2W") into minutes (negative before the event)
+export function parseDurationMinutes(value) {
+  const match =
+    /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(
+      String(value).trim()
+    );
+  if (!match) return null;
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] =
+    match;
+  const total =
+    +weeks * 7 * 24 * 60 +
+    +days * 24 * 60 +
+    +hours * 60 +
+    +minutes +
+    Math.floor(+seconds / 60);
+  return sign === "-" ? -total : total;
+}
+
+// Formats a Date as a UTC DATE-TIME value, or as local time in timeZone (for TZID properties)
+export function formatDateTimeValue(date, timeZone = null) {
+  return timeZone
+    ? formatLocal(getZonedParts(date, timeZone))
+    : formatUtc(date);
+}
@@ -0,0 +1,161 @@
+// Language packs for event emails. Dates, times and durations are formatted with Intl for the
+// pack's locale; the strings below are everything else the built-in email layout shows.
+
+export const DEFAULT_LOCALE = "en";
+
+const LANGUAGE_PACKS = {
+  en: {
+    intlLocale: "en-US",
+    subjectPrefix: "Event Invitation",
+    headerTitle: "Event Confirmation",
+    headerSubtitle: "Event scheduled successfully",
+    footerMessage: "Auto-generated confirmation",
+    scheduled: "Your event has been successfully scheduled!",
+    eventDetails: "Event details",
+    date: "Date",
+    time: "Time",
+    duration: "Duration",
+    timezone: "Timezone",
+    description: "Description",
+    organizer: "Organizer",
+    name: "Name",
+    email: "Email",
+    calendarLink: "Calendar Link",
+    joinMeeting: "Join Meeting",
+    viewCalendar: "View Calendar",
+    callOn: "Call on {number}",
+    locations: {
+      google_meet: "Google Meet",
+      phone: "Phone",
+      in_person: "Address",
+      custom_link: "Online meeting",
+      none: "Location",
+    },
+  },
+  lv: {
+    intlLocale: "lv-LV",
+    subjectPrefix: "Ielūgums",
+    headerTitle: "Tikšanās apstiprinājums",
+    headerSubtitle: "Tikšanās ir ieplānota",
+    footerMessage: "Automātiski izveidots apstiprinājums",
+    scheduled: "Jūsu tikšanās ir veiksmīgi ieplānota!",
+    eventDetails: "Informācija par tikšanos",
+    date: "Datums",
+    time: "Laiks",
+    duration: "Ilgums",
+    timezone: "Laika josla",
+    description: "Apraksts",
+    organizer: "Organizators",
+    name: "Vārds",
+    email: "E-pasts",
+    calendarLink: "Saite uz kalendāru",
+    joinMeeting: "Pievienoties",
+    viewCalendar: "Skatīt kalendārā",
+    callOn: "Zvaniet uz {number}",
+    locations: {
+      google_meet: "Google Meet",
+      phone: "Tālrunis",
+      in_person: "Adrese",
+      custom_link: "Tiešsaistes tikšanās",
+      none: "Vieta",
+    },
+  },
+  ru: {
+    intlLocale: "ru-RU",
+    subjectPrefix: "Приглашение",
+    headerTitle: "Подтверждение встречи",
+    headerSubtitle: "Встреча запланирована",
+    footerMessage: "Автоматическое подтверждение",
+    scheduled: "Ваша встреча успешно запланирована!",
+    eventDetails: "Детали встречи",
+    date: "Дата",
+    time: "Время",
+    duration: "Продолжительность",
+    timezone: "Часовой пояс",
+    description: "Описание",
+    organizer: "Организатор",
+    name: "Имя",
+    email: "Эл. почта",
+    calendarLink: "Ссылка на календарь",
+    joinMeeting: "Присоединиться",
+    viewCalendar: "Открыть в календаре",
+    callOn: "Позвоните по номеру {number}",
+    locations: {
+      google_meet: "Google Meet",
+      phone: "Телефон",
+      in_person: "Адрес",
+      custom_link: "Онлайн-встреча",
+      none: "Место",
+    },
+  },
+  de: {
+    intlLocale: "de-DE",
+    subjectPrefix: "Einladung",
+    headerTitle: "Terminbestätigung",
+    headerSubtitle: "Termin erfolgreich geplant",
+    footerMessage: "Automatisch erstellte Bestätigung",
+    scheduled: "Ihr Termin wurde erfolgreich geplant!",
+    eventDetails: "Termindetails",
+    date: "Datum",
+    time: "Uhrzeit",
+    duration: "Dauer",
+    timezone: "Zeitzone",
+    description: "Beschreibung",
+    organizer: "Organisator",
+    name: "Name",
+    email: "E-Mail",
+    calendarLink: "Kalenderlink",
+    joinMeeting: "Meeting beitreten",
+    viewCalendar: "Im Kalender ansehen",
+    callOn: "Anruf unter {number}",
+    locations: {
+      google_meet: "Google Meet",
+      phone: "Telefon",
+      in_person: "Adresse",
+      custom_link: "Online-Meeting",
+      none: "Ort",
+    },
+  },
+};
+
+export const SUPPORTED_LOCALES = Object.keys(LANGUAGE_PACKS);
+
+// Validates a locale from the request body ("lv", "lv-LV", "ru_RU") and returns its language.
+// Throws a descriptive error for languages without a pack.
+export function normalizeLocale(locale = DEFAULT_LOCALE) {
+  const language = String(locale || DEFAULT_LOCALE)
+    .split(/[-_]/)[0]
+    .toLowerCase();
+  if (!SUPPORTED_LOCALES.includes(language)) {
+    throw new Error(`locale must be one of: ${SUPPORTED_LOCALES.join(", ")}`);
+  }
+  return language;
+}
+
+// The language pack for a locale (English for anything without one)
+export function getLanguagePack(locale) {
+  try {
+    return LANGUAGE_PACKS[normalizeLocale(locale)];
+  } catch (e) {
+    return LANGUAGE_PACKS[DEFAULT_LOCALE];
+  }
+}
+
+// "1 hour 30 minutes", "1 stunda 30 minūtes", "2 часа 5 минут"
+export function formatDuration(minutes, locale) {
+  const { intlLocale } = getLanguagePack(locale);
+  const unit = (name, value) =>
+    new Intl.NumberFormat(intlLocale, {
+      style: "unit",
+      unit: name,
+      unitDisplay: "long",
+    }).format(value);
+
+  const total = Math.max(0, Math.round(minutes));
+  const hours = Math.floor(total / 60);
+  const rest = total % 60;
+  if (hours === 0) return unit("minute", rest);
+  return rest
+    ? `${unit("hour", hours)} ${unit("minute", rest)}`
+    : unit("hour", hours);
+}
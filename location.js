@@ -0,0 +1,79 @@
+// Where a meeting happens: a Google Meet conference, a phone call, an address or an external video link.
+// Bookings carry { type, details }; details is the phone number, address or URL for the type.
+
+export const LOCATION_TYPES = [
+  "google_meet",
+  "phone",
+  "in_person",
+  "custom_link",
+  "none",
+];
+
+// Validates location_type and its details from the request body and returns { type, details }.
+// For google_meet and none, details is optional free text (the event's location field).
+export function normalizeLocation(type = "google_meet", details = "") {
+  const locationType = String(type || "google_meet").toLowerCase();
+  if (!LOCATION_TYPES.includes(locationType)) {
+    throw new Error(
+      `location_type must be one of: ${LOCATION_TYPES.join(", ")}`
+    );
+  }
+
+  if (
+    details !== undefined &&
+    details !== null &&
+    typeof details !== "string"
+  ) {
+    throw new Error("location must be a string");
+  }
+  const value = (details || "").trim();
+
+  if (locationType === "phone" && value.replace(/\D/g, "").length < 6) {
+    throw new Error(
+      "location must be the phone number for location_type phone"
+    );
+  }
+
+  if (locationType === "in_person" && !value) {
+    throw new Error("location must be the address for location_type in_person");
+  }
+
+  if (locationType === "custom_link") {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (e) {
+      throw new Error("location must be a URL for location_type custom_link");
+    }
+    if (url.protocol !== "https:" && url.protocol !== "http:") {
+      throw new Error(
+        "location must be an http(s) URL for location_type custom_link"
+      );
+    }
+  }
+
+  return { type: locationType, details: value };
+}
+
+// How a location is shown to attendees: { label, text, link }.
+// meetLink is the generated Google Meet link (google_meet only).
+export function describeLocation({ type, details } = {}, meetLink = null) {
+  switch (type) {
+    case "phone":
+      return {
+        label: "Phone",
+        text: `Call on ${details}`,
+        link: `tel:${details.replace(/[^\d+]/g, "")}`,
+      };
+    case "in_person":
+      return { label: "Address", text: details, link: null };
+    case "custom_link":
+      return { label: "Online meeting", text: details, link: details };
+    case "none":
+      return details ? { label: "Location", text: details, link: null } : null;
+    default:
+      return meetLink
+        ? { label: "Google Meet", text: meetLink, link: meetLink }
+        : null;
+  }
+}
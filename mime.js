@@ -0,0 +1,245 @@
+import { randomBytes } from "crypto";
+
+// MIME (RFC 2045-2049) message composer for the emails sent through the Gmail API: text and HTML
+// alternatives, an optional calendar invitation, attachments, and headers with non-ASCII text
+// encoded per RFC 2047 (names like "Jānis Bērziņš" in Subject, From and file names).
+
+// Headers set from the message fields; custom headers can't override them
+const RESERVED_HEADERS = [
+  "from",
+  "to",
+  "cc",
+  "bcc",
+  "reply-to",
+  "subject",
+  "date",
+  "message-id",
+  "mime-version",
+  "content-type",
+  "content-transfer-encoding",
+  "content-disposition",
+];
+const HEADER_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9-]{0,75}$/;
+const CONTENT_TYPE_PATTERN = /^[a-z0-9][\w.+-]*\/[a-z0-9][\w.+-]*$/i;
+// Encoded words are at most 75 characters: "=?UTF-8?B?" + base64 of up to 45 bytes + "?="
+const ENCODED_WORD_BYTES = 45;
+
+// Unique per part, and never found in base64 bodies (which don't contain "=_")
+function createBoundary() {
+  return `=_${randomBytes(12).toString("hex")}`;
+}
+
+// Header values are single-line; line breaks would let content inject headers
+function singleLine(value) {
+  return String(value ?? "")
+    .replace(/[\r\n]+\s*/g, " ")
+    .trim();
+}
+
+// Encodes a header value as RFC 2047 encoded words when it isn't plain ASCII (or is too long
+// for one line), splitting between characters so no word cuts a UTF-8 sequence
+export function encodeHeaderValue(value) {
+  const text = singleLine(value);
+  if (/^[\x20-\x7e]*$/.test(text) && text.length <= 900) return text;
+
+  const words = [];
+  let chunk = "";
+  for (const char of text) {
+    if (Buffer.byteLength(chunk + char, "utf8") > ENCODED_WORD_BYTES) {
+      words.push(chunk);
+      chunk = "";
+    }
+    chunk += char;
+  }
+  words.push(chunk);
+  return words
+    .map(
+      (word) => `=?UTF-8?B?${Buffer.from(word, "utf8").toString("base64")}?=`
+    )
+    .join("\r\n ");
+}
+
+// "Name" <email>, with the name encoded when it isn't plain ASCII
+export function formatAddress(email, name = "") {
+  const address = singleLine(email);
+  const displayName = singleLine(name);
+  if (!displayName) return address;
+  if (/^[\x20-\x7e]*$/.test(displayName)) {
+    return `"${displayName.replace(/["\\]/g, "\\$&")}" <${address}>`;
+  }
+  return `${encodeHeaderValue(displayName)} <${address}>`;
+}
+
+// filename parameter with an RFC 2231 UTF-8 version for non-ASCII names
+function fileNameParameter(parameter, filename) {
+  const name = singleLine(filename);
+  const ascii = name.replace(/[^\x20-\x7e]/g, "_").replace(/["\\]/g, "_");
+  if (ascii === name) return `${parameter}="${name}"`;
+  return `${parameter}="${ascii}"; ${parameter}*=UTF-8''${encodeURIComponent(
+    name
+  ).replace(/['()*]/g, (char) => `%${char.charCodeAt(0).toString(16)}`)}`;
+}
+
+// Base64 in 76-character lines, as MIME bodies require
+function base64Body(content) {
+  return (Buffer.isBuffer(content) ? content : Buffer.from(content, "utf8"))
+    .toString("base64")
+    .replace(/.{1,76}/g, "$&\r\n")
+    .trimEnd();
+}
+
+function singlePart(headers, content) {
+  return [
+    ...headers,
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Body(content),
+  ];
+}
+
+function multipart(subtype, parts) {
+  const boundary = createBoundary();
+  return [
+    `Content-Type: multipart/${subtype}; boundary="${boundary}"`,
+    "",
+    ...parts.flatMap((part) => [`--${boundary}`, ...part]),
+    `--${boundary}--`,
+  ];
+}
+
+// Validates custom headers ({ name: value }) and returns them as [name, value] pairs. Throws a descriptive error.
+export function normalizeCustomHeaders(headers = {}) {
+  if (!headers || typeof headers !== "object" || Array.isArray(headers)) {
+    throw new Error("headers must be an object of header names and values");
+  }
+  return Object.entries(headers).map(([name, value]) => {
+    if (!HEADER_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid header name: ${name}`);
+    }
+    if (RESERVED_HEADERS.includes(name.toLowerCase())) {
+      throw new Error(`${name} can't be set as a custom header`);
+    }
+    if (typeof value !== "string" && typeof value !== "number") {
+      throw new Error(`Header ${name} must be a string`);
+    }
+    return [name, String(value)];
+  });
+}
+
+// Validates an attachment's file name and content type. Throws a descriptive error.
+export function assertValidAttachment({ filename, contentType }) {
+  if (
+    typeof filename !== "string" ||
+    !filename.trim() ||
+    filename.length > 255 ||
+    /[\\/\x00-\x1f]/.test(filename)
+  ) {
+    throw new Error(
+      "Attachment filename must be a file name (up to 255 characters, no slashes)"
+    );
+  }
+  if (!CONTENT_TYPE_PATTERN.test(contentType)) {
+    throw new Error(`Invalid attachment content type: ${contentType}`);
+  }
+}
+
+/**
+ * Builds a complete message (headers and body, CRLF line endings).
+ * @param {Object} message
+ * @param {{email: string, name?: string}} message.from
+ * @param {Array<string>} message.to, message.cc, message.bcc - Recipient emails
+ * @param {string} message.replyTo - Reply-To email
+ * @param {string} message.subject
+ * @param {string} message.text - Plain text version
+ * @param {string} message.html - HTML version
+ * @param {string} message.calendar - iCalendar REQUEST shown by mail clients as an invitation
+ * @param {Array<{filename: string, contentType: string, content: Buffer|string}>} message.attachments
+ * @param {Array<[string, string]>} message.headers - Extra headers (see normalizeCustomHeaders)
+ * @returns {string} The message
+ */
+export function buildMimeMessage({
+  from,
+  to = [],
+  cc = [],
+  bcc = [],
+  replyTo = null,
+  subject = "",
+  text = "",
+  html = null,
+  calendar = null,
+  attachments = [],
+  headers = [],
+}) {
+  const lines = [
+    `From: ${formatAddress(from.email, from.name)}`,
+    `To: ${to.map((email) => formatAddress(email)).join(", ")}`,
+  ];
+  if (cc.length) {
+    lines.push(`Cc: ${cc.map((email) => formatAddress(email)).join(", ")}`);
+  }
+  // Gmail removes Bcc from the delivered message but needs it to know the recipients
+  if (bcc.length) {
+    lines.push(`Bcc: ${bcc.map((email) => formatAddress(email)).join(", ")}`);
+  }
+  if (replyTo) lines.push(`Reply-To: ${formatAddress(replyTo)}`);
+  lines.push(`Subject: ${encodeHeaderValue(subject)}`);
+  for (const [name, value] of headers) {
+    lines.push(`${name}: ${encodeHeaderValue(value)}`);
+  }
+  lines.push("MIME-Version: 1.0");
+
+  const alternatives = [
+    singlePart(["Content-Type: text/plain; charset=UTF-8"], text),
+  ];
+  if (html !== null) {
+    alternatives.push(
+      singlePart(["Content-Type: text/html; charset=UTF-8"], html)
+    );
+  }
+  if (calendar) {
+    alternatives.push(
+      singlePart(
+        ["Content-Type: text/calendar; charset=UTF-8; method=REQUEST"],
+        calendar
+      )
+    );
+  }
+  const body =
+    alternatives.length > 1
+      ? multipart("alternative", alternatives)
+      : alternatives[0];
+
+  // The invitation is also attached as invite.ics for clients that only import files
+  const files = [
+    ...(calendar
+      ? [
+          {
+            filename: "invite.ics",
+            contentType: "application/ics",
+            content: calendar,
+          },
+        ]
+      : []),
+    ...attachments,
+  ];
+  if (files.length === 0) {
+    return [...lines, ...body].join("\r\n") + "\r\n";
+  }
+
+  const fileParts = files.map(({ filename, contentType, content }) =>
+    singlePart(
+      [
+        `Content-Type: ${contentType}; ${fileNameParameter("name", filename)}`,
+        `Content-Disposition: attachment; ${fileNameParameter(
+          "filename",
+          filename
+        )}`,
+      ],
+      content
+    )
+  );
+  return (
+    [...lines, ...multipart("mixed", [body, ...fileParts])].join("\r\n") +
+    "\r\n"
+  );
+}
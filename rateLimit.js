@@ -0,0 +1,40 @@
+// Fixed-window, in-memory rate limiter middleware for unauthenticated routes.
+// Counts requests per client IP; state is per process and resets on restart.
+export function createRateLimiter({ windowMs = 60 * 1000, max = 60 } = {}) {
+  const hits = new Map();
+
+  // Drop expired windows so the map doesn't grow without bound
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const key = req.ip || req.socket?.remoteAddress || "unknown";
+    const now = Date.now();
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count++;
+
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Remaining", String(Math.max(0, max - entry.count)));
+    res.set("RateLimit-Reset", String(Math.ceil((entry.resetAt - now) / 1000)));
+
+    if (entry.count > max) {
+      res.set("Retry-After", String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({
+        error: "Too many requests",
+        message: "Please try again later",
+      });
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,236 @@
+import {
+  getZonedParts,
+  zonedTimeToUtc,
+  parseDateTimeInZone,
+} from "./timezone.js";
+
+// RFC 5545 weekday codes indexed like Date#getDay (0 = Sunday)
+const RRULE_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const FREQUENCIES = ["daily", "weekly", "monthly"];
+
+// Upper bounds so a single request can't expand into thousands of events
+const MAX_COUNT = 200;
+const MAX_OCCURRENCES = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Maps "MO" / "mon" / "Monday" to its RFC 5545 code
+function normalizeWeekday(value) {
+  const key = String(value).slice(0, 2).toUpperCase();
+  if (!RRULE_WEEKDAYS.includes(key)) {
+    throw new Error(`Invalid recurrence weekday: ${value}`);
+  }
+  return key;
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, "0");
+}
+
+// Validates a recurrence spec from the request body and returns it normalized:
+// { frequency, interval, weekdays, count, until, exceptions }
+export function normalizeRecurrence(spec) {
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+    throw new Error("recurrence must be an object");
+  }
+
+  const frequency = String(spec.frequency || "").toLowerCase();
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new Error(
+      `recurrence.frequency must be one of: ${FREQUENCIES.join(", ")}`
+    );
+  }
+
+  const interval = spec.interval === undefined ? 1 : Number(spec.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+    throw new Error("recurrence.interval must be an integer between 1 and 52");
+  }
+
+  let weekdays = [];
+  if (spec.weekdays !== undefined) {
+    if (!Array.isArray(spec.weekdays) || spec.weekdays.length === 0) {
+      throw new Error("recurrence.weekdays must be a non-empty array");
+    }
+    if (frequency !== "weekly") {
+      throw new Error("recurrence.weekdays is only supported for weekly");
+    }
+    weekdays = [...new Set(spec.weekdays.map(normalizeWeekday))];
+  }
+
+  if (spec.count === undefined && spec.until === undefined) {
+    throw new Error("recurrence needs either count or until");
+  }
+  if (spec.count !== undefined && spec.until !== undefined) {
+    throw new Error("recurrence accepts count or until, not both");
+  }
+
+  let count = null;
+  if (spec.count !== undefined) {
+    count = Number(spec.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+      throw new Error(
+        `recurrence.count must be an integer between 1 and ${MAX_COUNT}`
+      );
+    }
+  }
+
+  let until = null;
+  if (spec.until !== undefined) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(spec.until))) {
+      throw new Error("recurrence.until must be a date (YYYY-MM-DD)");
+    }
+    until = spec.until;
+  }
+
+  const exceptions = spec.exceptions || [];
+  if (
+    !Array.isArray(exceptions) ||
+    exceptions.some((date) => !/^\d{4}-\d{2}-\d{2}$/.test(String(date)))
+  ) {
+    throw new Error(
+      "recurrence.exceptions must be an array of YYYY-MM-DD dates"
+    );
+  }
+
+  return { frequency, interval, weekdays, count, until, exceptions };
+}
+
+// Local calendar dates (as UTC-midnight Dates) on which the rule produces an instance, in order
+function* candidateDates(recurrence, startParts) {
+  const startDate = new Date(
+    Date.UTC(startParts.year, startParts.month - 1, startParts.day)
+  );
+
+  if (recurrence.frequency === "daily") {
+    for (let k = 0; ; k++) {
+      yield new Date(startDate.getTime() + k * recurrence.interval * DAY_MS);
+    }
+  }
+
+  if (recurrence.frequency === "weekly") {
+    const weekdays = recurrence.weekdays.length
+      ? recurrence.weekdays
+      : [RRULE_WEEKDAYS[startParts.weekday]];
+    // Weeks start on Monday (RFC 5545 default WKST=MO)
+    const mondayOffsets = weekdays
+      .map((code) => (RRULE_WEEKDAYS.indexOf(code) + 6) % 7)
+      .sort((a, b) => a - b);
+    const weekStart = new Date(
+      startDate.getTime() - ((startParts.weekday + 6) % 7) * DAY_MS
+    );
+    for (let week = 0; ; week++) {
+      for (const offset of mondayOffsets) {
+        const date = new Date(
+          weekStart.getTime() +
+            (week * recurrence.interval * 7 + offset) * DAY_MS
+        );
+        if (date >= startDate) yield date;
+      }
+    }
+  }
+
+  if (recurrence.frequency === "monthly") {
+    for (let k = 0; ; k++) {
+      const date = new Date(
+        Date.UTC(
+          startParts.year,
+          startParts.month - 1 + k * recurrence.interval,
+          startParts.day
+        )
+      );
+      // Months without this day (e.g. the 31st) are skipped, as in RFC 5545
+      if (date.getUTCDate() === startParts.day) yield date;
+    }
+  }
+}
+
+// Expands the rule into concrete { start, end } occurrences (exceptions removed).
+// COUNT is applied before exceptions, matching how calendars apply EXDATE.
+export function expandOccurrences(recurrence, startTime, endTime, timeZone) {
+  const startParts = getZonedParts(startTime, timeZone);
+  const durationMs = endTime.getTime() - startTime.getTime();
+  const untilUtc = recurrence.until
+    ? parseDateTimeInZone(`${recurrence.until}T23:59:59`, timeZone)
+    : null;
+
+  const occurrences = [];
+  for (const date of candidateDates(recurrence, startParts)) {
+    const start = zonedTimeToUtc(
+      {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour: startParts.hour,
+        minute: startParts.minute,
+        second: startParts.second,
+      },
+      timeZone
+    );
+    if (untilUtc && start > untilUtc) break;
+
+    occurrences.push({
+      date: date.toISOString().slice(0, 10),
+      start,
+      end: new Date(start.getTime() + durationMs),
+    });
+
+    if (recurrence.count && occurrences.length >= recurrence.count) break;
+    if (occurrences.length >= MAX_OCCURRENCES) {
+      throw new Error(
+        `recurrence expands to more than ${MAX_OCCURRENCES} occurrences`
+      );
+    }
+  }
+
+  return occurrences.filter(
+    ({ date }) => !recurrence.exceptions.includes(date)
+  );
+}
+
+// Builds the Google Calendar recurrence lines (RRULE plus EXDATE for exceptions)
+export function buildRecurrenceRules(recurrence, startTime, timeZone) {
+  const parts = [
+    `FREQ=${recurrence.frequency.toUpperCase()}`,
+    `INTERVAL=${recurrence.interval}`,
+  ];
+  if (recurrence.weekdays.length) {
+    parts.push(`BYDAY=${recurrence.weekdays.join(",")}`);
+  }
+  if (recurrence.count) {
+    parts.push(`COUNT=${recurrence.count}`);
+  }
+  if (recurrence.until) {
+    // UNTIL must be in UTC when the event has a time zone
+    const untilUtc = parseDateTimeInZone(
+      `${recurrence.until}T23:59:59`,
+      timeZone
+    );
+    parts.push(
+      `UNTIL=${untilUtc.toISOString().replace(/[-:]/g, "").slice(0, 15)}Z`
+    );
+  }
+
+  const rules = [`RRULE:${parts.join(";")}`];
+
+  if (recurrence.exceptions.length) {
+    const { hour, minute, second } = getZonedParts(startTime, timeZone);
+    const time = `T${pad(hour)}${pad(minute)}${pad(second)}`;
+    const dates = [...recurrence.exceptions]
+      .sort()
+      .map((date) => `${date.replace(/-/g, "")}${time}`);
+    rules.push(`EXDATE;TZID=${timeZone}:${dates.join(",")}`);
+  }
+
+  return rules;
+}
+
+// Checks that the first occurrence is the requested start (weekly rules must include its weekday)
+export function assertStartMatchesRule(recurrence, startTime, timeZone) {
+  if (recurrence.frequency !== "weekly" || !recurrence.weekdays.length) return;
+  const { weekday } = getZonedParts(startTime, timeZone);
+  if (!recurrence.weekdays.includes(RRULE_WEEKDAYS[weekday])) {
+    throw new Error(
+      "start_time must fall on one of recurrence.weekdays (it is the first occurrence)"
+    );
+  }
+}
@@ -1,22 +1,32 @@
 import express from "express";
 import dotenv from "dotenv";
 dotenv.config();
+import {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  formatDateStr,
+  formatISOWithOffset,
+  zonedTimeToUtc,
+} from "../timezone.js";
 
 const router = express.Router();
 
 router.get("/current-date-time", async (req, res) => {
-  const now = new Date().toLocaleString("sv-SE", {
-    timeZone: "Europe/Riga",
-    hour12: false,
-  });
+  const timezone = req.query.timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimeZone(timezone)) {
+    return res.status(400).json({ error: `Invalid timezone: ${timezone}` });
+  }
 
-  const nowDateObj = new Date(now);
-  const tomorrowObj = new Date(nowDateObj);
-  tomorrowObj.setDate(nowDateObj.getDate() + 1);
+  const nowDate = new Date();
 
-  const todayStr = nowDateObj.toISOString().split("T")[0];
-  const tomorrowStr = tomorrowObj.toISOString().split("T")[0];
-  const nowFormatted = now.replace(" ", "T");
+  const todayStr = formatDateStr(nowDate, timezone);
+  // Resolve "tomorrow" from local noon so a DST switch can't skip or repeat a day
+  const [year, month, day] = todayStr.split("-").map(Number);
+  const tomorrowStr = formatDateStr(
+    zonedTimeToUtc({ year, month, day: day + 1, hour: 12 }, timezone),
+    timezone
+  );
+  const nowFormatted = formatISOWithOffset(nowDate, timezone).slice(0, 19);
 
   console.log(nowFormatted, todayStr, tomorrowStr);
   res.json({
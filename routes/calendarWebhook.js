@@ -0,0 +1,54 @@
+import express from "express";
+import { verifyChannel, syncCalendarChanges } from "../calendarWatch.js";
+import { invalidateBusyTimes } from "../freeBusyCache.js";
+
+const router = express.Router();
+
+/**
+ * POST /calendar/notifications - Google Calendar push notification receiver
+ * Verifies the channel token, acknowledges immediately, then pulls the changes
+ * and forwards normalized booking events to n8n (see calendarWatch.js).
+ * Also drops the calendar's cached busy times (see freeBusyCache.js)
+ */
+router.post("/calendar/notifications", async (req, res) => {
+  const channelId = req.headers["x-goog-channel-id"];
+  const channelToken = req.headers["x-goog-channel-token"];
+  const resourceState = req.headers["x-goog-resource-state"];
+
+  let watch;
+  try {
+    watch = await verifyChannel(channelId, channelToken);
+  } catch (error) {
+    console.error("Calendar webhook: Failed to verify channel:", error.message);
+    return res.status(500).send("Internal Server Error");
+  }
+
+  if (!watch) {
+    console.log(
+      `Calendar webhook: Unknown channel or invalid token (${channelId})`
+    );
+    return res.status(403).send("Forbidden");
+  }
+
+  // Send immediate 200 response before processing
+  res.status(200).send("OK");
+
+  // "sync" is sent once when a channel is created; there are no changes to pull yet
+  if (resourceState === "sync") {
+    return;
+  }
+
+  // Something changed on the calendar, so its cached busy times may be stale
+  invalidateBusyTimes(watch.calendar_email);
+
+  try {
+    await syncCalendarChanges(watch);
+  } catch (error) {
+    console.error(
+      `Calendar webhook: Failed to sync ${watch.calendar_email}:`,
+      error.message
+    );
+  }
+});
+
+export default router;
@@ -11,7 +11,91 @@ dotenv.config();
 import {
   formattedCalendarAvailability,
   bookCalendarEvent,
+  bookCalendarEventGuarded,
+  BookingConflictError,
+  assertBookingRules,
+  selectRoundRobinHost,
+  rescheduleCalendarEventGuarded,
+  cancelCalendarEvent,
+  waitForMeetLink,
+  listCalendarEvents,
+  getCalendarEvent,
 } from "../gCalendar.js";
+import { createSchedule } from "../schedule.js";
+import {
+  BookingRuleError,
+  normalizeBookingRules,
+  mergeBookingRules,
+  enforceConfiguredBookingRules,
+} from "../bookingRules.js";
+import {
+  normalizeRecurrence,
+  expandOccurrences,
+  assertStartMatchesRule,
+} from "../recurrence.js";
+import {
+  BOOKING_STATUSES,
+  saveBooking,
+  updateBookingByEvent,
+  listBookings,
+  getBooking,
+} from "../bookings.js";
+import {
+  startCalendarWatch,
+  stopCalendarWatch,
+  listCalendarWatches,
+} from "../calendarWatch.js";
+import {
+  normalizeBookingPage,
+  saveBookingPage,
+  listBookingPages,
+  deleteBookingPage,
+} from "../bookingPages.js";
+import {
+  normalizeCalendarFeed,
+  saveCalendarFeed,
+  listCalendarFeeds,
+  deleteCalendarFeed,
+} from "../calendarFeeds.js";
+import {
+  normalizeEmailTemplate,
+  saveEmailTemplate,
+  getEmailTemplate,
+  listEmailTemplates,
+  deleteEmailTemplate,
+  renderEmailTemplate,
+} from "../emailTemplates.js";
+import { isHttpUrl } from "../html.js";
+import { normalizeLocale } from "../locales.js";
+import { normalizeCustomHeaders, assertValidAttachment } from "../mime.js";
+import { buildCalendar, icsEventFromGoogle } from "../ics.js";
+import {
+  WAITLIST_STATUSES,
+  normalizeWaitlistEntry,
+  addWaitlistEntry,
+  getWaitlistEntry,
+  listWaitlistEntries,
+  cancelWaitlistEntry,
+  claimWaitlistOffer,
+  releaseWaitlistHold,
+  restoreWaitlistOffer,
+  markWaitlistBooked,
+  checkWaitlist,
+} from "../waitlist.js";
+import {
+  DEFAULT_CACHE_TTL_SECONDS,
+  MAX_CACHE_TTL_SECONDS,
+  describeCacheStatus,
+} from "../freeBusyCache.js";
+import { normalizeLocation } from "../location.js";
+import { getCalendarConfig } from "../calendarProviders.js";
+import {
+  normalizeAttendees,
+  normalizeReminders,
+  normalizeGuestPermissions,
+  normalizeExtendedProperties,
+} from "../eventOptions.js";
+import { parseDateTimeInZone, getTimeZoneOffsetMinutes } from "../timezone.js";
 import EmailService from "../emailService.js";
 
 const router = express.Router();
@@ -34,6 +118,52 @@ const upload = multer({
   }),
 });
 
+// Email attachments uploaded to send_event_email (kept in memory and put straight into the message)
+const MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024; // Gmail's limit for a message's attachments
+const MAX_ATTACHMENTS = 10;
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: MAX_ATTACHMENTS },
+});
+
+// Lets a JSON route also take multipart/form-data: files in the `field` field and the JSON body
+// in a `payload` field. Other requests pass through unchanged.
+function acceptUploads(field) {
+  return (req, res, next) => {
+    if (!req.is("multipart/form-data")) return next();
+
+    attachmentUpload.array(field, MAX_ATTACHMENTS)(req, res, (error) => {
+      if (error) {
+        return res.status(error.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({
+          error: "Invalid upload",
+          message: error.message,
+        });
+      }
+      // Busboy reads plain filename="..." parameters as latin1, while clients send them as UTF-8
+      for (const file of req.files || []) {
+        const name = Buffer.from(file.originalname, "latin1").toString("utf8");
+        if (
+          /^[\x00-\xff]*$/.test(file.originalname) &&
+          !name.includes("\ufffd")
+        ) {
+          file.originalname = name;
+        }
+      }
+      try {
+        req.body = req.body?.payload ? JSON.parse(req.body.payload) : {};
+      } catch (e) {
+        return res.status(400).json({
+          error: "payload must be the request body as JSON",
+          message: e.message,
+        });
+      }
+      next();
+    });
+  };
+}
+
+const acceptAttachments = acceptUploads("attachments");
+
 // __dirname replacement for ESM
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -206,6 +336,82 @@ router.post("/convert-audio", upload.single("file"), (req, res) => {
     .save(outputPath);
 });
 
+// Parses and validates the service account key from GOOGLE_CREDENTIALS (secret - not from body).
+// Returns { key } on success, or { status, error, message } describing the problem.
+function loadServiceAccountKey() {
+  const google_service_account_key = process.env.GOOGLE_CREDENTIALS;
+  if (!google_service_account_key) {
+    return {
+      status: 500,
+      error: "Service account credentials not configured",
+      message: "GOOGLE_CREDENTIALS environment variable is missing",
+    };
+  }
+
+  let serviceAccountKeyObject;
+  try {
+    serviceAccountKeyObject = JSON.parse(google_service_account_key);
+  } catch (e) {
+    return {
+      status: 500,
+      error: "Invalid service account credentials format",
+      message: "GOOGLE_CREDENTIALS environment variable contains invalid JSON",
+    };
+  }
+
+  if (
+    !serviceAccountKeyObject.client_email ||
+    !serviceAccountKeyObject.private_key ||
+    !serviceAccountKeyObject.project_id
+  ) {
+    return {
+      status: 500,
+      error: "Invalid service account credentials format",
+      message:
+        "Service account key must contain client_email, private_key, and project_id fields",
+    };
+  }
+
+  return { key: serviceAccountKeyObject };
+}
+
+// The old slot of a cancelled or moved event may be what someone on the waitlist is waiting for;
+// re-checks the calendar's waitlist in the background
+function recheckWaitlist(calendarEmail) {
+  checkWaitlist(calendarEmail).catch((error) =>
+    console.error("[API] Waitlist re-check failed:", error.message)
+  );
+}
+
+// Parses booking_rules (shared) and calendar_booking_rules ({ calendar email: rules }) from the body.
+// Throws a descriptive error when a rule is invalid.
+function parseBookingRules(booking_rules, calendar_booking_rules) {
+  const bookingRules = normalizeBookingRules(booking_rules);
+
+  if (
+    calendar_booking_rules !== undefined &&
+    calendar_booking_rules !== null &&
+    (typeof calendar_booking_rules !== "object" ||
+      Array.isArray(calendar_booking_rules))
+  ) {
+    throw new Error(
+      "calendar_booking_rules must be an object keyed by calendar email"
+    );
+  }
+
+  const bookingRulesByCalendar = {};
+  for (const [calendarEmail, rules] of Object.entries(
+    calendar_booking_rules || {}
+  )) {
+    const overrides = normalizeBookingRules(rules);
+    bookingRulesByCalendar[calendarEmail] = Object.fromEntries(
+      Object.entries(overrides).filter(([, value]) => value !== null)
+    );
+  }
+
+  return { bookingRules, bookingRulesByCalendar };
+}
+
 router.post("/get_calendar_availability", async (req, res) => {
   try {
     // Validate request body exists
@@ -223,36 +429,66 @@ router.post("/get_calendar_availability", async (req, res) => {
       });
     }
 
-    // Helper function to compute Riga UTC offset (DST-aware)
-    const computeRigaOffsetHours = (date = new Date()) => {
-      const riga = new Date(
-        date.toLocaleString("en-US", { timeZone: "Europe/Riga" })
-      );
-      const utc = new Date(date.toLocaleString("en-US", { timeZone: "UTC" }));
-      return (riga.getTime() - utc.getTime()) / (60 * 60 * 1000);
-    };
-
     // Extract variables from request body (non-secret variables come from body)
     const {
       google_calendar_email,
+      google_calendar_emails,
+      mode = "collective",
       timezone = "Europe/Riga",
       days = 7,
       work_start_hour = 9,
       work_end_hour = 17,
-      utc_offset = computeRigaOffsetHours(),
+      utc_offset, // informational; defaults to the current offset of timezone
       include_weekends = false,
       slot_duration_minutes = 60,
+      slot_step_minutes,
       buffer_before_minutes = 0,
       buffer_after_minutes = 0,
+
+      // Weekly schedule, date overrides, blackout dates and national holidays
+      working_hours, // e.g. { mon: ["09:00-12:00", "13:00-17:30"], fri: ["09:00-15:00"] }
+      date_overrides, // e.g. { "2025-12-23": ["10:00-14:00"], "2025-12-30": [] }
+      blackout_dates, // e.g. ["2025-12-24", { from: "2025-12-27", to: "2026-01-02" }]
+      holiday_country, // e.g. "LV"
+
+      // Response shape
+      output_format = "grouped", // "grouped" | "slots" | "text"
+      max_results,
+      earliest_first = true,
+
+      // Booking rules (min notice, horizon, daily/weekly caps, min gap), shared and per calendar
+      booking_rules,
+      calendar_booking_rules,
+
+      // Freebusy cache: how old cached busy times may be, and fresh to skip the cache
+      cache_ttl_seconds = DEFAULT_CACHE_TTL_SECONDS,
+      fresh = false,
     } = req.body;
 
     // Get service account key from environment (secret - not from body)
     const google_service_account_key = process.env.GOOGLE_CREDENTIALS;
 
     // Validate required variables
-    if (!google_calendar_email) {
+    if (!google_calendar_email && !google_calendar_emails) {
       return res.status(400).json({
-        error: "google_calendar_email is required in request body",
+        error:
+          "google_calendar_email or google_calendar_emails is required in request body",
+      });
+    }
+
+    if (
+      google_calendar_emails !== undefined &&
+      (!Array.isArray(google_calendar_emails) ||
+        google_calendar_emails.length === 0)
+    ) {
+      return res.status(400).json({
+        error: "google_calendar_emails must be a non-empty array",
+      });
+    }
+
+    if (!["collective", "any", "round_robin"].includes(mode)) {
+      return res.status(400).json({
+        error: "mode must be one of: collective, any, round_robin",
       });
     }
 
@@ -263,12 +499,23 @@ router.post("/get_calendar_availability", async (req, res) => {
       });
     }
 
+    // A team request takes precedence over a single calendar
+    const calendarEmails = [
+      ...new Set(google_calendar_emails || [google_calendar_email]),
+    ];
+    const availabilityMode = mode === "round_robin" ? "any" : mode;
+
     // Validate email format
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(google_calendar_email)) {
-      return res.status(400).json({
-        error: "google_calendar_email must be a valid email format",
-      });
+    for (const calendarEmail of calendarEmails) {
+      if (
+        typeof calendarEmail !== "string" ||
+        !emailRegex.test(calendarEmail)
+      ) {
+        return res.status(400).json({
+          error: `Invalid calendar email format: ${calendarEmail}`,
+        });
+      }
     }
 
     // Parse service account key from environment
@@ -310,6 +557,10 @@ router.post("/get_calendar_availability", async (req, res) => {
       15,
       Math.min(480, Number(slot_duration_minutes))
     );
+    const validatedSlotStep = Math.max(
+      5,
+      Math.min(480, Number(slot_step_minutes ?? validatedSlotDuration))
+    );
     const validatedBufferBefore = Math.max(
       0,
       Math.min(120, Number(buffer_before_minutes))
@@ -319,6 +570,24 @@ router.post("/get_calendar_availability", async (req, res) => {
       Math.min(120, Number(buffer_after_minutes))
     );
 
+    const validatedIncludeWeekends =
+      include_weekends === true || include_weekends === "true";
+
+    if (
+      [
+        validatedDays,
+        validatedSlotDuration,
+        validatedSlotStep,
+        validatedBufferBefore,
+        validatedBufferAfter,
+      ].some(Number.isNaN)
+    ) {
+      return res.status(400).json({
+        error:
+          "days, slot_duration_minutes, slot_step_minutes and buffer minutes must be numbers",
+      });
+    }
+
     // Validate work hours logic
     if (validatedWorkStartHour >= validatedWorkEndHour) {
       return res.status(400).json({
@@ -335,37 +604,139 @@ router.post("/get_calendar_availability", async (req, res) => {
       });
     }
 
+    // Validate output options
+    const outputFormats = ["grouped", "slots", "text"];
+    if (!outputFormats.includes(output_format)) {
+      return res.status(400).json({
+        error: `output_format must be one of: ${outputFormats.join(", ")}`,
+      });
+    }
+
+    let validatedMaxResults = null;
+    if (max_results !== undefined && max_results !== null) {
+      validatedMaxResults = Math.floor(Number(max_results));
+      if (!Number.isFinite(validatedMaxResults) || validatedMaxResults < 1) {
+        return res.status(400).json({
+          error: "max_results must be a positive number",
+        });
+      }
+      validatedMaxResults = Math.min(500, validatedMaxResults);
+    }
+    const validatedEarliestFirst =
+      earliest_first !== false && earliest_first !== "false";
+
+    const validatedCacheTtl = Number(cache_ttl_seconds);
+    if (
+      !Number.isInteger(validatedCacheTtl) ||
+      validatedCacheTtl < 0 ||
+      validatedCacheTtl > MAX_CACHE_TTL_SECONDS
+    ) {
+      return res.status(400).json({
+        error: `cache_ttl_seconds must be an integer between 0 and ${MAX_CACHE_TTL_SECONDS}`,
+      });
+    }
+    const validatedFresh = fresh === true || fresh === "true";
+
+    // Validate schedule options (createSchedule throws a descriptive error)
+    const scheduleOptions = {
+      workingHours: working_hours,
+      dateOverrides: date_overrides,
+      blackoutDates: blackout_dates,
+      holidayCountry: holiday_country,
+    };
+    try {
+      createSchedule(scheduleOptions);
+    } catch (e) {
+      return res.status(400).json({
+        error: "Invalid schedule",
+        message: e.message,
+      });
+    }
+
+    // Validate booking rules
+    let bookingRules, bookingRulesByCalendar;
+    try {
+      ({ bookingRules, bookingRulesByCalendar } = parseBookingRules(
+        booking_rules,
+        calendar_booking_rules
+      ));
+    } catch (e) {
+      return res.status(400).json({
+        error: "Invalid booking rules",
+        message: e.message,
+      });
+    }
+
     // Log the validated parameters for debugging
     console.log("[API] Calendar availability request:", {
-      email: google_calendar_email,
+      emails: calendarEmails,
+      mode: availabilityMode,
       timezone,
       days: validatedDays,
+      slot_duration_minutes: validatedSlotDuration,
+      slot_step_minutes: validatedSlotStep,
     });
 
     // Call the calendar availability function with validated parameters
     try {
+      const cacheStatus = {};
       const availability = await formattedCalendarAvailability(
         timezone,
         validatedDays,
         serviceAccountKeyObject,
-        google_calendar_email,
+        calendarEmails.length === 1 ? calendarEmails[0] : calendarEmails,
         validatedWorkStartHour,
-        validatedWorkEndHour
+        validatedWorkEndHour,
+        {
+          mode: availabilityMode,
+          slotDurationMinutes: validatedSlotDuration,
+          slotStepMinutes: validatedSlotStep,
+          bufferBeforeMinutes: validatedBufferBefore,
+          bufferAfterMinutes: validatedBufferAfter,
+          includeWeekends: validatedIncludeWeekends,
+          ...scheduleOptions,
+          outputFormat: output_format,
+          maxResults: validatedMaxResults,
+          earliestFirst: validatedEarliestFirst,
+          bookingRules,
+          bookingRulesByCalendar,
+          cacheTtlSeconds: validatedCacheTtl,
+          fresh: validatedFresh,
+          cacheStatus,
+        }
       );
 
       return res.status(200).json({
         success: true,
         data: availability,
+        cache: describeCacheStatus(cacheStatus),
         params: {
+          calendars: calendarEmails,
+          mode: availabilityMode,
           timezone,
           days: validatedDays,
           work_start_hour: validatedWorkStartHour,
           work_end_hour: validatedWorkEndHour,
-          utc_offset: Number(utc_offset),
-          include_weekends: Boolean(include_weekends),
+          utc_offset:
+            utc_offset !== undefined
+              ? Number(utc_offset)
+              : getTimeZoneOffsetMinutes(new Date(), timezone) / 60,
+          include_weekends: validatedIncludeWeekends,
           slot_duration_minutes: validatedSlotDuration,
+          slot_step_minutes: validatedSlotStep,
           buffer_before_minutes: validatedBufferBefore,
           buffer_after_minutes: validatedBufferAfter,
+          working_hours: working_hours ?? null,
+          date_overrides: date_overrides ?? null,
+          blackout_dates: blackout_dates ?? [],
+          holiday_country: holiday_country ?? null,
+          output_format,
+          max_results: validatedMaxResults,
+          earliest_first: validatedEarliestFirst,
+          booking_rules: booking_rules ?? null,
+          calendar_booking_rules: calendar_booking_rules ?? null,
+          cache_ttl_seconds: validatedCacheTtl,
+          fresh: validatedFresh,
         },
       });
     } catch (calendarError) {
@@ -456,8 +827,42 @@ router.post("/book_calendar_event", async (req, res) => {
       end_time,
       timezone = "Europe/Riga",
       attendees: rawAttendees = [],
-      location = "",
+      location_type, // "google_meet" (default on Google calendars, "none" on others) | "phone" | "in_person" | "custom_link" | "none"
+      location = "", // phone number, address or meeting URL for the location type
       send_notifications = true,
+      reminders, // [{ method: "email" | "popup", minutes }], [] for none, or "default" for the calendar's defaults
+      guest_permissions, // { can_modify, can_invite_others, can_see_other_guests, can_add_self }
+      extended_properties, // private, e.g. { crm_lead_id: "L-1042" }
+      round_robin, // { calendars: [...], strategy: "least_booked" | "rotate", balance_window_days }
+      recurrence, // { frequency, interval, weekdays, count | until, exceptions }
+      on_conflict = "reject", // recurring events: "reject" | "skip" | "book"
+
+      // Guarded booking: re-check freebusy under a per-calendar lock before inserting
+      guarded = true,
+      buffer_before_minutes = 0,
+      buffer_after_minutes = 0,
+
+      // Used to suggest alternative slots when the requested one is taken
+      alternatives_count = 3,
+      work_start_hour = 9,
+      work_end_hour = 17,
+      include_weekends = false,
+      working_hours,
+      date_overrides,
+      blackout_dates,
+      holiday_country,
+
+      // Booking rules (min notice, horizon, daily/weekly caps, min gap), shared and per calendar
+      booking_rules,
+      calendar_booking_rules,
+
+      // Stored with the booking in the local ledger
+      source_channel = "n8n", // e.g. "whatsapp", "web", "n8n"
+      contact_email, // defaults to the first attendee
+      contact_phone,
+
+      // Books the slot a waitlist entry was offered (releases its hold first)
+      waitlist_entry_id,
     } = req.body;
 
     // Ensure attendees is always an array
@@ -477,9 +882,10 @@ router.post("/book_calendar_event", async (req, res) => {
     const google_service_account_key = process.env.GOOGLE_CREDENTIALS;
 
     // Validate required variables
-    if (!google_calendar_email) {
+    if (!google_calendar_email && !round_robin) {
       return res.status(400).json({
-        error: "google_calendar_email is required in request body",
+        error:
+          "google_calendar_email or round_robin is required in request body",
       });
     }
 
@@ -510,47 +916,72 @@ router.post("/book_calendar_event", async (req, res) => {
 
     // Validate email format
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(google_calendar_email)) {
+    if (google_calendar_email && !emailRegex.test(google_calendar_email)) {
       return res.status(400).json({
         error: "google_calendar_email must be a valid email format",
       });
     }
 
-    // Helper function to convert timezone-aware time to UTC
-    const convertToUTC = (timeString, timezone) => {
-      // If timeString already has Z (UTC), return as is
-      if (timeString.endsWith("Z")) {
-        return new Date(timeString);
+    // Validate round-robin pool (takes precedence over google_calendar_email)
+    const roundRobinStrategies = ["least_booked", "rotate"];
+    if (round_robin) {
+      if (
+        typeof round_robin !== "object" ||
+        !Array.isArray(round_robin.calendars) ||
+        round_robin.calendars.length === 0
+      ) {
+        return res.status(400).json({
+          error: "round_robin.calendars must be a non-empty array",
+        });
       }
-
-      // If timeString has timezone offset (+/-), parse it
-      if (timeString.includes("+") || timeString.includes("-")) {
-        return new Date(timeString);
+      for (const calendarEmail of round_robin.calendars) {
+        if (
+          typeof calendarEmail !== "string" ||
+          !emailRegex.test(calendarEmail)
+        ) {
+          return res.status(400).json({
+            error: `Invalid round_robin calendar email format: ${calendarEmail}`,
+          });
+        }
       }
-
-      // If timeString is just date/time without timezone, treat it as the specified timezone
-      const localTime = new Date(timeString);
-      if (isNaN(localTime.getTime())) {
-        throw new Error(`Invalid time format: ${timeString}`);
+      if (
+        round_robin.strategy &&
+        !roundRobinStrategies.includes(round_robin.strategy)
+      ) {
+        return res.status(400).json({
+          error: `round_robin.strategy must be one of: ${roundRobinStrategies.join(
+            ", "
+          )}`,
+        });
       }
+    }
 
-      // Convert from specified timezone to UTC
-      const utcTime = new Date(
-        localTime.toLocaleString("en-US", { timeZone: "UTC" })
-      );
-      const localTimeInTimezone = new Date(
-        localTime.toLocaleString("en-US", { timeZone: timezone })
-      );
-      const offset = localTimeInTimezone.getTime() - utcTime.getTime();
+    // A waitlist offer is one slot on one calendar
+    if (
+      waitlist_entry_id !== undefined &&
+      waitlist_entry_id !== null &&
+      (round_robin || recurrence)
+    ) {
+      return res.status(400).json({
+        error:
+          "waitlist_entry_id can't be combined with round_robin or recurrence",
+      });
+    }
 
-      return new Date(localTime.getTime() - offset);
-    };
+    // Validate timezone format
+    try {
+      Intl.DateTimeFormat(undefined, { timeZone: timezone });
+    } catch (e) {
+      return res.status(400).json({
+        error: `Invalid timezone: ${timezone}`,
+      });
+    }
 
     // Convert timezone-aware times to UTC
     let startDate, endDate;
     try {
-      startDate = convertToUTC(start_time, timezone);
-      endDate = convertToUTC(end_time, timezone);
+      startDate = parseDateTimeInZone(start_time, timezone);
+      endDate = parseDateTimeInZone(end_time, timezone);
     } catch (error) {
       return res.status(400).json({
         error: "Invalid time format",
@@ -576,15 +1007,95 @@ router.post("/book_calendar_event", async (req, res) => {
       });
     }
 
-    // Validate timezone format
+    // Validate where the meeting happens
+    let validatedLocation;
     try {
-      Intl.DateTimeFormat(undefined, { timeZone: timezone });
+      validatedLocation = normalizeLocation(location_type, location);
     } catch (e) {
       return res.status(400).json({
-        error: `Invalid timezone: ${timezone}`,
+        error: "Invalid location",
+        message: e.message,
+      });
+    }
+
+    // Validate attendee details, reminders, guest permissions and private properties
+    let eventOptions;
+    try {
+      eventOptions = {
+        attendees: normalizeAttendees(attendees),
+        reminders: normalizeReminders(reminders),
+        guestPermissions: normalizeGuestPermissions(guest_permissions),
+        extendedProperties: normalizeExtendedProperties(extended_properties),
+      };
+    } catch (e) {
+      return res.status(400).json({
+        error: "Invalid event options",
+        message: e.message,
+      });
+    }
+
+    // Validate recurrence (the requested start is the first occurrence)
+    const onConflictModes = ["reject", "skip", "book"];
+    let validatedRecurrence = null;
+    if (recurrence !== undefined && recurrence !== null) {
+      try {
+        validatedRecurrence = normalizeRecurrence(recurrence);
+        assertStartMatchesRule(validatedRecurrence, startDate, timezone);
+        if (
+          expandOccurrences(validatedRecurrence, startDate, endDate, timezone)
+            .length === 0
+        ) {
+          throw new Error("recurrence produces no occurrences");
+        }
+      } catch (e) {
+        return res.status(400).json({
+          error: "Invalid recurrence",
+          message: e.message,
+        });
+      }
+
+      if (!onConflictModes.includes(on_conflict)) {
+        return res.status(400).json({
+          error: `on_conflict must be one of: ${onConflictModes.join(", ")}`,
+        });
+      }
+    }
+
+    // Validate schedule options used for alternative slot suggestions
+    try {
+      createSchedule({
+        workingHours: working_hours,
+        dateOverrides: date_overrides,
+        blackoutDates: blackout_dates,
+        holidayCountry: holiday_country,
+      });
+    } catch (e) {
+      return res.status(400).json({
+        error: "Invalid schedule",
+        message: e.message,
       });
     }
 
+    // Validate booking rules
+    let bookingRules, bookingRulesByCalendar;
+    try {
+      ({ bookingRules, bookingRulesByCalendar } = parseBookingRules(
+        booking_rules,
+        calendar_booking_rules
+      ));
+    } catch (e) {
+      return res.status(400).json({
+        error: "Invalid booking rules",
+        message: e.message,
+      });
+    }
+    // Request rules over the server-side ones (CALENDAR_BOOKING_RULES), which they can only tighten
+    const rulesFor = (calendarEmail) =>
+      enforceConfiguredBookingRules(
+        calendarEmail,
+        mergeBookingRules(bookingRules, bookingRulesByCalendar[calendarEmail])
+      );
+
     // Parse service account key from environment
     let serviceAccountKeyObject;
     try {
@@ -613,58 +1124,297 @@ router.post("/book_calendar_event", async (req, res) => {
     // Log the booking request for debugging
     console.log("[API] Calendar booking request:", {
       calendar_email: google_calendar_email,
-      event_title,
-      start_time: startDate.toISOString(),
-      end_time: endDate.toISOString(),
-      attendees: attendees,
-      attendees_type: typeof attendees,
-      attendees_length: attendees.length,
-      attendees_isArray: Array.isArray(attendees),
+      round_robin_pool: round_robin?.calendars,
+      waitlist_entry_id,
     });
 
     // Book the event using the calendar service
     try {
-      const bookingResult = await bookCalendarEvent(
-        serviceAccountKeyObject,
-        google_calendar_email,
-        {
+      // Pick the host from the round-robin pool, if one was given
+      let calendarEmail = google_calendar_email;
+      let roundRobinResult = null;
+      if (round_robin) {
+        const pool = [...new Set(round_robin.calendars)];
+        roundRobinResult = await selectRoundRobinHost(
+          serviceAccountKeyObject,
+          pool,
+          startDate,
+          endDate,
+          {
+            strategy: round_robin.strategy || "least_booked",
+            balanceWindowDays: Math.max(
+              1,
+              Math.min(90, Number(round_robin.balance_window_days) || 7)
+            ),
+            rulesByHost: Object.fromEntries(
+              pool.map((host) => [host, rulesFor(host)])
+            ),
+            timeZone: timezone,
+          }
+        );
+
+        if (!roundRobinResult.host) {
+          return res.status(409).json({
+            error: "Time conflict",
+            message:
+              "No host in the round-robin pool is free (within their booking rules) for the requested time slot",
+            pool,
+          });
+        }
+        calendarEmail = roundRobinResult.host;
+      }
+
+      // Only Google calendars can create Meet links, so other calendars default to no conference
+      if (
+        location_type === undefined &&
+        getCalendarConfig(calendarEmail).provider !== "google"
+      ) {
+        validatedLocation = normalizeLocation("none", location);
+      }
+
+      // The offered slot is blocked by the waitlist hold event until it is booked
+      let waitlistEntry = null;
+      if (waitlist_entry_id !== undefined && waitlist_entry_id !== null) {
+        try {
+          waitlistEntry = await claimWaitlistOffer(
+            waitlist_entry_id,
+            calendarEmail,
+            startDate,
+            endDate
+          );
+        } catch (claimError) {
+          if (claimError.message.includes("not found")) {
+            return res.status(404).json({
+              error: "Waitlist entry not found",
+              message: claimError.message,
+            });
+          }
+          if (claimError.message.includes("must match")) {
+            return res.status(400).json({
+              error: "Slot doesn't match the waitlist offer",
+              message: claimError.message,
+            });
+          }
+          if (claimError.message.includes("no longer available")) {
+            return res.status(409).json({
+              error: "Waitlist offer unavailable",
+              message: claimError.message,
+            });
+          }
+          throw claimError;
+        }
+      }
+
+      const eventDetails = {
+        title: event_title,
+        description: event_description,
+        startTime: startDate,
+        endTime: endDate,
+        ...eventOptions,
+        location: validatedLocation.details,
+        locationType: validatedLocation.type,
+        timeZone: timezone,
+        sendNotifications: send_notifications,
+        ...(validatedRecurrence && { recurrence: validatedRecurrence }),
+      };
+
+      // Unguarded bookings skip the conflict check, but never the booking rules
+      const isGuarded = guarded !== false && guarded !== "false";
+      if (!isGuarded) {
+        await assertBookingRules(
+          serviceAccountKeyObject,
+          calendarEmail,
+          startDate,
+          endDate,
+          rulesFor(calendarEmail),
+          timezone
+        );
+      }
+
+      // A waitlist hold is released right before the insert and put back if the booking fails
+      const releaseHold = () =>
+        waitlistEntry && releaseWaitlistHold(waitlistEntry);
+      let bookingResult;
+      try {
+        if (!isGuarded) {
+          await releaseHold();
+        }
+        bookingResult = !isGuarded
+          ? await bookCalendarEvent(
+              serviceAccountKeyObject,
+              calendarEmail,
+              eventDetails
+            )
+          : await bookCalendarEventGuarded(
+              serviceAccountKeyObject,
+              calendarEmail,
+              eventDetails,
+              {
+                timeZone: timezone,
+                onConflict: on_conflict,
+                bookingRules: rulesFor(calendarEmail),
+                bufferBeforeMinutes: Math.max(
+                  0,
+                  Math.min(120, Number(buffer_before_minutes) || 0)
+                ),
+                bufferAfterMinutes: Math.max(
+                  0,
+                  Math.min(120, Number(buffer_after_minutes) || 0)
+                ),
+                count: Math.max(
+                  0,
+                  Math.min(20, Number(alternatives_count) || 0)
+                ),
+                workStartHour: Number(work_start_hour),
+                workEndHour: Number(work_end_hour),
+                includeWeekends:
+                  include_weekends === true || include_weekends === "true",
+                workingHours: working_hours,
+                dateOverrides: date_overrides,
+                blackoutDates: blackout_dates,
+                holidayCountry: holiday_country,
+                // Released under the calendar lock, so no one else can book the freed slot first
+                beforeCheck: releaseHold,
+              }
+            );
+      } catch (bookingError) {
+        if (waitlistEntry) {
+          await restoreWaitlistOffer(waitlistEntry).catch((restoreError) =>
+            console.error(
+              "[API] Failed to restore the waitlist offer:",
+              restoreError.message
+            )
+          );
+        }
+        throw bookingError;
+      }
+
+      // Google may still be creating the Meet conference; wait a few seconds for the link
+      let { meetLink, conferenceStatus } = bookingResult;
+      if (conferenceStatus === "pending") {
+        try {
+          ({ meetLink, conferenceStatus } = await waitForMeetLink(
+            serviceAccountKeyObject,
+            calendarEmail,
+            bookingResult.id
+          ));
+        } catch (pollError) {
+          console.error(
+            "[API] Failed to fetch Meet link after booking:",
+            pollError.message
+          );
+        }
+      }
+
+      // Record the booking in the local ledger (a ledger failure doesn't undo the booking)
+      let booking = null;
+      try {
+        booking = await saveBooking({
+          eventId: bookingResult.id,
+          calendarEmail,
           title: event_title,
-          description: event_description,
+          attendees,
           startTime: startDate,
           endTime: endDate,
-          attendees,
-          location,
-          sendNotifications: send_notifications,
+          timeZone: timezone,
+          meetLink,
+          eventLink: bookingResult.htmlLink,
+          sourceChannel: source_channel,
+          contactEmail: contact_email,
+          contactPhone: contact_phone,
+          recurrence: validatedRecurrence,
+        });
+      } catch (ledgerError) {
+        console.error(
+          "[API] Failed to save booking to ledger:",
+          ledgerError.message
+        );
+      }
+
+      if (waitlist_entry_id !== undefined && waitlist_entry_id !== null) {
+        try {
+          await markWaitlistBooked(waitlist_entry_id, bookingResult.id);
+        } catch (waitlistError) {
+          console.error(
+            "[API] Failed to mark waitlist entry as booked:",
+            waitlistError.message
+          );
         }
-      );
+      }
 
       return res.status(200).json({
         success: true,
         data: {
           event_id: bookingResult.id,
+          // UID calendar clients know the event by; pass it to send_event_email with attach_invite
+          ical_uid: bookingResult.iCalUID ?? null,
+          booking_id: booking?.id ?? null,
+          host_email: calendarEmail,
           event_link: bookingResult.htmlLink,
-          meet_link: bookingResult.meetLink || "Generating...",
+          // null while conference_status is "pending"; fetch it later from /conference_link/:event_id
+          meet_link: meetLink,
+          conference_status: conferenceStatus,
+          location_type: validatedLocation.type,
+          location: validatedLocation.details,
+          extended_properties: eventOptions.extendedProperties,
           status: bookingResult.status,
           created: bookingResult.created,
           updated: bookingResult.updated,
+          ...(validatedRecurrence && {
+            recurrence: {
+              rules: bookingResult.recurrence,
+              occurrences: bookingResult.recurrenceCheck?.occurrences ?? null,
+              conflicts: bookingResult.recurrenceCheck?.conflicts ?? [],
+              skipped: bookingResult.recurrenceCheck?.skipped ?? [],
+            },
+          }),
         },
         params: {
-          calendar_email: google_calendar_email,
+          calendar_email: calendarEmail,
+          booking_rules: rulesFor(calendarEmail),
+          ...(roundRobinResult && {
+            round_robin: {
+              strategy: round_robin.strategy || "least_booked",
+              selected_host: roundRobinResult.host,
+              free_hosts: roundRobinResult.freeHosts,
+            },
+          }),
           event_title,
           start_time: startDate.toISOString(),
           end_time: endDate.toISOString(),
+          ...(waitlist_entry_id !== undefined &&
+            waitlist_entry_id !== null && { waitlist_entry_id }),
+          ...(validatedRecurrence && {
+            recurrence: validatedRecurrence,
+            on_conflict,
+          }),
           attendees_count: attendees.length,
-          attendees_debug: {
-            value: attendees,
-            type: typeof attendees,
-            isArray: Array.isArray(attendees),
-            length: attendees.length,
-          },
         },
       });
     } catch (bookingError) {
       console.error("[API] Calendar booking error:", bookingError.message);
 
+      // The slot breaks the calendar's booking rules (notice, horizon, caps, gap)
+      if (bookingError instanceof BookingRuleError) {
+        return res.status(422).json({
+          error: "Booking rules violated",
+          message: bookingError.message,
+          violations: bookingError.violations,
+        });
+      }
+
+      // Guarded booking found the slot taken - report what is in the way and what is free instead
+      if (bookingError instanceof BookingConflictError) {
+        return res.status(409).json({
+          error: "Time conflict",
+          message: validatedRecurrence
+            ? bookingError.message
+            : "The requested time slot conflicts with existing events",
+          conflicts: bookingError.conflicts,
+          alternatives: bookingError.alternatives,
+        });
+      }
+
       // Handle specific booking errors
       if (bookingError.message.includes("not found")) {
         return res.status(404).json({
@@ -709,8 +1459,8 @@ router.post("/book_calendar_event", async (req, res) => {
   }
 });
 
-// Send event summary email to attendees
-router.post("/send_event_email", async (req, res) => {
+// Move a booked event to a new time (keeps the Meet link)
+router.post("/reschedule_calendar_event", async (req, res) => {
   try {
     // Validate request body exists
     if (!req.body || typeof req.body !== "object") {
@@ -719,39 +1469,1340 @@ router.post("/send_event_email", async (req, res) => {
       });
     }
 
-    // Get API key for authentication
-    const apiKey = req.headers["x-api-key"];
-    if (!apiKey) {
-      return res.status(401).json({
-        error: "Missing x-api-key header",
-      });
-    }
-
-    // Extract variables from request body
     const {
-      event_title,
-      event_description = "",
+      google_calendar_email,
+      event_id,
       start_time,
-      end_time,
+      end_time, // optional - keeps the original duration when omitted
       timezone = "Europe/Riga",
-      attendees = [],
-      meet_link = "",
-      event_link = "",
-      organizer_name = "",
+      send_notifications = true,
+      booking_rules, // as in book_calendar_event; server-side rules always apply
+      buffer_before_minutes = 0,
+      buffer_after_minutes = 0,
+    } = req.body;
+
+    // Validate required variables
+    if (!google_calendar_email) {
+      return res.status(400).json({
+        error: "google_calendar_email is required in request body",
+      });
+    }
+
+    if (!event_id) {
+      return res.status(400).json({
+        error: "event_id is required in request body",
+      });
+    }
+
+    if (!start_time) {
+      return res.status(400).json({
+        error: "start_time is required in request body",
+      });
+    }
+
+    // Validate email format
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(google_calendar_email)) {
+      return res.status(400).json({
+        error: "google_calendar_email must be a valid email format",
+      });
+    }
+
+    // Validate timezone format
+    try {
+      Intl.DateTimeFormat(undefined, { timeZone: timezone });
+    } catch (e) {
+      return res.status(400).json({
+        error: `Invalid timezone: ${timezone}`,
+      });
+    }
+
+    // Convert timezone-aware times to UTC
+    let startDate, endDate;
+    try {
+      startDate = parseDateTimeInZone(start_time, timezone);
+      endDate = end_time ? parseDateTimeInZone(end_time, timezone) : null;
+    } catch (error) {
+      return res.status(400).json({
+        error: "Invalid time format",
+        message: error.message,
+      });
+    }
+
+    if (isNaN(startDate.getTime()) || (endDate && isNaN(endDate.getTime()))) {
+      return res.status(400).json({
+        error: "start_time and end_time must be valid date strings",
+      });
+    }
+
+    if (endDate && startDate >= endDate) {
+      return res.status(400).json({
+        error: "start_time must be before end_time",
+      });
+    }
+
+    let bookingRules;
+    try {
+      bookingRules = normalizeBookingRules(booking_rules);
+    } catch (e) {
+      return res.status(400).json({
+        error: "Invalid booking rules",
+        message: e.message,
+      });
+    }
+
+    const credentials = loadServiceAccountKey();
+    if (credentials.error) {
+      return res
+        .status(credentials.status)
+        .json({ error: credentials.error, message: credentials.message });
+    }
+
+    // Form posts and query-string tools send booleans as strings
+    const notifyAttendees =
+      send_notifications !== false && send_notifications !== "false";
+
+    console.log("[API] Calendar reschedule request:", {
+      calendar_email: google_calendar_email,
+      event_id,
+    });
+
+    try {
+      // Checked like a guarded booking, under the same calendar lock
+      const result = await rescheduleCalendarEventGuarded(
+        credentials.key,
+        google_calendar_email,
+        event_id,
+        {
+          startTime: startDate,
+          endTime: endDate,
+          timeZone: timezone,
+          sendNotifications: notifyAttendees,
+        },
+        {
+          timeZone: timezone,
+          bookingRules,
+          bufferBeforeMinutes: Math.max(
+            0,
+            Math.min(120, Number(buffer_before_minutes) || 0)
+          ),
+          bufferAfterMinutes: Math.max(
+            0,
+            Math.min(120, Number(buffer_after_minutes) || 0)
+          ),
+        }
+      );
+
+      // Keep the local ledger in sync
+      try {
+        await updateBookingByEvent(google_calendar_email, event_id, {
+          status: "rescheduled",
+          startTime: new Date(result.start?.dateTime || startDate),
+          endTime: result.end?.dateTime ? new Date(result.end.dateTime) : null,
+        });
+      } catch (ledgerError) {
+        console.error(
+          "[API] Failed to update booking in ledger:",
+          ledgerError.message
+        );
+      }
+      recheckWaitlist(google_calendar_email);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          event_id: result.id,
+          ical_uid: result.iCalUID ?? null,
+          sequence: result.sequence ?? 0,
+          event_link: result.htmlLink,
+          meet_link: result.meetLink,
+          status: result.status,
+          start_time: result.start?.dateTime,
+          end_time: result.end?.dateTime,
+          updated: result.updated,
+        },
+        params: {
+          calendar_email: google_calendar_email,
+          event_id,
+          timezone,
+          send_notifications: notifyAttendees,
+        },
+      });
+    } catch (rescheduleError) {
+      console.error(
+        "[API] Calendar reschedule error:",
+        rescheduleError.message
+      );
+
+      if (rescheduleError instanceof BookingRuleError) {
+        return res.status(422).json({
+          error: "Booking rules violated",
+          message: rescheduleError.message,
+          violations: rescheduleError.violations,
+        });
+      }
+
+      if (rescheduleError instanceof BookingConflictError) {
+        return res.status(409).json({
+          error: "Time conflict",
+          message: "The requested time slot conflicts with existing events",
+          conflicts: rescheduleError.conflicts,
+          alternatives: rescheduleError.alternatives,
+        });
+      }
+
+      if (rescheduleError.message.includes("not found")) {
+        return res.status(404).json({
+          error: "Event not found",
+          message: rescheduleError.message,
+        });
+      }
+
+      if (rescheduleError.message.includes("Access denied")) {
+        return res.status(403).json({
+          error: "Access denied",
+          message:
+            "The service account does not have permission to modify events in this calendar",
+        });
+      }
+
+      return res.status(400).json({
+        error: "Reschedule error",
+        message:
+          rescheduleError.message ||
+          "An error occurred while rescheduling the event",
+      });
+    }
+  } catch (err) {
+    console.error(
+      "[API] Error in /reschedule_calendar_event:",
+      err.stack || err
+    );
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+// Cancel a booked event
+router.post("/cancel_calendar_event", async (req, res) => {
+  try {
+    // Validate request body exists
+    if (!req.body || typeof req.body !== "object") {
+      return res.status(400).json({
+        error: "Request body is required and must be an object",
+      });
+    }
+
+    const {
+      google_calendar_email,
+      event_id,
+      send_notifications = true,
+    } = req.body;
+
+    // Validate required variables
+    if (!google_calendar_email) {
+      return res.status(400).json({
+        error: "google_calendar_email is required in request body",
+      });
+    }
+
+    if (!event_id) {
+      return res.status(400).json({
+        error: "event_id is required in request body",
+      });
+    }
+
+    // Validate email format
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(google_calendar_email)) {
+      return res.status(400).json({
+        error: "google_calendar_email must be a valid email format",
+      });
+    }
+
+    const credentials = loadServiceAccountKey();
+    if (credentials.error) {
+      return res
+        .status(credentials.status)
+        .json({ error: credentials.error, message: credentials.message });
+    }
+
+    // Form posts and query-string tools send booleans as strings
+    const notifyAttendees =
+      send_notifications !== false && send_notifications !== "false";
+
+    console.log("[API] Calendar cancel request:", {
+      calendar_email: google_calendar_email,
+      event_id,
+    });
+
+    try {
+      const result = await cancelCalendarEvent(
+        credentials.key,
+        google_calendar_email,
+        event_id,
+        { sendNotifications: notifyAttendees }
+      );
+
+      // Keep the local ledger in sync
+      try {
+        await updateBookingByEvent(google_calendar_email, event_id, {
+          status: "cancelled",
+        });
+      } catch (ledgerError) {
+        console.error(
+          "[API] Failed to update booking in ledger:",
+          ledgerError.message
+        );
+      }
+      recheckWaitlist(google_calendar_email);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          event_id: result.id,
+          status: result.status,
+        },
+        params: {
+          calendar_email: google_calendar_email,
+          event_id,
+          send_notifications: notifyAttendees,
+        },
+      });
+    } catch (cancelError) {
+      console.error("[API] Calendar cancel error:", cancelError.message);
+
+      if (cancelError.message.includes("not found")) {
+        return res.status(404).json({
+          error: "Event not found",
+          message: cancelError.message,
+        });
+      }
+
+      if (cancelError.message.includes("Access denied")) {
+        return res.status(403).json({
+          error: "Access denied",
+          message:
+            "The service account does not have permission to delete events in this calendar",
+        });
+      }
+
+      return res.status(400).json({
+        error: "Cancel error",
+        message:
+          cancelError.message || "An error occurred while cancelling the event",
+      });
+    }
+  } catch (err) {
+    console.error("[API] Error in /cancel_calendar_event:", err.stack || err);
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+// List calendar events in a time range, optionally filtered by attendee, text or private property
+router.post("/list_calendar_events", async (req, res) => {
+  try {
+    const {
+      google_calendar_email,
+      start_time, // start of range, default now
+      end_time, // end of range, default start_time + days
+      days = 7,
+      timezone = "Europe/Riga", // for naive times and the returned event times
+      attendee_email,
+      query, // free text, matched like the Google Calendar search box
+      extended_properties, // { crm_lead_id: "L-1042" } - private properties that must all match
+      max_results = 50,
+    } = req.body || {};
+
+    if (!google_calendar_email) {
+      return res.status(400).json({
+        error: "google_calendar_email is required in request body",
+      });
+    }
+
+    // Validate email format
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(google_calendar_email)) {
+      return res.status(400).json({
+        error: "google_calendar_email must be a valid email format",
+      });
+    }
+
+    if (attendee_email && !emailRegex.test(attendee_email)) {
+      return res.status(400).json({
+        error: "attendee_email must be a valid email format",
+      });
+    }
+
+    if (query !== undefined && typeof query !== "string") {
+      return res.status(400).json({
+        error: "query must be a string",
+      });
+    }
+
+    // Validate timezone format
+    try {
+      Intl.DateTimeFormat(undefined, { timeZone: timezone });
+    } catch (e) {
+      return res.status(400).json({
+        error: `Invalid timezone: ${timezone}`,
+      });
+    }
+
+    let privateProperties;
+    try {
+      privateProperties = normalizeExtendedProperties(extended_properties);
+    } catch (e) {
+      return res.status(400).json({
+        error: "Invalid extended_properties",
+        message: e.message,
+      });
+    }
+
+    const validatedDays = Number(days);
+    if (
+      !Number.isInteger(validatedDays) ||
+      validatedDays < 1 ||
+      validatedDays > 366
+    ) {
+      return res.status(400).json({
+        error: "days must be an integer between 1 and 366",
+      });
+    }
+
+    let startDate, endDate;
+    try {
+      startDate = start_time
+        ? parseDateTimeInZone(start_time, timezone)
+        : new Date();
+      endDate = end_time
+        ? parseDateTimeInZone(end_time, timezone)
+        : new Date(startDate.getTime() + validatedDays * 24 * 60 * 60 * 1000);
+    } catch (error) {
+      return res.status(400).json({
+        error: "Invalid time format",
+        message: error.message,
+      });
+    }
+
+    if (startDate >= endDate) {
+      return res.status(400).json({
+        error: "start_time must be before end_time",
+      });
+    }
+
+    if (endDate - startDate > 366 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        error: "The time range can be at most 366 days",
+      });
+    }
+
+    const validatedMaxResults = Math.max(
+      1,
+      Math.min(250, Number.parseInt(max_results, 10) || 50)
+    );
+
+    const credentials = loadServiceAccountKey();
+    if (credentials.error) {
+      return res
+        .status(credentials.status)
+        .json({ error: credentials.error, message: credentials.message });
+    }
+
+    try {
+      const events = await listCalendarEvents(
+        credentials.key,
+        google_calendar_email,
+        startDate,
+        endDate,
+        {
+          query,
+          attendeeEmail: attendee_email,
+          privateProperties,
+          maxResults: validatedMaxResults,
+          timeZone: timezone,
+        }
+      );
+
+      return res.status(200).json({
+        success: true,
+        count: events.length,
+        data: events,
+        params: {
+          calendar_email: google_calendar_email,
+          start_time: startDate.toISOString(),
+          end_time: endDate.toISOString(),
+          timezone,
+          attendee_email: attendee_email ?? null,
+          query: query ?? null,
+          extended_properties: privateProperties,
+          max_results: validatedMaxResults,
+        },
+      });
+    } catch (listError) {
+      console.error("[API] Calendar list error:", listError.message);
+
+      if (listError.message.includes("not found")) {
+        return res.status(404).json({
+          error: "Calendar not found",
+          message: "The specified calendar could not be found or accessed",
+        });
+      }
+
+      if (listError.message.includes("Access denied")) {
+        return res.status(403).json({
+          error: "Access denied",
+          message:
+            "The service account does not have permission to read events in this calendar",
+        });
+      }
+
+      return res.status(400).json({
+        error: "List error",
+        message: listError.message || "An error occurred while listing events",
+      });
+    }
+  } catch (err) {
+    console.error("[API] Error in /list_calendar_events:", err.stack || err);
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+// List bookings from the local ledger by attendee email or phone and/or date range
+router.get("/bookings", async (req, res) => {
+  try {
+    const {
+      email,
+      phone,
+      from, // start of range (inclusive), e.g. "2025-08-28" or "2025-08-28T10:00:00+03:00"
+      to, // end of range (exclusive)
+      status,
+      timezone = "Europe/Riga", // for naive from/to values
+      limit = "50",
+    } = req.query;
+
+    if (!email && !phone && !from && !to) {
+      return res.status(400).json({
+        error: "At least one of email, phone, from or to is required",
+      });
+    }
+
+    if (status && !BOOKING_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of: ${BOOKING_STATUSES.join(", ")}`,
+      });
+    }
+
+    // Validate timezone format
+    try {
+      Intl.DateTimeFormat(undefined, { timeZone: timezone });
+    } catch (e) {
+      return res.status(400).json({
+        error: `Invalid timezone: ${timezone}`,
+      });
+    }
+
+    let fromDate = null;
+    let toDate = null;
+    try {
+      if (from) fromDate = parseDateTimeInZone(from, timezone);
+      if (to) toDate = parseDateTimeInZone(to, timezone);
+    } catch (error) {
+      return res.status(400).json({
+        error: "Invalid time format",
+        message: error.message,
+      });
+    }
+
+    if (fromDate && toDate && fromDate >= toDate) {
+      return res.status(400).json({
+        error: "from must be before to",
+      });
+    }
+
+    const validatedLimit = Math.min(Number.parseInt(limit, 10) || 50, 200);
+
+    const bookings = await listBookings({
+      email,
+      phone,
+      from: fromDate,
+      to: toDate,
+      status,
+      limit: Math.max(1, validatedLimit),
+    });
+
+    return res.status(200).json({
+      success: true,
+      count: bookings.length,
+      data: bookings,
+      params: {
+        email: email ?? null,
+        phone: phone ?? null,
+        from: fromDate ? fromDate.toISOString() : null,
+        to: toDate ? toDate.toISOString() : null,
+        status: status ?? null,
+        limit: Math.max(1, validatedLimit),
+      },
+    });
+  } catch (err) {
+    console.error("[API] Error in /bookings:", err.stack || err);
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+// Fetch one booking from the local ledger by booking id or Google Calendar event id
+router.get("/bookings/:id", async (req, res) => {
+  try {
+    const booking = await getBooking(req.params.id);
+    if (!booking) {
+      return res.status(404).json({
+        error: "Booking not found",
+        message: `No booking with id or event id ${req.params.id}`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: booking,
+    });
+  } catch (err) {
+    console.error("[API] Error in /bookings/:id:", err.stack || err);
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+// Fetch the Meet link of a booked event whose conference was still pending when it was booked.
+// The calendar comes from ?google_calendar_email= or, if omitted, from the bookings ledger.
+router.get("/conference_link/:event_id", async (req, res) => {
+  try {
+    const eventId = req.params.event_id;
+    let calendarEmail = req.query.google_calendar_email;
+    let booking = null;
+
+    if (!calendarEmail) {
+      booking = await getBooking(eventId);
+      if (!booking) {
+        return res.status(400).json({
+          error: "google_calendar_email is required",
+          message: `Event ${eventId} is not in the bookings ledger, so its calendar is unknown`,
+        });
+      }
+      calendarEmail = booking.calendar_email;
+    }
+
+    const credentials = loadServiceAccountKey();
+    if (!credentials.key) {
+      return res.status(credentials.status).json({
+        error: credentials.error,
+        message: credentials.message,
+      });
+    }
+
+    let result;
+    try {
+      result = await waitForMeetLink(credentials.key, calendarEmail, eventId, {
+        attempts: 0,
+      });
+    } catch (lookupError) {
+      if (lookupError.message.includes("not found")) {
+        return res.status(404).json({
+          error: "Event not found",
+          message: lookupError.message,
+        });
+      }
+      throw lookupError;
+    }
+
+    // Keep the ledger's copy of the link up to date
+    if (
+      result.meetLink &&
+      (!booking || booking.meet_link !== result.meetLink)
+    ) {
+      try {
+        await updateBookingByEvent(calendarEmail, eventId, {
+          meetLink: result.meetLink,
+        });
+      } catch (ledgerError) {
+        console.error(
+          "[API] Failed to update Meet link in ledger:",
+          ledgerError.message
+        );
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        event_id: eventId,
+        calendar_email: calendarEmail,
+        meet_link: result.meetLink,
+        conference_status: result.conferenceStatus,
+      },
+    });
+  } catch (err) {
+    console.error(
+      "[API] Error in /conference_link/:event_id:",
+      err.stack || err
+    );
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+// Download a booked event as an .ics file (for Outlook / Apple Calendar imports).
+// The calendar comes from ?google_calendar_email= or, if omitted, from the bookings ledger.
+router.get("/event_ics/:event_id", async (req, res) => {
+  try {
+    const eventId = req.params.event_id;
+    let calendarEmail = req.query.google_calendar_email;
+    let booking = null;
+
+    if (!calendarEmail) {
+      booking = await getBooking(eventId);
+      if (!booking) {
+        return res.status(400).json({
+          error: "google_calendar_email is required",
+          message: `Event ${eventId} is not in the bookings ledger, so its calendar is unknown`,
+        });
+      }
+      calendarEmail = booking.calendar_email;
+    }
+
+    // Time zone for event times that don't carry their own
+    const timezone = req.query.timezone || booking?.time_zone || "Europe/Riga";
+    try {
+      Intl.DateTimeFormat(undefined, { timeZone: timezone });
+    } catch (e) {
+      return res.status(400).json({
+        error: `Invalid timezone: ${timezone}`,
+      });
+    }
+
+    const credentials = loadServiceAccountKey();
+    if (!credentials.key) {
+      return res.status(credentials.status).json({
+        error: credentials.error,
+        message: credentials.message,
+      });
+    }
+
+    let event;
+    try {
+      event = await getCalendarEvent(credentials.key, calendarEmail, eventId);
+    } catch (lookupError) {
+      if (lookupError.message.includes("not found")) {
+        return res.status(404).json({
+          error: "Event not found",
+          message: lookupError.message,
+        });
+      }
+      if (lookupError.message.includes("Access denied")) {
+        return res.status(403).json({
+          error: "Access denied",
+          message: lookupError.message,
+        });
+      }
+      throw lookupError;
+    }
+
+    const ics = buildCalendar([icsEventFromGoogle(event, timezone)]);
+    const filename = `event-${eventId.replace(/[^A-Za-z0-9_-]/g, "")}.ics`;
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    return res.status(200).send(ics);
+  } catch (err) {
+    console.error("[API] Error in /event_ics/:event_id:", err.stack || err);
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+// Subscribe to push notifications for a calendar; changes are forwarded to n8n as booking events
+router.post("/watch_calendar", async (req, res) => {
+  try {
+    // Validate request body exists
+    if (!req.body || typeof req.body !== "object") {
+      return res.status(400).json({
+        error: "Request body is required and must be an object",
+      });
+    }
+
+    const { google_calendar_email, n8n_webhook_url } = req.body;
+
+    if (!google_calendar_email) {
+      return res.status(400).json({
+        error: "google_calendar_email is required in request body",
+      });
+    }
+
+    // Validate email format
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(google_calendar_email)) {
+      return res.status(400).json({
+        error: "google_calendar_email must be a valid email format",
+      });
+    }
+
+    if (n8n_webhook_url !== undefined) {
+      let url;
+      try {
+        url = new URL(n8n_webhook_url);
+      } catch (e) {
+        url = null;
+      }
+      if (!url || !["http:", "https:"].includes(url.protocol)) {
+        return res.status(400).json({
+          error: "n8n_webhook_url must be an http(s) URL",
+        });
+      }
+    }
+
+    if (!process.env.CALENDAR_WEBHOOK_ADDRESS) {
+      return res.status(500).json({
+        error: "Calendar notifications not configured",
+        message: "CALENDAR_WEBHOOK_ADDRESS environment variable is missing",
+      });
+    }
+
+    const credentials = loadServiceAccountKey();
+    if (credentials.error) {
+      return res
+        .status(credentials.status)
+        .json({ error: credentials.error, message: credentials.message });
+    }
+
+    try {
+      const watch = await startCalendarWatch(google_calendar_email, {
+        n8nWebhookUrl: n8n_webhook_url,
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          calendar_email: watch.calendar_email,
+          channel_id: watch.channel_id,
+          expiration: watch.expiration,
+          n8n_webhook_url: watch.n8n_webhook_url,
+        },
+      });
+    } catch (watchError) {
+      console.error("[API] Calendar watch error:", watchError.message);
+
+      if (watchError.message.includes("not found")) {
+        return res.status(404).json({
+          error: "Calendar not found",
+          message: watchError.message,
+        });
+      }
+
+      if (watchError.message.includes("Access denied")) {
+        return res.status(403).json({
+          error: "Access denied",
+          message:
+            "The service account does not have permission to watch this calendar",
+        });
+      }
+
+      return res.status(400).json({
+        error: "Watch error",
+        message:
+          watchError.message || "An error occurred while watching the calendar",
+      });
+    }
+  } catch (err) {
+    console.error("[API] Error in /watch_calendar:", err.stack || err);
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+// Stop push notifications for a calendar
+router.post("/unwatch_calendar", async (req, res) => {
+  try {
+    const { google_calendar_email } = req.body || {};
+
+    if (!google_calendar_email) {
+      return res.status(400).json({
+        error: "google_calendar_email is required in request body",
+      });
+    }
+
+    const stopped = await stopCalendarWatch(google_calendar_email);
+    if (!stopped) {
+      return res.status(404).json({
+        error: "Calendar not watched",
+        message: `${google_calendar_email} has no active watch`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: { calendar_email: google_calendar_email, status: "stopped" },
+    });
+  } catch (err) {
+    console.error("[API] Error in /unwatch_calendar:", err.stack || err);
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+// List watched calendars and their channel expiry
+router.get("/calendar_watches", async (req, res) => {
+  try {
+    const watches = await listCalendarWatches();
+    return res.status(200).json({
+      success: true,
+      count: watches.length,
+      data: watches,
+    });
+  } catch (err) {
+    console.error("[API] Error in /calendar_watches:", err.stack || err);
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+// Create or replace a public booking page (served at /book/:slug)
+router.post("/booking_pages", async (req, res) => {
+  try {
+    let page;
+    try {
+      page = normalizeBookingPage(req.body);
+    } catch (e) {
+      return res.status(400).json({
+        error: "Invalid booking page",
+        message: e.message,
+      });
+    }
+
+    const saved = await saveBookingPage(page);
+    return res.status(200).json({
+      success: true,
+      data: saved,
+      params: { booking_url: `/book/${saved.slug}` },
+    });
+  } catch (err) {
+    console.error("[API] Error in /booking_pages:", err.stack || err);
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+// List public booking pages (including inactive ones)
+router.get("/booking_pages", async (req, res) => {
+  try {
+    const pages = await listBookingPages();
+    return res.status(200).json({
+      success: true,
+      count: pages.length,
+      data: pages,
+    });
+  } catch (err) {
+    console.error("[API] Error in /booking_pages:", err.stack || err);
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+// Delete a public booking page
+router.delete("/booking_pages/:slug", async (req, res) => {
+  try {
+    const deleted = await deleteBookingPage(req.params.slug);
+    if (!deleted) {
+      return res.status(404).json({ error: "Booking page not found" });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: { slug: req.params.slug, status: "deleted" },
+    });
+  } catch (err) {
+    console.error("[API] Error in /booking_pages/:slug:", err.stack || err);
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+// Create or update a subscribable .ics feed of a calendar's upcoming bookings (served at
+// /calendar/:slug.ics?token=...). The token is only returned when the feed is created or rotate_token is set.
+router.post("/calendar_feeds", async (req, res) => {
+  try {
+    let feed;
+    try {
+      feed = normalizeCalendarFeed(req.body);
+    } catch (e) {
+      return res.status(400).json({
+        error: "Invalid calendar feed",
+        message: e.message,
+      });
+    }
+
+    const { token, ...saved } = await saveCalendarFeed(feed, {
+      rotateToken: req.body.rotate_token === true,
+    });
+    return res.status(200).json({
+      success: true,
+      data: saved,
+      params: {
+        token,
+        feed_url: token
+          ? `/calendar/${saved.slug}.ics?token=${encodeURIComponent(token)}`
+          : null,
+      },
+    });
+  } catch (err) {
+    console.error("[API] Error in /calendar_feeds:", err.stack || err);
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+// List calendar feeds (without their tokens)
+router.get("/calendar_feeds", async (req, res) => {
+  try {
+    const feeds = await listCalendarFeeds();
+    return res.status(200).json({
+      success: true,
+      count: feeds.length,
+      data: feeds,
+    });
+  } catch (err) {
+    console.error("[API] Error in /calendar_feeds:", err.stack || err);
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+// Delete a calendar feed (its URL stops working)
+router.delete("/calendar_feeds/:slug", async (req, res) => {
+  try {
+    const deleted = await deleteCalendarFeed(req.params.slug);
+    if (!deleted) {
+      return res.status(404).json({ error: "Calendar feed not found" });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: { slug: req.params.slug, status: "deleted" },
+    });
+  } catch (err) {
+    console.error("[API] Error in /calendar_feeds/:slug:", err.stack || err);
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+// Put a contact on a calendar's waitlist for a date range; they are offered the next slot that opens up
+router.post("/waitlist", async (req, res) => {
+  try {
+    let entry;
+    try {
+      entry = normalizeWaitlistEntry(req.body);
+    } catch (e) {
+      return res.status(400).json({
+        error: "Invalid waitlist entry",
+        message: e.message,
+      });
+    }
+
+    const saved = await addWaitlistEntry(entry);
+    const waiting = await listWaitlistEntries({
+      calendarEmail: saved.google_calendar_email,
+      status: "waiting",
+      limit: 1000,
+    });
+    return res.status(200).json({
+      success: true,
+      data: saved,
+      // 1 = next in line
+      params: { position: waiting.findIndex(({ id }) => id === saved.id) + 1 },
+    });
+  } catch (err) {
+    console.error("[API] Error in /waitlist:", err.stack || err);
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+// List waitlist entries in waitlist order, by calendar and/or status
+router.get("/waitlist", async (req, res) => {
+  try {
+    const { google_calendar_email, status, limit = "100" } = req.query;
+
+    if (status && !WAITLIST_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of: ${WAITLIST_STATUSES.join(", ")}`,
+      });
+    }
+
+    const entries = await listWaitlistEntries({
+      calendarEmail: google_calendar_email,
+      status,
+      limit: Math.max(1, Math.min(Number.parseInt(limit, 10) || 100, 500)),
+    });
+    return res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries,
+    });
+  } catch (err) {
+    console.error("[API] Error in /waitlist:", err.stack || err);
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+// Fetch one waitlist entry
+router.get("/waitlist/:id", async (req, res) => {
+  try {
+    const entry = await getWaitlistEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: "Waitlist entry not found" });
+    }
+    return res.status(200).json({ success: true, data: entry });
+  } catch (err) {
+    console.error("[API] Error in /waitlist/:id:", err.stack || err);
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+// Take a contact off the waitlist (a held slot goes to the next contact)
+router.delete("/waitlist/:id", async (req, res) => {
+  try {
+    let entry;
+    try {
+      entry = await cancelWaitlistEntry(req.params.id);
+    } catch (e) {
+      if (!e.message.includes("already")) throw e;
+      return res.status(409).json({
+        error: "Waitlist entry is closed",
+        message: e.message,
+      });
+    }
+    if (!entry) {
+      return res.status(404).json({ error: "Waitlist entry not found" });
+    }
+
+    return res.status(200).json({ success: true, data: entry });
+  } catch (err) {
+    console.error("[API] Error in /waitlist/:id:", err.stack || err);
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+// Re-check the waitlist now (also runs every few minutes): expire lapsed offers, offer open slots
+router.post("/waitlist/check", async (req, res) => {
+  try {
+    const summary = await checkWaitlist(req.body?.google_calendar_email);
+    return res.status(200).json({ success: true, data: summary });
+  } catch (err) {
+    console.error("[API] Error in /waitlist/check:", err.stack || err);
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+// Send event summary email to attendees
+// Create or replace a stored email template (used by send_event_email's template_name)
+router.post("/email_templates", async (req, res) => {
+  try {
+    let template;
+    try {
+      template = normalizeEmailTemplate(req.body);
+    } catch (e) {
+      return res.status(400).json({
+        error: "Invalid email template",
+        message: e.message,
+      });
+    }
+
+    const saved = await saveEmailTemplate(template);
+    return res.status(200).json({
+      success: true,
+      data: saved,
+    });
+  } catch (err) {
+    console.error("[API] Error in /email_templates:", err.stack || err);
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+// List email templates (without their bodies)
+router.get("/email_templates", async (req, res) => {
+  try {
+    const templates = await listEmailTemplates();
+    return res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates,
+    });
+  } catch (err) {
+    console.error("[API] Error in /email_templates:", err.stack || err);
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+// Get one email template with its subject, bodies and variables
+router.get("/email_templates/:name", async (req, res) => {
+  try {
+    const template = await getEmailTemplate(req.params.name);
+    if (!template) {
+      return res.status(404).json({ error: "Email template not found" });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: template,
+    });
+  } catch (err) {
+    console.error("[API] Error in /email_templates/:name:", err.stack || err);
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+// Delete an email template
+router.delete("/email_templates/:name", async (req, res) => {
+  try {
+    const deleted = await deleteEmailTemplate(req.params.name);
+    if (!deleted) {
+      return res.status(404).json({ error: "Email template not found" });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: { name: req.params.name, status: "deleted" },
+    });
+  } catch (err) {
+    console.error("[API] Error in /email_templates/:name:", err.stack || err);
+    return res.status(500).json({
+      error: "Internal server error",
+      message: err.message || String(err),
+    });
+  }
+});
+
+router.post("/send_event_email", acceptAttachments, async (req, res) => {
+  try {
+    // Validate request body exists
+    if (!req.body || typeof req.body !== "object") {
+      return res.status(400).json({
+        error: "Request body is required and must be an object",
+      });
+    }
+
+    // Get API key for authentication
+    const apiKey = req.headers["x-api-key"];
+    if (!apiKey) {
+      return res.status(401).json({
+        error: "Missing x-api-key header",
+      });
+    }
+
+    // Extract variables from request body
+    const {
+      event_title,
+      event_description = "",
+      description_format = "text", // "markdown" renders event_description as Markdown
+      start_time,
+      end_time,
+      timezone = "Europe/Riga",
+      attendees = [],
+      meet_link = "",
+      event_link = "",
+      location_type = "google_meet", // as in book_calendar_event; decides what the email shows instead of a Meet link
+      location = "",
+      organizer_name = "",
       organizer_email = "",
       impersonate_email, // Email to impersonate (e.g., hello@setinbound.com)
 
       // Optional monitoring emails (BCC for developers/hosts)
       monitoring_emails = [], // Array of email addresses to BCC for monitoring
 
-      // Email template customization variables
+      // Language of the email's labels, dates and durations (en, lv, ru, de)
+      locale = "en",
+
+      // Email template customization variables (subject prefix, headings and footer message
+      // default to the locale's)
       company_name = "Setinbound Calendar Service",
-      email_subject_prefix = "Event Invitation",
-      email_header_title = "Event Confirmation",
-      email_header_subtitle = "Event scheduled successfully",
+      email_subject_prefix,
+      email_header_title,
+      email_header_subtitle,
       footer_company_name = "",
-      footer_message = "Auto-generated confirmation",
+      footer_message,
       sender_name = "", // Name displayed as sender in email
+
+      // Calendar invitation (.ics) so mail clients can add the event
+      attach_invite = false,
+      event_uid, // ical_uid from book_calendar_event, so the invite matches the booked event
+      sequence = 0, // from reschedule_calendar_event, so clients update their copy
+
+      // More recipients, replies and extra message content
+      cc = [],
+      reply_to,
+      headers = {},
+      attachments = [], // [{ filename, content_type, content (base64) }]; or uploaded as multipart
+
+      // Stored email template (see /email_templates) used instead of the built-in layout
+      template_name,
+      variables = {},
     } = req.body;
 
     // Get service account key from environment (secret - not from body)
@@ -812,6 +2863,134 @@ router.post("/send_event_email", async (req, res) => {
       }
     }
 
+    if (!["text", "markdown"].includes(description_format)) {
+      return res.status(400).json({
+        error: "description_format must be text or markdown",
+      });
+    }
+
+    let emailLocale;
+    try {
+      emailLocale = normalizeLocale(locale);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    // Links are shown as buttons, so only web links are accepted
+    for (const [field, value] of Object.entries({ meet_link, event_link })) {
+      if (value && !isHttpUrl(value)) {
+        return res.status(400).json({
+          error: `${field} must be an http or https URL`,
+        });
+      }
+    }
+
+    if (!Array.isArray(cc) || cc.some((email) => !emailRegex.test(email))) {
+      return res.status(400).json({
+        error: "cc must be an array of email addresses",
+      });
+    }
+
+    if (reply_to !== undefined && !emailRegex.test(reply_to)) {
+      return res.status(400).json({
+        error: "reply_to must be a valid email format",
+      });
+    }
+
+    let customHeaders;
+    try {
+      customHeaders = normalizeCustomHeaders(headers);
+    } catch (e) {
+      return res.status(400).json({
+        error: "Invalid headers",
+        message: e.message,
+      });
+    }
+
+    // Attachments from the body (base64) and uploaded files
+    if (!Array.isArray(attachments)) {
+      return res.status(400).json({
+        error: "attachments must be an array",
+      });
+    }
+    const files = [];
+    try {
+      for (const attachment of attachments) {
+        // Line breaks are allowed in base64; removed first so the check stays linear
+        const content = String(attachment?.content ?? "").replace(/\s+/g, "");
+        if (!/^[A-Za-z0-9+/]*={0,2}$/.test(content)) {
+          throw new Error(
+            `Attachment ${attachment?.filename} content must be base64`
+          );
+        }
+        files.push({
+          filename: attachment.filename,
+          contentType: attachment.content_type || "application/octet-stream",
+          content: Buffer.from(content, "base64"),
+        });
+      }
+      for (const file of req.files || []) {
+        files.push({
+          filename: file.originalname,
+          contentType: file.mimetype || "application/octet-stream",
+          content: file.buffer,
+        });
+      }
+      files.forEach(assertValidAttachment);
+    } catch (e) {
+      return res.status(400).json({
+        error: "Invalid attachment",
+        message: e.message,
+      });
+    }
+    if (files.length > MAX_ATTACHMENTS) {
+      return res.status(400).json({
+        error: `At most ${MAX_ATTACHMENTS} attachments are allowed`,
+      });
+    }
+    const attachmentBytes = files.reduce(
+      (total, { content }) => total + content.length,
+      0
+    );
+    if (attachmentBytes > MAX_ATTACHMENT_BYTES) {
+      return res.status(413).json({
+        error: "Attachments too large",
+        message: `Attachments may be at most ${
+          MAX_ATTACHMENT_BYTES / 1024 / 1024
+        } MB in total`,
+      });
+    }
+
+    if (typeof attach_invite !== "boolean") {
+      return res.status(400).json({
+        error: "attach_invite must be a boolean",
+      });
+    }
+    if (
+      event_uid !== undefined &&
+      (typeof event_uid !== "string" || !/^[^\s\r\n]{1,255}$/.test(event_uid))
+    ) {
+      return res.status(400).json({
+        error: "event_uid must be a string without spaces",
+      });
+    }
+    if (!Number.isInteger(sequence) || sequence < 0) {
+      return res.status(400).json({
+        error: "sequence must be a non-negative integer",
+      });
+    }
+
+    // Validate where the meeting happens
+    let validatedLocation;
+    try {
+      validatedLocation = normalizeLocation(location_type, location);
+    } catch (e) {
+      return res.status(400).json({
+        error: "Invalid location",
+        message: e.message,
+      });
+    }
+
     // Validate monitoring emails (optional)
     if (monitoring_emails && Array.isArray(monitoring_emails)) {
       for (const monitoringEmail of monitoring_emails) {
@@ -827,6 +3006,23 @@ router.post("/send_event_email", async (req, res) => {
       });
     }
 
+    // Look up the stored template
+    let template = null;
+    if (template_name !== undefined) {
+      if (typeof template_name !== "string" || !template_name) {
+        return res.status(400).json({
+          error: "template_name must be a non-empty string",
+        });
+      }
+      template = await getEmailTemplate(template_name);
+      if (!template) {
+        return res.status(404).json({
+          error: "Email template not found",
+          message: `No email template named ${template_name}`,
+        });
+      }
+    }
+
     // Parse service account credentials
     let serviceAccountKeyObject;
     try {
@@ -855,6 +3051,59 @@ router.post("/send_event_email", async (req, res) => {
       });
     }
 
+    const emailService = new EmailService(serviceAccountKeyObject);
+    const eventData = {
+      event_title,
+      event_description,
+      description_format,
+      locale: emailLocale,
+      start_time,
+      end_time,
+      timezone,
+      meet_link,
+      event_link,
+      location_type: validatedLocation.type,
+      location: validatedLocation.details,
+      organizer_name,
+      organizer_email,
+
+      // Template customization
+      company_name,
+      email_subject_prefix,
+      email_header_title,
+      email_header_subtitle,
+      footer_company_name: footer_company_name || company_name,
+      footer_message,
+      sender_name: sender_name || organizer_name || "Calendar Service",
+      attach_invite,
+      event_uid,
+      sequence,
+    };
+
+    const mailOptions = {
+      cc,
+      replyTo: reply_to || null,
+      headers: customHeaders,
+      attachments: files,
+    };
+
+    // Render the stored template with the caller's variables and the event
+    let rendered = null;
+    if (template) {
+      try {
+        rendered = renderEmailTemplate(
+          template,
+          variables,
+          emailService.templateEventContext(eventData)
+        );
+      } catch (e) {
+        return res.status(400).json({
+          error: "Invalid template variables",
+          message: e.message,
+        });
+      }
+    }
+
     // Log the email request for debugging
     console.log("[API] Event email request:", {
       event_title,
@@ -863,37 +3112,36 @@ router.post("/send_event_email", async (req, res) => {
       attendees_count: attendees.length,
       monitoring_emails_count: monitoring_emails.length,
       impersonate_email,
+      template_name: template?.name,
     });
 
-    // Create email service and send email
+    // Send email
     try {
-      const emailService = new EmailService(serviceAccountKeyObject);
-
-      const emailResult = await emailService.sendEventEmail(
-        {
-          event_title,
-          event_description,
-          start_time,
-          end_time,
-          timezone,
-          meet_link,
-          event_link,
-          organizer_name,
-          organizer_email,
-
-          // Template customization
-          company_name,
-          email_subject_prefix,
-          email_header_title,
-          email_header_subtitle,
-          footer_company_name: footer_company_name || company_name,
-          footer_message,
-          sender_name: sender_name || organizer_name || "Calendar Service",
-        },
-        attendees,
-        impersonate_email,
-        monitoring_emails // Pass monitoring emails as 4th parameter
-      );
+      const emailResult = rendered
+        ? await emailService.sendEmail(
+            {
+              ...rendered,
+              senderName: eventData.sender_name,
+              invite: attach_invite
+                ? emailService.generateEventInvite(
+                    eventData,
+                    attendees,
+                    impersonate_email
+                  )
+                : null,
+              ...mailOptions,
+            },
+            attendees,
+            impersonate_email,
+            monitoring_emails
+          )
+        : await emailService.sendEventEmail(
+            eventData,
+            attendees,
+            impersonate_email,
+            monitoring_emails, // Pass monitoring emails as 4th parameter
+            mailOptions
+          );
 
       return res.status(200).json({
         success: true,
@@ -902,6 +3150,7 @@ router.post("/send_event_email", async (req, res) => {
           thread_id: emailResult.threadId,
           sent_to: emailResult.sentTo,
           sent_count: emailResult.sentCount,
+          cc: emailResult.cc,
           monitoring_emails: emailResult.monitoringEmails,
           total_emails_sent: emailResult.totalEmailsSent,
         },
@@ -910,9 +3159,14 @@ router.post("/send_event_email", async (req, res) => {
           start_time,
           end_time,
           timezone,
+          location_type: validatedLocation.type,
           attendees_count: attendees.length,
           monitoring_emails_count: monitoring_emails.length,
           impersonate_email,
+          template_name: template?.name || null,
+          locale: emailLocale,
+          attach_invite,
+          attachments: files.map(({ filename }) => filename),
         },
       });
     } catch (emailError) {
@@ -1,8 +1,33 @@
 import express from "express";
 import pool from "../db.js";
+import {
+  formattedCalendarAvailability,
+  bookCalendarEventGuarded,
+  BookingConflictError,
+  waitForMeetLink,
+  listCalendarEvents,
+  getCalendarEvent,
+} from "../gCalendar.js";
+import { BookingRuleError, normalizeBookingRules } from "../bookingRules.js";
+import { saveBooking, findBookedEventIds } from "../bookings.js";
+import { getBookingPage } from "../bookingPages.js";
+import { getCalendarFeedByToken } from "../calendarFeeds.js";
+import { buildCalendar, icsEventsFromGoogle } from "../ics.js";
+import { createRateLimiter } from "../rateLimit.js";
+import { DEFAULT_CACHE_TTL_SECONDS } from "../freeBusyCache.js";
+import { normalizeLocation } from "../location.js";
+import { isValidTimeZone, formatISOWithOffset } from "../timezone.js";
+import EmailService from "../emailService.js";
 
 const router = express.Router();
 
+// Booking page routes are unauthenticated, so they are rate limited per IP
+const bookingReadLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 60 });
+const bookingWriteLimiter = createRateLimiter({
+  windowMs: 10 * 60 * 1000,
+  max: 5,
+});
+
 router.get("/chats-data", async (req, res) => {
   try {
     const limit = Math.min(
@@ -82,4 +107,446 @@ router.post("/trigger-template", async (req, res) => {
   }
 });
 
+// Parses the service account key from GOOGLE_CREDENTIALS (secret - not from body).
+// Public routes don't expose configuration details, so callers log the error and return a generic 500.
+function parseServiceAccountKey() {
+  const google_service_account_key = process.env.GOOGLE_CREDENTIALS;
+  if (!google_service_account_key) {
+    throw new Error("GOOGLE_CREDENTIALS environment variable is missing");
+  }
+  const key = JSON.parse(google_service_account_key);
+  if (!key.client_email || !key.private_key || !key.project_id) {
+    throw new Error(
+      "Service account key must contain client_email, private_key, and project_id fields"
+    );
+  }
+  return key;
+}
+
+// Buffers are limited to 0-120 minutes, as in the n8n endpoints
+function clampBuffer(value) {
+  return Math.max(0, Math.min(120, Number(value) || 0));
+}
+
+// Open slots of a booking page's event type, computed in the host's time zone
+// (working hours and booking rules are the host's) as [{ start: Date, end: Date }].
+// cacheTtlSeconds lets busy times come from the freebusy cache (see queryBusyTimes).
+async function findPageSlots(
+  page,
+  eventType,
+  serviceAccountKey,
+  { cacheTtlSeconds = 0 } = {}
+) {
+  const availability = page.availability || {};
+
+  const slots = await formattedCalendarAvailability(
+    page.timezone,
+    Number(availability.days) || 14,
+    serviceAccountKey,
+    page.google_calendar_email,
+    Number(availability.work_start_hour ?? 9),
+    Number(availability.work_end_hour ?? 17),
+    {
+      slotDurationMinutes: eventType.duration_minutes,
+      slotStepMinutes: eventType.slot_step_minutes,
+      bufferBeforeMinutes: clampBuffer(availability.buffer_before_minutes),
+      bufferAfterMinutes: clampBuffer(availability.buffer_after_minutes),
+      includeWeekends: availability.include_weekends === true,
+      workingHours: availability.working_hours,
+      dateOverrides: availability.date_overrides,
+      blackoutDates: availability.blackout_dates,
+      holidayCountry: availability.holiday_country,
+      outputFormat: "slots",
+      bookingRules: normalizeBookingRules(availability.booking_rules),
+      cacheTtlSeconds,
+    }
+  );
+
+  return slots.map(({ start, end }) => ({
+    start: new Date(start),
+    end: new Date(end),
+  }));
+}
+
+// Looks up the page and event type for a booking page request. Sends the error response and returns null if missing.
+async function resolveBookingPage(req, res, eventTypeSlug) {
+  const page = await getBookingPage(req.params.slug);
+  if (!page) {
+    res.status(404).json({ error: "Booking page not found" });
+    return null;
+  }
+
+  const eventType = eventTypeSlug
+    ? page.event_types.find(({ slug }) => slug === eventTypeSlug)
+    : page.event_types[0];
+  if (!eventType) {
+    res.status(404).json({ error: "Event type not found" });
+    return null;
+  }
+
+  return { page, eventType };
+}
+
+// Booking page details for the public page (the calendar address is not exposed)
+router.get("/public/booking/:slug", bookingReadLimiter, async (req, res) => {
+  try {
+    const page = await getBookingPage(req.params.slug);
+    if (!page) {
+      return res.status(404).json({ error: "Booking page not found" });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        slug: page.slug,
+        title: page.title,
+        host_name: page.host_name,
+        timezone: page.timezone,
+        // Meeting links are only shared after booking; addresses are shown up front
+        event_types: page.event_types.map(
+          ({ location, location_type = "google_meet", ...eventType }) => ({
+            ...eventType,
+            location_type,
+            ...(location_type === "in_person" && { location }),
+          })
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("[API] Booking page lookup failed:", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Open slots for an event type, shown in the visitor's time zone (?event_type=&timezone=)
+router.get(
+  "/public/booking/:slug/slots",
+  bookingReadLimiter,
+  async (req, res) => {
+    try {
+      const resolved = await resolveBookingPage(req, res, req.query.event_type);
+      if (!resolved) return;
+      const { page, eventType } = resolved;
+
+      const timezone = req.query.timezone || page.timezone;
+      if (!isValidTimeZone(timezone)) {
+        return res.status(400).json({ error: `Invalid timezone: ${timezone}` });
+      }
+
+      // Visitors reload the page often; the booking itself re-checks against the calendar
+      const slots = await findPageSlots(
+        page,
+        eventType,
+        parseServiceAccountKey(),
+        { cacheTtlSeconds: DEFAULT_CACHE_TTL_SECONDS }
+      );
+
+      res.json({
+        success: true,
+        data: slots.map(({ start, end }) => ({
+          start: formatISOWithOffset(start, timezone),
+          end: formatISOWithOffset(end, timezone),
+        })),
+        params: {
+          event_type: eventType.slug,
+          duration_minutes: eventType.duration_minutes,
+          timezone,
+        },
+      });
+    } catch (error) {
+      console.error("[API] Booking page slots failed:", error.message);
+      res.status(500).json({ error: "Could not load available times" });
+    }
+  }
+);
+
+// Books an open slot for the visitor and emails them a confirmation
+router.post(
+  "/public/booking/:slug/book",
+  bookingWriteLimiter,
+  async (req, res) => {
+    try {
+      const {
+        event_type,
+        start,
+        name,
+        email,
+        phone,
+        timezone: rawTimezone,
+        notes = "",
+      } = req.body || {};
+
+      const resolved = await resolveBookingPage(req, res, event_type);
+      if (!resolved) return;
+      const { page, eventType } = resolved;
+
+      // Validate visitor details
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!name || typeof name !== "string" || name.trim().length > 200) {
+        return res.status(400).json({ error: "Name is required" });
+      }
+      if (!email || typeof email !== "string" || !emailRegex.test(email)) {
+        return res.status(400).json({ error: "A valid email is required" });
+      }
+      if (
+        !phone ||
+        typeof phone !== "string" ||
+        phone.replace(/\D/g, "").length < 6
+      ) {
+        return res
+          .status(400)
+          .json({ error: "A valid phone number is required" });
+      }
+      if (typeof notes !== "string" || notes.length > 2000) {
+        return res
+          .status(400)
+          .json({ error: "Notes must be at most 2000 characters" });
+      }
+
+      const timezone = rawTimezone || page.timezone;
+      if (!isValidTimeZone(timezone)) {
+        return res.status(400).json({ error: `Invalid timezone: ${timezone}` });
+      }
+
+      const startDate = new Date(start);
+      if (!start || isNaN(startDate.getTime())) {
+        return res.status(400).json({ error: "start must be a valid date" });
+      }
+
+      // Only the slots the page offers can be booked
+      const serviceAccountKey = parseServiceAccountKey();
+      const slot = (
+        await findPageSlots(page, eventType, serviceAccountKey)
+      ).find((candidate) => candidate.start.getTime() === startDate.getTime());
+      if (!slot) {
+        return res.status(409).json({
+          error: "Time not available",
+          message: "The selected time is no longer available",
+        });
+      }
+
+      // Phone event types without a number of their own call the visitor
+      const location = normalizeLocation(
+        eventType.location_type,
+        eventType.location_type === "phone" && !eventType.location
+          ? phone
+          : eventType.location
+      );
+
+      const visitorName = name.trim();
+      const description = [
+        eventType.description,
+        `Booked by: ${visitorName}`,
+        `Email: ${email}`,
+        `Phone: ${phone}`,
+        notes && `Notes: ${notes}`,
+      ]
+        .filter(Boolean)
+        .join("\n");
+
+      // Created in the host's time zone, so booking rules use the host's days
+      const availability = page.availability || {};
+      const bookingResult = await bookCalendarEventGuarded(
+        serviceAccountKey,
+        page.google_calendar_email,
+        {
+          title: `${eventType.title} - ${visitorName}`,
+          description,
+          startTime: slot.start,
+          endTime: slot.end,
+          attendees: [{ email, displayName: visitorName }],
+          location: location.details,
+          locationType: location.type,
+          timeZone: page.timezone,
+          sendNotifications: true,
+        },
+        {
+          bookingRules: normalizeBookingRules(availability.booking_rules),
+          bufferBeforeMinutes: clampBuffer(availability.buffer_before_minutes),
+          bufferAfterMinutes: clampBuffer(availability.buffer_after_minutes),
+          count: 0,
+        }
+      );
+
+      // Wait a few seconds for the Meet link so the confirmation email can include it
+      let { meetLink, conferenceStatus } = bookingResult;
+      if (conferenceStatus === "pending") {
+        try {
+          ({ meetLink, conferenceStatus } = await waitForMeetLink(
+            serviceAccountKey,
+            page.google_calendar_email,
+            bookingResult.id
+          ));
+        } catch (pollError) {
+          console.error(
+            "[API] Failed to fetch Meet link after booking:",
+            pollError.message
+          );
+        }
+      }
+
+      // Record the booking in the local ledger (a ledger failure doesn't undo the booking)
+      let booking = null;
+      try {
+        booking = await saveBooking({
+          eventId: bookingResult.id,
+          calendarEmail: page.google_calendar_email,
+          title: eventType.title,
+          attendees: [email],
+          startTime: slot.start,
+          endTime: slot.end,
+          timeZone: timezone,
+          meetLink,
+          eventLink: bookingResult.htmlLink,
+          sourceChannel: "booking_page",
+          contactEmail: email,
+          contactPhone: phone,
+        });
+      } catch (ledgerError) {
+        console.error(
+          "[API] Failed to save booking to ledger:",
+          ledgerError.message
+        );
+      }
+
+      // Confirmation email in the visitor's time zone (a failed email doesn't undo the booking)
+      const branding = page.email || {};
+      let emailSent = false;
+      try {
+        const emailService = new EmailService(serviceAccountKey);
+        await emailService.sendEventEmail(
+          {
+            event_title: eventType.title,
+            event_description: eventType.description,
+            start_time: formatISOWithOffset(slot.start, timezone),
+            end_time: formatISOWithOffset(slot.end, timezone),
+            timezone,
+            meet_link: meetLink,
+            event_link: bookingResult.htmlLink,
+            location_type: location.type,
+            location: location.details,
+            organizer_name: page.host_name || page.title,
+            organizer_email: page.google_calendar_email,
+            company_name: branding.company_name,
+            email_subject_prefix: branding.email_subject_prefix,
+            email_header_title: branding.email_header_title,
+            email_header_subtitle: branding.email_header_subtitle,
+            footer_company_name:
+              branding.footer_company_name || branding.company_name,
+            footer_message: branding.footer_message,
+            sender_name: branding.sender_name || page.host_name || "",
+            locale: branding.locale,
+          },
+          [email],
+          page.google_calendar_email,
+          branding.monitoring_emails || []
+        );
+        emailSent = true;
+      } catch (emailError) {
+        console.error(
+          "[API] Booking page confirmation email failed:",
+          emailError.message
+        );
+      }
+
+      console.log(
+        `[API] Booking page ${page.slug}: booked ${
+          eventType.slug
+        } at ${slot.start.toISOString()}`
+      );
+
+      res.json({
+        success: true,
+        data: {
+          booking_id: booking?.id ?? null,
+          event_type: eventType.slug,
+          title: eventType.title,
+          start: formatISOWithOffset(slot.start, timezone),
+          end: formatISOWithOffset(slot.end, timezone),
+          timezone,
+          meet_link: meetLink,
+          conference_status: conferenceStatus,
+          location_type: location.type,
+          location: location.details,
+          email_sent: emailSent,
+        },
+      });
+    } catch (error) {
+      // Someone else took the slot, or it breaks the host's booking rules
+      if (
+        error instanceof BookingConflictError ||
+        error instanceof BookingRuleError
+      ) {
+        return res.status(409).json({
+          error: "Time not available",
+          message: "The selected time is no longer available",
+        });
+      }
+
+      console.error("[API] Booking page booking failed:", error.message);
+      res.status(500).json({ error: "Could not complete the booking" });
+    }
+  }
+);
+
+// Subscribable .ics feed of a calendar's upcoming bookings (events in the bookings ledger).
+// Calendar apps poll this URL, so the token in the query string is the only credential.
+router.get("/calendar/:slug.ics", bookingReadLimiter, async (req, res) => {
+  try {
+    const feed = await getCalendarFeedByToken(req.params.slug, req.query.token);
+    if (!feed) {
+      return res.status(404).json({ error: "Calendar feed not found" });
+    }
+
+    const now = new Date();
+    const key = parseServiceAccountKey();
+    const events = await listCalendarEvents(
+      key,
+      feed.google_calendar_email,
+      now,
+      new Date(now.getTime() + feed.days * 24 * 60 * 60 * 1000),
+      { maxResults: 1000, raw: true, showDeleted: true }
+    );
+
+    // Recurring bookings show up as instances of the booked series
+    const bookedIds = await findBookedEventIds(feed.google_calendar_email, [
+      ...new Set(events.map((event) => event.recurringEventId || event.id)),
+    ]);
+    const booked = events.filter((event) =>
+      bookedIds.has(event.recurringEventId || event.id)
+    );
+
+    // Booked series are written as their master event with the recurrence rules, so clients
+    // link the instances (see icsEventsFromGoogle)
+    const masters = {};
+    for (const id of new Set(
+      booked.map((event) => event.recurringEventId).filter(Boolean)
+    )) {
+      try {
+        masters[id] = await getCalendarEvent(
+          key,
+          feed.google_calendar_email,
+          id
+        );
+      } catch (error) {
+        console.error(
+          `[API] Calendar feed could not load series ${id}:`,
+          error.message
+        );
+      }
+    }
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Cache-Control", "private, max-age=300");
+    res.send(
+      buildCalendar(icsEventsFromGoogle(booked, masters, feed.timezone), {
+        name: feed.name || feed.google_calendar_email,
+      })
+    );
+  } catch (error) {
+    console.error("[API] Calendar feed failed:", error.message);
+    res.status(500).json({ error: "Could not load the calendar feed" });
+  }
+});
+
 export default router;
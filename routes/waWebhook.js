@@ -1,5 +1,6 @@
 import express from "express";
 import crypto from "crypto";
+import { sendWhatsAppTemplate, WhatsAppError } from "../whatsapp.js";
 
 const router = express.Router();
 const protectedRouter = express.Router();
@@ -207,57 +208,13 @@ protectedRouter.post("/wa/template", async (req, res) => {
       });
     }
 
-    // Prepare template message payload for WhatsApp Business API
-    const templatePayload = {
-      messaging_product: "whatsapp",
-      to: to,
-      type: "template",
-      template: {
-        name: template_name,
-        language: {
-          code: language_code,
-        },
-      },
-    };
-
-    // Add parameters if provided
-    if (parameters && parameters.length > 0) {
-      templatePayload.template.components = [
-        {
-          type: "body",
-          parameters: parameters.map((param) => ({
-            type: "text",
-            text: param,
-          })),
-        },
-      ];
-    }
-
-    // Send to WhatsApp Business API
-    const whatsappApiUrl = `https://graph.facebook.com/v18.0/${process.env.PHONE_NUMBER_ID}/messages`;
-
-    const response = await fetch(whatsappApiUrl, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(templatePayload),
+    const responseData = await sendWhatsAppTemplate({
+      to,
+      templateName: template_name,
+      languageCode: language_code,
+      parameters,
     });
 
-    const responseData = await response.json();
-
-    if (!response.ok) {
-      console.error("WhatsApp template send error:", responseData);
-      return res.status(response.status).json({
-        error: "Failed to send WhatsApp template",
-        details: responseData,
-      });
-    }
-
-    console.log(
-      `WhatsApp template '${template_name}' sent successfully to ${to}`
-    );
     res.json({
       success: true,
       template_name: template_name,
@@ -265,6 +222,12 @@ protectedRouter.post("/wa/template", async (req, res) => {
       data: responseData,
     });
   } catch (error) {
+    if (error instanceof WhatsAppError) {
+      return res.status(error.code).json({
+        error: error.message,
+        details: error.details,
+      });
+    }
     console.error("WhatsApp template endpoint error:", error.message);
     res.status(500).json({
       error: "Internal server error",
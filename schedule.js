@@ -0,0 +1,156 @@
+import { getHolidays, isHoliday } from "./holidays.js";
+
+// Weekday keys indexed like Date#getDay (0 = Sunday)
+export const WEEKDAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// Parses "HH:MM" into minutes since local midnight ("24:00" is allowed as an end of day)
+export function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid time of day: ${value} (expected HH:MM)`);
+  }
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  if (Number(match[2]) > 59 || minutes > 24 * 60) {
+    throw new Error(`Invalid time of day: ${value}`);
+  }
+  return minutes;
+}
+
+// Normalizes a list of ranges into sorted [startMinute, endMinute] pairs.
+// Each range may be "09:00-12:00", ["09:00", "12:00"] or { start: "09:00", end: "12:00" }.
+export function normalizeRanges(ranges, label = "range") {
+  if (!Array.isArray(ranges)) {
+    throw new Error(`${label} must be an array of time ranges`);
+  }
+
+  return ranges
+    .map((range) => {
+      let start, end;
+      if (typeof range === "string") {
+        [start, end] = range.split("-");
+      } else if (Array.isArray(range)) {
+        [start, end] = range;
+      } else if (range && typeof range === "object") {
+        ({ start, end } = range);
+      }
+      if (start === undefined || end === undefined) {
+        throw new Error(`Invalid ${label}: ${JSON.stringify(range)}`);
+      }
+
+      const startMinute = parseTimeOfDay(start);
+      const endMinute = parseTimeOfDay(end);
+      if (startMinute >= endMinute) {
+        throw new Error(
+          `Invalid ${label}: ${JSON.stringify(
+            range
+          )} (start must be before end)`
+        );
+      }
+      return [startMinute, endMinute];
+    })
+    .sort((a, b) => a[0] - b[0]);
+}
+
+// Maps "monday" / "Mon" / "mon" to its weekday index
+function parseWeekdayKey(key) {
+  const index = WEEKDAY_KEYS.indexOf(String(key).slice(0, 3).toLowerCase());
+  if (index === -1) {
+    throw new Error(`Invalid weekday in working_hours: ${key}`);
+  }
+  return index;
+}
+
+function parseDateStr(value, label) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    throw new Error(`Invalid ${label} date: ${value} (expected YYYY-MM-DD)`);
+  }
+  return value;
+}
+
+// Builds a schedule that answers "which local time ranges are bookable on this date?".
+// Precedence: blackout dates and holidays close the day, then date overrides, then the weekly schedule.
+// Without workingHours the weekly schedule is workStartHour-workEndHour on Mon-Fri (or every day with includeWeekends).
+export function createSchedule({
+  workStartHour = 9,
+  workEndHour = 17,
+  includeWeekends = false,
+  workingHours,
+  dateOverrides,
+  blackoutDates,
+  holidayCountry,
+} = {}) {
+  // Weekly ranges indexed by weekday
+  const weekly = WEEKDAY_KEYS.map(() => []);
+  if (workingHours) {
+    if (typeof workingHours !== "object" || Array.isArray(workingHours)) {
+      throw new Error(
+        "working_hours must be an object keyed by weekday (mon..sun)"
+      );
+    }
+    for (const [day, ranges] of Object.entries(workingHours)) {
+      weekly[parseWeekdayKey(day)] = normalizeRanges(
+        ranges,
+        `working_hours.${day}`
+      );
+    }
+  } else {
+    const range = [Number(workStartHour) * 60, Number(workEndHour) * 60];
+    for (let weekday = 0; weekday < 7; weekday++) {
+      const isWeekend = weekday === 0 || weekday === 6;
+      weekly[weekday] = includeWeekends || !isWeekend ? [range] : [];
+    }
+  }
+
+  // Date-specific ranges replace the weekly schedule; an empty list closes the day
+  const overrides = new Map();
+  if (dateOverrides) {
+    if (typeof dateOverrides !== "object" || Array.isArray(dateOverrides)) {
+      throw new Error("date_overrides must be an object keyed by YYYY-MM-DD");
+    }
+    for (const [date, ranges] of Object.entries(dateOverrides)) {
+      overrides.set(
+        parseDateStr(date, "date_overrides"),
+        normalizeRanges(ranges, `date_overrides.${date}`)
+      );
+    }
+  }
+
+  // Blackout dates are single dates or inclusive { from, to } ranges
+  if (blackoutDates && !Array.isArray(blackoutDates)) {
+    throw new Error("blackout_dates must be an array");
+  }
+  const blackouts = (blackoutDates || []).map((entry) => {
+    if (typeof entry === "string") {
+      const date = parseDateStr(entry, "blackout_dates");
+      return { from: date, to: date };
+    }
+    if (entry && typeof entry === "object") {
+      return {
+        from: parseDateStr(entry.from, "blackout_dates"),
+        to: parseDateStr(entry.to ?? entry.from, "blackout_dates"),
+      };
+    }
+    throw new Error(`Invalid blackout_dates entry: ${JSON.stringify(entry)}`);
+  });
+
+  // Fail early on unsupported countries
+  if (holidayCountry) {
+    getHolidays(holidayCountry, new Date().getUTCFullYear());
+  }
+
+  return {
+    // Bookable [startMinute, endMinute] ranges for a local date and weekday
+    rangesFor(dateStr, weekday) {
+      if (blackouts.some(({ from, to }) => dateStr >= from && dateStr <= to)) {
+        return [];
+      }
+      if (holidayCountry && isHoliday(holidayCountry, dateStr)) {
+        return [];
+      }
+      if (overrides.has(dateStr)) {
+        return overrides.get(dateStr);
+      }
+      return weekly[weekday];
+    },
+  };
+}
@@ -5,6 +5,9 @@ import n8nRouter from "./routes/n8n.js";
 import publicRouter from "./routes/public.js";
 import apiRouter from "./routes/api.js";
 import waWebhookRouter, { waProtectedRouter } from "./routes/waWebhook.js";
+import calendarWebhookRouter from "./routes/calendarWebhook.js";
+import { startChannelRenewal } from "./calendarWatch.js";
+import { startWaitlistChecks } from "./waitlist.js";
 import path from "path";
 import { fileURLToPath } from "url";
 
@@ -12,14 +15,12 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-app.use(
-  express.json({
-    verify: (req, res, buf) => {
-      req.rawBody = buf;
-    },
-  })
-);
-app.use(express.static(path.join(__dirname, "public")));
+
+// Behind a reverse proxy, req.ip (used by the public rate limits) must come from X-Forwarded-For.
+// TRUST_PROXY is the number of proxy hops in front of the app, e.g. 1
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY) || 1);
+}
 
 // Global API key middleware for /n8n routes
 const API_SECRET = process.env.API_SECRET; // array of secrets
@@ -32,6 +33,22 @@ const apiKeyMiddleware = (req, res, next) => {
   next();
 };
 
+// Email attachments may come base64-encoded in the JSON body, so this route takes larger
+// bodies (only once the API key has been checked)
+app.use(
+  "/n8n/send_event_email",
+  apiKeyMiddleware,
+  express.json({ limit: "35mb" })
+);
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+app.use(express.static(path.join(__dirname, "public")));
+
 // HTML routes
 app.get("/chats", (req, res) => {
   res.sendFile(path.join(__dirname, "public", "chats.html"));
@@ -41,7 +58,12 @@ app.get("/template", (req, res) => {
   res.sendFile(path.join(__dirname, "public", "template.html"));
 });
 
+app.get("/book/:slug", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "book.html"));
+});
+
 app.use("/", waWebhookRouter);
+app.use("/", calendarWebhookRouter);
 app.use("/", publicRouter);
 app.use("/n8n", apiKeyMiddleware, n8nRouter);
 app.use("/api", apiKeyMiddleware, apiRouter);
@@ -51,4 +73,14 @@ const PORT = process.env.PORT || 8383;
 
 app.listen(PORT, () => {
   console.log(`API server running at http://localhost:${PORT}`);
+
+  // Keep Google Calendar push channels alive
+  if (process.env.CALENDAR_WEBHOOK_ADDRESS) {
+    startChannelRenewal();
+  }
+
+  // Offer slots that opened up to waitlisted contacts
+  if (process.env.DATABASE_URL) {
+    startWaitlistChecks();
+  }
 });
@@ -0,0 +1,261 @@
+import { escapeHtml } from "./html.js";
+
+// A small template language for stored email templates (see emailTemplates.js):
+//   {{name}}, {{event.date}}          value of a variable (HTML-escaped when rendering HTML)
+//   {{{name}}}                        value without escaping
+//   {{#if name}}...{{else}}...{{/if}}  and {{#unless name}}...{{/unless}}
+//   {{#each items}}...{{else}}...{{/each}}
+//                                     loop over an array; inside, the item's fields by name,
+//                                     {{this}}, {{@index}} (from 0), {{@number}} (from 1), {{@first}}, {{@last}}
+//   {{! comment }}
+// Empty strings, 0, false, null and empty arrays count as false in conditions. Block tags on a
+// line of their own don't leave an empty line behind.
+
+const TAG_PATTERN = /\{\{\{\s*([^{}]*?)\s*\}\}\}|\{\{\s*([^{}]*?)\s*\}\}/g;
+const PATH_PATTERN =
+  /^(?:@(?:index|number|first|last)|this(?:\.[A-Za-z_]\w*)*|[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*)$/;
+const BLOCKS = ["if", "unless", "each"];
+const STANDALONE_TAGS = ["open", "else", "close", "comment"];
+
+function lineOf(source, index) {
+  return source.slice(0, index).split("\n").length;
+}
+
+function parseTag(match, source) {
+  const line = lineOf(source, match.index);
+  const invalid = () => new Error(`Invalid tag ${match[0]} on line ${line}`);
+
+  if (match[1] !== undefined) {
+    if (!PATH_PATTERN.test(match[1])) throw invalid();
+    return { type: "variable", path: match[1], raw: true, line };
+  }
+
+  const body = match[2];
+  if (body.startsWith("!")) return { type: "comment", line };
+  if (body === "else") return { type: "else", line };
+
+  const open = /^#(\w+)\s+(\S+)$/.exec(body);
+  if (open) {
+    if (!BLOCKS.includes(open[1])) {
+      throw new Error(`Unknown block {{#${open[1]}}} on line ${line}`);
+    }
+    if (!PATH_PATTERN.test(open[2])) throw invalid();
+    return { type: "open", block: open[1], path: open[2], line };
+  }
+
+  const close = /^\/(\w+)$/.exec(body);
+  if (close) return { type: "close", block: close[1], line };
+
+  if (!PATH_PATTERN.test(body)) throw invalid();
+  return { type: "variable", path: body, raw: false, line };
+}
+
+// Removes the indentation and line break around block tags that stand alone on their line
+function stripStandaloneTags(tokens) {
+  const standalone = tokens.map((token, i) => {
+    if (!STANDALONE_TAGS.includes(token.type)) return false;
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    const startsLine =
+      prev === undefined ||
+      (prev.type === "text" &&
+        (/\n[ \t]*$/.test(prev.value) ||
+          (i === 1 && /^[ \t]*$/.test(prev.value))));
+    const endsLine =
+      next === undefined ||
+      (next.type === "text" &&
+        (/^[ \t]*\r?\n/.test(next.value) ||
+          (i === tokens.length - 2 && /^[ \t]*$/.test(next.value))));
+    return startsLine && endsLine;
+  });
+
+  standalone.forEach((isStandalone, i) => {
+    if (!isStandalone) return;
+    if (tokens[i - 1]) {
+      tokens[i - 1].value = tokens[i - 1].value.replace(/[ \t]*$/, "");
+    }
+    if (tokens[i + 1]) {
+      tokens[i + 1].value = tokens[i + 1].value.replace(/^[ \t]*(\r?\n)?/, "");
+    }
+  });
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let last = 0;
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    if (match.index > last) {
+      tokens.push({ type: "text", value: source.slice(last, match.index) });
+    }
+    tokens.push(parseTag(match, source));
+    last = match.index + match[0].length;
+  }
+  if (last < source.length) {
+    tokens.push({ type: "text", value: source.slice(last) });
+  }
+
+  stripStandaloneTags(tokens);
+  return tokens;
+}
+
+// Parses a template into a tree of text, variable and block nodes. Throws a descriptive error
+// (with the line number) for invalid tags and unbalanced blocks.
+export function compileTemplate(source) {
+  const root = [];
+  // Open blocks, innermost last, with the node list their content currently goes to
+  const open = [];
+  const current = () => (open.length ? open[open.length - 1].list : root);
+
+  for (const token of tokenize(String(source))) {
+    switch (token.type) {
+      case "text":
+      case "variable":
+        current().push(token);
+        break;
+      case "comment":
+        break;
+      case "open": {
+        const node = { ...token, type: "block", children: [], inverse: [] };
+        current().push(node);
+        open.push({ node, list: node.children });
+        break;
+      }
+      case "else": {
+        const frame = open[open.length - 1];
+        if (!frame || frame.list === frame.node.inverse) {
+          throw new Error(`Unexpected {{else}} on line ${token.line}`);
+        }
+        frame.list = frame.node.inverse;
+        break;
+      }
+      case "close": {
+        const frame = open.pop();
+        if (!frame) {
+          throw new Error(
+            `Unexpected {{/${token.block}}} on line ${token.line}`
+          );
+        }
+        if (frame.node.block !== token.block) {
+          throw new Error(
+            `{{/${token.block}}} on line ${token.line} doesn't close {{#${frame.node.block}}} from line ${frame.node.line}`
+          );
+        }
+        break;
+      }
+    }
+  }
+
+  if (open.length) {
+    const { node } = open[open.length - 1];
+    throw new Error(
+      `{{#${node.block}}} from line ${node.line} is never closed`
+    );
+  }
+  return root;
+}
+
+// Top-level variable names the template uses outside of loops (inside a loop a name can also be
+// a field of the current item, so those aren't listed)
+export function templateVariables(source) {
+  const names = new Set();
+  const visit = (nodes) => {
+    for (const node of nodes) {
+      if (node.type === "text") continue;
+      const [name] = node.path.split(".");
+      if (name !== "this" && !name.startsWith("@")) names.add(name);
+      if (node.type === "block") {
+        if (node.block !== "each") visit(node.children);
+        visit(node.inverse);
+      }
+    }
+  };
+  visit(compileTemplate(source));
+  return [...names];
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object";
+}
+
+// Resolves a path against the scopes (the data, then one per enclosing loop; innermost last)
+function lookup(path, scopes) {
+  const innermost = scopes[scopes.length - 1];
+
+  if (path.startsWith("@")) {
+    const loop = [...scopes].reverse().find((scope) => "index" in scope);
+    if (!loop) return undefined;
+    return {
+      "@index": loop.index,
+      "@number": loop.index + 1,
+      "@first": loop.index === 0,
+      "@last": loop.index === loop.length - 1,
+    }[path];
+  }
+
+  const [first, ...rest] = path.split(".");
+  let value;
+  if (first === "this") {
+    value = innermost.value;
+  } else {
+    const scope = [...scopes]
+      .reverse()
+      .find(({ value }) => isObject(value) && Object.hasOwn(value, first));
+    if (!scope) return undefined;
+    value = scope.value[first];
+  }
+
+  for (const key of rest) {
+    if (!isObject(value) || !Object.hasOwn(value, key)) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.map(formatValue).join(", ");
+  if (isObject(value)) return JSON.stringify(value);
+  return String(value);
+}
+
+function renderNodes(nodes, scopes, escape) {
+  return nodes
+    .map((node) => {
+      if (node.type === "text") return node.value;
+
+      const value = lookup(node.path, scopes);
+      if (node.type === "variable") {
+        const text = formatValue(value);
+        return escape && !node.raw ? escapeHtml(text) : text;
+      }
+
+      if (node.block === "each") {
+        const items = Array.isArray(value) ? value : [];
+        if (items.length === 0)
+          return renderNodes(node.inverse, scopes, escape);
+        return items
+          .map((item, index) =>
+            renderNodes(
+              node.children,
+              [...scopes, { value: item, index, length: items.length }],
+              escape
+            )
+          )
+          .join("");
+      }
+
+      const show = node.block === "if" ? isTruthy(value) : !isTruthy(value);
+      return renderNodes(show ? node.children : node.inverse, scopes, escape);
+    })
+    .join("");
+}
+
+// Renders a template with the given data. With escape set (HTML templates), {{ }} values are
+// HTML-escaped; {{{ }}} values never are.
+export function renderTemplate(source, data, { escape = false } = {}) {
+  return renderNodes(compileTemplate(source), [{ value: data }], escape);
+}
@@ -0,0 +1,164 @@
+// Time zone helpers shared by the calendar, email and API modules.
+// Everything works on IANA zone names (e.g. "Europe/Riga") via Intl, so DST is handled by the runtime.
+
+export const DEFAULT_TIMEZONE = "Europe/Riga";
+
+// Checks whether a string is a time zone Intl understands
+export function isValidTimeZone(timeZone) {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// One formatter per zone; creating an Intl.DateTimeFormat is far slower than using one.
+// Only valid zones get here (Intl throws for others), so the cache stays small.
+const partsFormatters = new Map();
+
+function partsFormatter(timeZone) {
+  let formatter = partsFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-GB", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      hourCycle: "h23",
+      weekday: "short",
+    });
+    partsFormatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+// Helper to get local parts in a specific IANA time zone
+export function getZonedParts(date, timeZone) {
+  const parts = partsFormatter(timeZone).formatToParts(date);
+  const map = Object.fromEntries(parts.map((p) => [p.type, p.value]));
+  const weekdayMap = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+  return {
+    year: Number(map.year),
+    month: Number(map.month),
+    day: Number(map.day),
+    hour: Number(map.hour),
+    minute: Number(map.minute),
+    second: Number(map.second),
+    weekday: weekdayMap[map.weekday?.toLowerCase()] ?? undefined,
+  };
+}
+
+// Offset of the zone from UTC at the given instant, in minutes (e.g. 180 for Riga in summer)
+export function getTimeZoneOffsetMinutes(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const localAsUTC = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return Math.round(
+    (localAsUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000
+  );
+}
+
+// Local calendar date of an instant in the zone, as "YYYY-MM-DD"
+export function formatDateStr(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(
+    2,
+    "0"
+  )}`;
+}
+
+// Formats an instant as ISO-8601 local time with the zone's UTC offset, e.g. "2025-08-28T10:00:00+03:00"
+export function formatISOWithOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const offsetMinutes = getTimeZoneOffsetMinutes(date, timeZone);
+  const pad = (value) => String(value).padStart(2, "0");
+  const sign = offsetMinutes < 0 ? "-" : "+";
+  const offset = `${sign}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(
+    Math.abs(offsetMinutes) % 60
+  )}`;
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(
+    parts.hour
+  )}:${pad(parts.minute)}:${pad(parts.second)}${offset}`;
+}
+
+// Converts a wall-clock time in the zone to the UTC instant.
+// The offset is re-checked at the candidate instant so times next to a DST switch resolve correctly;
+// a time skipped by the spring-forward gap lands just after the gap.
+export function zonedTimeToUtc(
+  { year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 },
+  timeZone
+) {
+  const localAsUTC = Date.UTC(
+    year,
+    month - 1,
+    day,
+    hour,
+    minute,
+    second,
+    millisecond
+  );
+
+  const firstOffset = getTimeZoneOffsetMinutes(new Date(localAsUTC), timeZone);
+  let utc = localAsUTC - firstOffset * 60 * 1000;
+  const secondOffset = getTimeZoneOffsetMinutes(new Date(utc), timeZone);
+  if (secondOffset !== firstOffset) {
+    utc = localAsUTC - secondOffset * 60 * 1000;
+  }
+
+  return new Date(utc);
+}
+
+// Matches a trailing "Z" or "+03:00" / "-0500" / "+03" after the time part
+const OFFSET_SUFFIX =
+  /[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}(?::?\d{2})?)$/i;
+const NAIVE_DATE_TIME =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+
+// Parses a date-time string into a Date. Strings with an explicit offset (or "Z") keep it;
+// naive strings like "2025-08-28T10:00:00" are read as wall-clock time in timeZone.
+export function parseDateTimeInZone(timeString, timeZone = DEFAULT_TIMEZONE) {
+  const value = String(timeString).trim();
+
+  if (OFFSET_SUFFIX.test(value)) {
+    // Date only understands hour-only offsets written out ("+03" -> "+03:00")
+    const date = new Date(value.replace(/([+-]\d{2})$/, "$1:00"));
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid time format: ${timeString}`);
+    }
+    return date;
+  }
+
+  const match = NAIVE_DATE_TIME.exec(value);
+  if (!match) {
+    throw new Error(`Invalid time format: ${timeString}`);
+  }
+
+  const [, year, month, day, hour, minute, second, millisecond] = match;
+  const date = zonedTimeToUtc(
+    {
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      hour: Number(hour || 0),
+      minute: Number(minute || 0),
+      second: Number(second || 0),
+      millisecond: Number((millisecond || "0").padEnd(3, "0")),
+    },
+    timeZone
+  );
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid time format: ${timeString}`);
+  }
+  return date;
+}
@@ -0,0 +1,675 @@
+import pool from "./db.js";
+import { createSchedule } from "./schedule.js";
+import { normalizeBookingRules } from "./bookingRules.js";
+import { AVAILABILITY_FIELDS, EMAIL_FIELDS } from "./bookingPages.js";
+import { normalizePhone } from "./bookings.js";
+import { normalizeLocale } from "./locales.js";
+import {
+  formattedCalendarAvailability,
+  bookCalendarEventGuarded,
+  cancelCalendarEvent,
+  withCalendarLock,
+} from "./gCalendar.js";
+import {
+  isValidTimeZone,
+  parseDateTimeInZone,
+  getZonedParts,
+  zonedTimeToUtc,
+} from "./timezone.js";
+import { sendWhatsAppTemplate } from "./whatsapp.js";
+import EmailService from "./emailService.js";
+
+// Waitlist for fully booked periods. A contact registers interest in a calendar and a date range;
+// when a slot in the range opens up (a cancellation or reschedule through this service, or a freed
+// block found by the periodic re-check) the next contact in line gets it: the slot is held with a
+// "hold" event on the calendar and the contact is notified by WhatsApp template or email.
+// An offer that isn't booked before the hold expires is released and goes to the next contact.
+//
+// Entry statuses: waiting -> offered -> booked, or expired (range passed or hold ran out) / cancelled
+
+export const WAITLIST_STATUSES = [
+  "waiting",
+  "offered",
+  "booked",
+  "expired",
+  "cancelled",
+];
+export const WAITLIST_CHANNELS = ["whatsapp", "email"];
+
+// How often the periodic re-check runs
+const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+// Offered slots may start on any quarter hour, so a freed half hour is found too
+const SLOT_STEP_MINUTES = 15;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const CREATE_WAITLIST_TABLE = `
+  create table if not exists public.waitlist_entries (
+    id bigserial primary key,
+    google_calendar_email text not null,
+    contact_name text,
+    contact_phone text,
+    contact_email text,
+    channel text not null,
+    range_start timestamptz not null,
+    range_end timestamptz not null,
+    timezone text not null,
+    duration_minutes integer not null default 60,
+    hold_minutes integer not null default 30,
+    event_title text,
+    availability jsonb not null default '{}'::jsonb,
+    notification jsonb not null default '{}'::jsonb,
+    status text not null default 'waiting',
+    offered_start timestamptz,
+    offered_end timestamptz,
+    hold_event_id text,
+    hold_expires_at timestamptz,
+    booked_event_id text,
+    notified_at timestamptz,
+    last_error text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+  );
+  create index if not exists waitlist_entries_calendar_status_idx
+    on public.waitlist_entries (google_calendar_email, status);
+`;
+
+let tableReady = null;
+
+// Creates the waitlist_entries table (once per process; retried after a failure)
+function ensureWaitlistTable() {
+  if (!tableReady) {
+    tableReady = pool.query(CREATE_WAITLIST_TABLE).catch((error) => {
+      tableReady = null;
+      throw error;
+    });
+  }
+  return tableReady;
+}
+
+function loadCredentials() {
+  if (!process.env.GOOGLE_CREDENTIALS) {
+    throw new Error("GOOGLE_CREDENTIALS environment variable is missing");
+  }
+  return JSON.parse(process.env.GOOGLE_CREDENTIALS);
+}
+
+// Parses date_from / date_to. Dates without a time cover the whole local day (date_to inclusive).
+function parseRangeBound(value, field, timeZone, { endOfDay = false } = {}) {
+  let date;
+  try {
+    date = parseDateTimeInZone(value, timeZone);
+  } catch (e) {
+    throw new Error(`${field} must be a date (YYYY-MM-DD) or date-time`);
+  }
+  if (endOfDay && DATE_ONLY.test(String(value).trim())) {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return zonedTimeToUtc({ year, month, day: day + 1 }, timeZone);
+  }
+  return date;
+}
+
+// Validates a waitlist entry from the request body and returns it normalized. Throws a descriptive error.
+export function normalizeWaitlistEntry(spec) {
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+    throw new Error("Waitlist entry must be an object");
+  }
+
+  if (
+    !spec.google_calendar_email ||
+    !EMAIL_PATTERN.test(spec.google_calendar_email)
+  ) {
+    throw new Error("google_calendar_email must be a valid email format");
+  }
+
+  const contactPhone = normalizePhone(spec.contact_phone);
+  const contactEmail = spec.contact_email
+    ? String(spec.contact_email).trim().toLowerCase()
+    : null;
+  if (contactEmail && !EMAIL_PATTERN.test(contactEmail)) {
+    throw new Error("contact_email must be a valid email format");
+  }
+  if (!contactPhone && !contactEmail) {
+    throw new Error("contact_phone or contact_email is required");
+  }
+
+  const channel = spec.channel || (contactPhone ? "whatsapp" : "email");
+  if (!WAITLIST_CHANNELS.includes(channel)) {
+    throw new Error(`channel must be one of: ${WAITLIST_CHANNELS.join(", ")}`);
+  }
+  if (channel === "whatsapp" && !contactPhone) {
+    throw new Error("contact_phone is required for channel whatsapp");
+  }
+  if (channel === "email" && !contactEmail) {
+    throw new Error("contact_email is required for channel email");
+  }
+  if (channel === "whatsapp" && !spec.whatsapp_template?.name) {
+    throw new Error("whatsapp_template.name is required for channel whatsapp");
+  }
+
+  const timezone = spec.timezone || "Europe/Riga";
+  if (!isValidTimeZone(timezone)) {
+    throw new Error(`Invalid timezone: ${timezone}`);
+  }
+
+  if (!spec.date_from || !spec.date_to) {
+    throw new Error("date_from and date_to are required");
+  }
+  const rangeStart = parseRangeBound(spec.date_from, "date_from", timezone);
+  const rangeEnd = parseRangeBound(spec.date_to, "date_to", timezone, {
+    endOfDay: true,
+  });
+  if (rangeEnd <= rangeStart) {
+    throw new Error("date_to must be after date_from");
+  }
+  if (rangeEnd <= new Date()) {
+    throw new Error("date_to must be in the future");
+  }
+  if (rangeEnd - rangeStart > 366 * 24 * 60 * 60 * 1000) {
+    throw new Error("The date range can be at most a year long");
+  }
+
+  const duration = Number(spec.duration_minutes ?? 60);
+  if (!Number.isInteger(duration) || duration < 15 || duration > 480) {
+    throw new Error("duration_minutes must be an integer between 15 and 480");
+  }
+  const holdMinutes = Number(spec.hold_minutes ?? 30);
+  if (!Number.isInteger(holdMinutes) || holdMinutes < 5 || holdMinutes > 1440) {
+    throw new Error("hold_minutes must be an integer between 5 and 1440");
+  }
+
+  // Same availability fields as a booking page; the range replaces days
+  const availability = Object.fromEntries(
+    AVAILABILITY_FIELDS.filter(
+      (field) => field !== "days" && spec.availability?.[field] !== undefined
+    ).map((field) => [field, spec.availability[field]])
+  );
+  createSchedule({
+    workStartHour: availability.work_start_hour,
+    workEndHour: availability.work_end_hour,
+    includeWeekends: availability.include_weekends,
+    workingHours: availability.working_hours,
+    dateOverrides: availability.date_overrides,
+    blackoutDates: availability.blackout_dates,
+    holidayCountry: availability.holiday_country,
+  });
+  normalizeBookingRules(availability.booking_rules);
+
+  const email = Object.fromEntries(
+    EMAIL_FIELDS.filter((field) => spec.email?.[field] !== undefined).map(
+      (field) => [field, spec.email[field]]
+    )
+  );
+  if (
+    email.monitoring_emails !== undefined &&
+    (!Array.isArray(email.monitoring_emails) ||
+      email.monitoring_emails.some((address) => !EMAIL_PATTERN.test(address)))
+  ) {
+    throw new Error("email.monitoring_emails must be an array of emails");
+  }
+  if (email.locale !== undefined) {
+    email.locale = normalizeLocale(email.locale);
+  }
+
+  return {
+    google_calendar_email: spec.google_calendar_email.toLowerCase(),
+    contact_name: spec.contact_name ? String(spec.contact_name) : null,
+    contact_phone: contactPhone,
+    contact_email: contactEmail,
+    channel,
+    range_start: rangeStart,
+    range_end: rangeEnd,
+    timezone,
+    duration_minutes: duration,
+    hold_minutes: holdMinutes,
+    event_title: spec.event_title ? String(spec.event_title) : null,
+    availability,
+    notification: {
+      ...(channel === "whatsapp" && {
+        whatsapp_template: {
+          name: String(spec.whatsapp_template.name),
+          language_code: String(spec.whatsapp_template.language_code || "en"),
+        },
+      }),
+      email,
+    },
+  };
+}
+
+// Adds a contact (normalized entry) to the end of the calendar's waitlist
+export async function addWaitlistEntry(entry) {
+  await ensureWaitlistTable();
+
+  const { rows } = await pool.query(
+    `insert into public.waitlist_entries
+       (google_calendar_email, contact_name, contact_phone, contact_email, channel, range_start,
+        range_end, timezone, duration_minutes, hold_minutes, event_title, availability, notification)
+     values ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+     returning *`,
+    [
+      entry.google_calendar_email,
+      entry.contact_name,
+      entry.contact_phone,
+      entry.contact_email,
+      entry.channel,
+      entry.range_start,
+      entry.range_end,
+      entry.timezone,
+      entry.duration_minutes,
+      entry.hold_minutes,
+      entry.event_title,
+      JSON.stringify(entry.availability),
+      JSON.stringify(entry.notification),
+    ]
+  );
+
+  return rows[0];
+}
+
+export async function getWaitlistEntry(id) {
+  await ensureWaitlistTable();
+  if (!/^\d+$/.test(String(id))) return null;
+
+  const { rows } = await pool.query(
+    `select * from public.waitlist_entries where id = $1`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+// Lists entries in waitlist order (oldest first), optionally by calendar and status
+export async function listWaitlistEntries({
+  calendarEmail,
+  status,
+  limit = 100,
+} = {}) {
+  await ensureWaitlistTable();
+
+  const { rows } = await pool.query(
+    `select * from public.waitlist_entries
+      where ($1::text is null or google_calendar_email = $1)
+        and ($2::text is null or status = $2)
+      order by created_at, id
+      limit $3`,
+    [
+      calendarEmail ? String(calendarEmail).toLowerCase() : null,
+      status || null,
+      limit,
+    ]
+  );
+  return rows;
+}
+
+async function updateEntry(id, fields) {
+  const columns = Object.keys(fields);
+  const { rows } = await pool.query(
+    `update public.waitlist_entries
+        set ${columns.map((column, i) => `${column} = $${i + 2}`).join(", ")},
+            updated_at = now()
+      where id = $1
+      returning *`,
+    [id, ...Object.values(fields)]
+  );
+  return rows[0] || null;
+}
+
+// Deletes an offer's hold event; an event that is already gone is fine
+async function releaseHold(key, entry) {
+  if (!entry.hold_event_id) return;
+  try {
+    await cancelCalendarEvent(
+      key,
+      entry.google_calendar_email,
+      entry.hold_event_id,
+      { sendNotifications: false }
+    );
+  } catch (error) {
+    if (!error.message.includes("not found")) throw error;
+  }
+}
+
+// Takes a contact off the waitlist. A held slot is released and offered to the next contact.
+// Returns the updated entry, or null if it doesn't exist.
+export async function cancelWaitlistEntry(id) {
+  const entry = await getWaitlistEntry(id);
+  if (!entry) return null;
+  if (!["waiting", "offered"].includes(entry.status)) {
+    throw new Error(`Waitlist entry is already ${entry.status}`);
+  }
+
+  if (entry.status === "offered") {
+    await releaseHold(loadCredentials(), entry);
+  }
+  const cancelled = await updateEntry(entry.id, { status: "cancelled" });
+  if (entry.status === "offered") {
+    await checkWaitlist(entry.google_calendar_email);
+  }
+  return cancelled;
+}
+
+// Checks that the contact can book the slot of an offer: the calendar and times must match the offer
+// and the hold must not have expired. Returns the entry. The hold stays until releaseWaitlistHold,
+// which the booking runs under its calendar lock; then call markWaitlistBooked, or
+// restoreWaitlistOffer if the booking failed.
+export async function claimWaitlistOffer(
+  id,
+  calendarEmail,
+  startTime,
+  endTime
+) {
+  const entry = await getWaitlistEntry(id);
+  if (!entry) {
+    throw new Error("Waitlist entry not found");
+  }
+  if (
+    entry.status !== "offered" ||
+    new Date(entry.hold_expires_at) <= new Date()
+  ) {
+    throw new Error("The waitlist offer is no longer available");
+  }
+  if (
+    entry.google_calendar_email !== String(calendarEmail).toLowerCase() ||
+    new Date(entry.offered_start).getTime() !== startTime.getTime() ||
+    new Date(entry.offered_end).getTime() !== endTime.getTime()
+  ) {
+    throw new Error(
+      "The calendar, start_time and end_time must match the waitlist offer"
+    );
+  }
+
+  return entry;
+}
+
+// Releases the hold of a claimed offer so its slot can be booked
+export async function releaseWaitlistHold(entry) {
+  await releaseHold(loadCredentials(), entry);
+  await updateEntry(entry.id, { hold_event_id: null });
+}
+
+// Puts a claimed offer back after its booking failed: the slot is held again until the offer
+// expires, or the entry goes back to waiting if the slot can't be held anymore
+export async function restoreWaitlistOffer(entry) {
+  const current = await getWaitlistEntry(entry.id);
+  if (current?.status !== "offered" || current.hold_event_id) return;
+
+  try {
+    const hold = await holdSlot(
+      loadCredentials(),
+      current,
+      {
+        start: new Date(current.offered_start),
+        end: new Date(current.offered_end),
+      },
+      new Date(current.hold_expires_at)
+    );
+    await updateEntry(current.id, { hold_event_id: hold.id });
+  } catch (error) {
+    console.error(
+      `[waitlist] Failed to hold the slot of entry ${current.id} again:`,
+      error.message
+    );
+    await updateEntry(current.id, {
+      status: "waiting",
+      offered_start: null,
+      offered_end: null,
+      hold_expires_at: null,
+      last_error: error.message,
+    });
+  }
+}
+
+export async function markWaitlistBooked(id, eventId) {
+  await ensureWaitlistTable();
+  return updateEntry(id, { status: "booked", booked_event_id: eventId });
+}
+
+function formatDay(date, timeZone) {
+  return date.toLocaleDateString("en-US", {
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+    timeZone,
+  });
+}
+
+function formatTime(date, timeZone) {
+  return date.toLocaleTimeString("en-GB", {
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone,
+  });
+}
+
+// Tells the contact about the held slot on the entry's channel
+async function notifyContact(key, entry, start, end, holdExpiresAt) {
+  const zone = entry.timezone;
+  // "Tuesday, October 21, 14:00-15:00 (Europe/Riga)" and "13:30 on Monday, October 20"
+  const slot = `${formatDay(start, zone)}, ${formatTime(
+    start,
+    zone
+  )}-${formatTime(end, zone)} (${zone})`;
+  const holdUntil = `${formatTime(holdExpiresAt, zone)} on ${formatDay(
+    holdExpiresAt,
+    zone
+  )}`;
+
+  if (entry.channel === "whatsapp") {
+    // Template body placeholders: {{1}} name, {{2}} slot, {{3}} held until
+    const template = entry.notification.whatsapp_template;
+    await sendWhatsAppTemplate({
+      to: entry.contact_phone,
+      templateName: template.name,
+      languageCode: template.language_code,
+      parameters: [entry.contact_name || "there", slot, holdUntil],
+    });
+    return;
+  }
+
+  const emailOptions = entry.notification.email || {};
+  const emailService = new EmailService(key);
+  await emailService.sendEventEmail(
+    {
+      event_title: entry.event_title || "Appointment",
+      event_description: `A time slot opened up and is held for you until ${holdUntil}. Reply to this email to book it.`,
+      start_time: start.toISOString(),
+      end_time: end.toISOString(),
+      timezone: entry.timezone,
+      organizer_email: entry.google_calendar_email,
+      location_type: "none",
+      email_header_title: "A time slot opened up",
+      email_header_subtitle: `Held for you until ${holdUntil}`,
+      email_subject_prefix: "Slot available",
+      ...emailOptions,
+    },
+    [entry.contact_email],
+    entry.google_calendar_email,
+    emailOptions.monitoring_emails || []
+  );
+}
+
+// First free slot of the entry's length within its range and availability settings, or null
+async function findOpenSlot(key, entry) {
+  const now = new Date();
+  const rangeStart = new Date(Math.max(new Date(entry.range_start), now));
+  const rangeEnd = new Date(entry.range_end);
+  const availability = entry.availability || {};
+  const days = Math.min(
+    365,
+    Math.max(1, Math.ceil((rangeEnd - now) / (24 * 60 * 60 * 1000)))
+  );
+
+  const slots = await formattedCalendarAvailability(
+    entry.timezone,
+    days,
+    key,
+    entry.google_calendar_email,
+    Number(availability.work_start_hour ?? 9),
+    Number(availability.work_end_hour ?? 17),
+    {
+      slotDurationMinutes: entry.duration_minutes,
+      slotStepMinutes: SLOT_STEP_MINUTES,
+      bufferBeforeMinutes: Number(availability.buffer_before_minutes) || 0,
+      bufferAfterMinutes: Number(availability.buffer_after_minutes) || 0,
+      includeWeekends: availability.include_weekends === true,
+      workingHours: availability.working_hours,
+      dateOverrides: availability.date_overrides,
+      blackoutDates: availability.blackout_dates,
+      holidayCountry: availability.holiday_country,
+      outputFormat: "slots",
+      bookingRules: normalizeBookingRules(availability.booking_rules),
+      // Offers hold the slot, so they're checked against live busy times, never the freebusy cache
+      cacheTtlSeconds: 0,
+    }
+  );
+
+  const slot = slots
+    .map(({ start, end }) => ({ start: new Date(start), end: new Date(end) }))
+    .find(({ start, end }) => start >= rangeStart && end <= rangeEnd);
+  return slot || null;
+}
+
+// Books the private "hold" event that blocks the slot offered to the entry
+function holdSlot(key, entry, { start, end }, holdExpiresAt) {
+  const contact =
+    entry.contact_name || entry.contact_email || entry.contact_phone;
+
+  return bookCalendarEventGuarded(
+    key,
+    entry.google_calendar_email,
+    {
+      title: `Held for ${contact} (waitlist)`,
+      description: `Held for waitlist entry ${
+        entry.id
+      } until ${holdExpiresAt.toISOString()}`,
+      startTime: start,
+      endTime: end,
+      timeZone: entry.timezone,
+      attendees: [],
+      locationType: "none",
+      reminders: { useDefault: false, overrides: [] },
+      extendedProperties: { waitlist_entry_id: String(entry.id) },
+      sendNotifications: false,
+    },
+    { timeZone: entry.timezone, count: 0 }
+  );
+}
+
+// Holds the slot for the entry and notifies the contact.
+// If the contact can't be notified the hold is released and the entry keeps waiting.
+async function offerSlot(key, entry, slot) {
+  const holdExpiresAt = new Date(Date.now() + entry.hold_minutes * 60 * 1000);
+  const { start, end } = slot;
+  const hold = await holdSlot(key, entry, slot, holdExpiresAt);
+
+  try {
+    await notifyContact(key, entry, start, end, holdExpiresAt);
+  } catch (error) {
+    await releaseHold(key, { ...entry, hold_event_id: hold.id });
+    await updateEntry(entry.id, { last_error: error.message });
+    throw error;
+  }
+
+  console.log("[waitlist] Slot offered:", {
+    entry: entry.id,
+    calendar: entry.google_calendar_email,
+    start: start.toISOString(),
+    channel: entry.channel,
+  });
+
+  return updateEntry(entry.id, {
+    status: "offered",
+    offered_start: start,
+    offered_end: end,
+    hold_event_id: hold.id,
+    hold_expires_at: holdExpiresAt,
+    notified_at: new Date(),
+    last_error: null,
+  });
+}
+
+// Re-checks one calendar's waitlist: releases expired holds, expires entries whose range has
+// passed, then offers open slots to waiting contacts in order.
+async function checkCalendarWaitlist(key, calendarEmail) {
+  return withCalendarLock(`waitlist:${calendarEmail}`, async () => {
+    const summary = { expired: [], offered: [] };
+
+    const { rows: lapsed } = await pool.query(
+      `select * from public.waitlist_entries
+        where google_calendar_email = $1
+          and ((status = 'offered' and hold_expires_at <= now())
+            or (status = 'waiting' and range_end <= now()))`,
+      [calendarEmail]
+    );
+    for (const entry of lapsed) {
+      if (entry.status === "offered") {
+        await releaseHold(key, entry);
+      }
+      await updateEntry(entry.id, { status: "expired", hold_event_id: null });
+      summary.expired.push(entry.id);
+    }
+
+    const waiting = await listWaitlistEntries({
+      calendarEmail,
+      status: "waiting",
+    });
+    for (const entry of waiting) {
+      try {
+        const slot = await findOpenSlot(key, entry);
+        if (!slot) continue;
+        await offerSlot(key, entry, slot);
+        summary.offered.push(entry.id);
+      } catch (error) {
+        console.error(
+          `[waitlist] Failed to offer a slot to entry ${entry.id}:`,
+          error.message
+        );
+      }
+    }
+
+    return summary;
+  });
+}
+
+// Re-checks the waitlist of one calendar, or of every calendar with open entries.
+// Returns { expired: [entry ids], offered: [entry ids] }
+export async function checkWaitlist(calendarEmail = null) {
+  await ensureWaitlistTable();
+  const key = loadCredentials();
+
+  const calendars = calendarEmail
+    ? [String(calendarEmail).toLowerCase()]
+    : (
+        await pool.query(
+          `select distinct google_calendar_email from public.waitlist_entries
+            where status in ('waiting', 'offered')`
+        )
+      ).rows.map((row) => row.google_calendar_email);
+
+  const summary = { expired: [], offered: [] };
+  for (const calendar of calendars) {
+    try {
+      const result = await checkCalendarWaitlist(key, calendar);
+      summary.expired.push(...result.expired);
+      summary.offered.push(...result.offered);
+    } catch (error) {
+      console.error(
+        `[waitlist] Failed to check the waitlist of ${calendar}:`,
+        error.message
+      );
+    }
+  }
+  return summary;
+}
+
+// Runs checkWaitlist now and then every CHECK_INTERVAL_MS
+export function startWaitlistChecks() {
+  const run = () =>
+    checkWaitlist().catch((error) =>
+      console.error("[waitlist] Waitlist check failed:", error.message)
+    );
+  run();
+  const timer = setInterval(run, CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
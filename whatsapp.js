@@ -0,0 +1,73 @@
+// Messages sent through the WhatsApp Business (Cloud) API.
+// PHONE_NUMBER_ID and WHATSAPP_ACCESS_TOKEN come from the environment (secrets - not from body).
+
+// Thrown when the WhatsApp API rejects a message; code is its HTTP status, details its response body
+export class WhatsAppError extends Error {
+  constructor(message, code, details) {
+    super(message);
+    this.name = "WhatsAppError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Sends a template message (templates can start a conversation outside the 24-hour window).
+// parameters fill the template body's {{1}}, {{2}}, ... placeholders. Returns the API response.
+export async function sendWhatsAppTemplate({
+  to,
+  templateName,
+  languageCode = "en",
+  parameters = [],
+}) {
+  // Prepare template message payload for WhatsApp Business API
+  const templatePayload = {
+    messaging_product: "whatsapp",
+    to: to,
+    type: "template",
+    template: {
+      name: templateName,
+      language: {
+        code: languageCode,
+      },
+    },
+  };
+
+  // Add parameters if provided
+  if (parameters && parameters.length > 0) {
+    templatePayload.template.components = [
+      {
+        type: "body",
+        parameters: parameters.map((param) => ({
+          type: "text",
+          text: param,
+        })),
+      },
+    ];
+  }
+
+  // Send to WhatsApp Business API
+  const whatsappApiUrl = `https://graph.facebook.com/v18.0/${process.env.PHONE_NUMBER_ID}/messages`;
+
+  const response = await fetch(whatsappApiUrl, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(templatePayload),
+  });
+
+  const responseData = await response.json();
+
+  if (!response.ok) {
+    console.error("WhatsApp template send error:", responseData);
+    throw new WhatsAppError(
+      "Failed to send WhatsApp template",
+      response.status,
+      responseData
+    );
+  }
+
+  console.log(`WhatsApp template '${templateName}' sent successfully to ${to}`);
+  return responseData;
+}